@@ -6,10 +6,16 @@ dotenv.config();
 let client;
 let db;
 
-const connectToDatabase = async () => {
+/**
+ * Connect to MongoDB (once: later calls return the same database)
+ * @param {Object} options - uri (default: MONGODB_URI) and dbName (default: kepler_database);
+ *                           the sync test scripts connect to a dedicated test database
+ * @returns {Promise<Db>} Database
+ */
+const connectToDatabase = async ({ uri = process.env.MONGODB_URI, dbName = 'kepler_database' } = {}) => {
     try {
         if (!client) {
-            client = new MongoClient(process.env.MONGODB_URI, {
+            client = new MongoClient(uri, {
                 useNewUrlParser: true,
                 useUnifiedTopology: true,
             });
@@ -18,8 +24,8 @@ const connectToDatabase = async () => {
             console.log('✅ Connected to MongoDB');
             
             // Kepler database
-            db = client.db('kepler_database');
-            console.log('📚 Database: kepler_database');
+            db = client.db(dbName);
+            console.log(`📚 Database: ${dbName}`);
             console.log('📦 Collection: koi_objects');
         }
         
@@ -37,6 +43,103 @@ const getDatabase = () => {
     return db;
 };
 
+/**
+ * Indexes of the core collections, created at startup by ensureIndexes
+ * The indexes of the feature collections and fields (text search, sky positions,
+ * classifications, catalogs...) are created by their services
+ */
+const INDEXES = {
+    koi_objects: [
+        // One document per KOI: the synchronization upserts on kepoi_name
+        { key: { kepoi_name: 1 }, options: { unique: true } },
+        // Kepler system lookups and the default listing order
+        { key: { kepler_name: 1, _id: 1 } },
+        { key: { koi_disposition: 1 } },
+        // Host star lookups
+        { key: { kepid: 1 } },
+        { key: { IS_AI: 1 } },
+        // Habitable zone and analytics filters on confirmed planets
+        { key: { koi_disposition: 1, koi_prad: 1 } },
+        { key: { sync_date: -1 } }
+    ],
+    sync_logs: [
+        { key: { createdAt: -1 } }
+    ]
+};
+
+/**
+ * Create the declared indexes (createIndex is a no-op for an existing identical index)
+ * A failing index does not prevent the others from being created
+ * @returns {Promise<Array>} Failures { collection, key, error }
+ */
+const ensureIndexes = async () => {
+    const database = getDatabase();
+    const failures = [];
+
+    for (const [collectionName, indexes] of Object.entries(INDEXES)) {
+        for (const { key, options = {} } of indexes) {
+            try {
+                await database.collection(collectionName).createIndex(key, options);
+            } catch (error) {
+                failures.push({ collection: collectionName, key, error: error.message });
+
+                if (error.code === 11000) {
+                    console.error(`⚠️ Warning: ${collectionName} has duplicates, unique index ${JSON.stringify(key)} not created`);
+                    console.error('💡 Run: npm run db:dedupe');
+                } else {
+                    console.error(`⚠️ Warning: index ${JSON.stringify(key)} of ${collectionName} could not be created:`, error.message);
+                }
+            }
+        }
+    }
+
+    const total = Object.values(INDEXES).reduce((sum, indexes) => sum + indexes.length, 0);
+    console.log(`🗂️ Indexes checked: ${total - failures.length}/${total}`);
+    return failures;
+};
+
+/**
+ * Remove the duplicate KOIs (same kepoi_name), keeping the most recently synchronized document
+ * One-off routine for the data written before the unique kepoi_name index
+ * @param {Object} options - { dryRun: only report the duplicates }
+ * @returns {Promise<Object>} { duplicatedKOIs, duplicates, removed, dryRun, samples }
+ */
+const deduplicateKOIs = async ({ dryRun = false } = {}) => {
+    const collection = getDatabase().collection('koi_objects');
+
+    // Most recent first: the first _id of each group is kept
+    const groups = await collection.aggregate([
+        { $match: { kepoi_name: { $type: 'string' } } },
+        { $sort: { kepoi_name: 1, sync_date: -1, _id: -1 } },
+        { $group: { _id: '$kepoi_name', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ], { allowDiskUse: true }).toArray();
+
+    const duplicateIds = groups.flatMap(group => group.ids.slice(1));
+    let removed = 0;
+
+    if (!dryRun) {
+        for (let i = 0; i < duplicateIds.length; i += 1000) {
+            const result = await collection.deleteMany({ _id: { $in: duplicateIds.slice(i, i + 1000) } });
+            removed += result.deletedCount;
+        }
+    }
+
+    console.log(`🧹 ${groups.length} duplicated KOIs, ${dryRun ? `${duplicateIds.length} documents to remove (dry run)` : `${removed} documents removed`}`);
+
+    return {
+        duplicatedKOIs: groups.length,
+        duplicates: duplicateIds.length,
+        removed,
+        dryRun,
+        samples: groups.slice(0, 20).map(group => ({
+            kepoi_name: group._id,
+            kept: group.ids[0],
+            removed: group.ids.slice(1)
+        }))
+    };
+};
+
 const closeDatabase = async () => {
     if (client) {
         await client.close();
@@ -44,4 +147,4 @@ const closeDatabase = async () => {
     }
 };
 
-export { connectToDatabase, getDatabase, closeDatabase };
\ No newline at end of file
+export { connectToDatabase, getDatabase, closeDatabase, ensureIndexes, deduplicateKOIs };
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Remove the duplicate KOIs of koi_objects (same kepoi_name), then create the unique kepoi_name index
+ * The most recently synchronized document of each KOI is kept
+ * Run: npm run db:dedupe [-- --dry-run]
+ */
+import { connectToDatabase, closeDatabase, deduplicateKOIs, ensureIndexes } from './config/database.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+console.log(`🧹 Deduplicating koi_objects${dryRun ? ' (dry run)' : ''}...\n`);
+
+try {
+    await connectToDatabase();
+    
+    const result = await deduplicateKOIs({ dryRun });
+    
+    result.samples.forEach(sample => {
+        console.log(`   - ${sample.kepoi_name}: kept ${sample.kept}, ${dryRun ? 'to remove' : 'removed'} ${sample.removed.join(', ')}`);
+    });
+    if (result.duplicatedKOIs > result.samples.length) {
+        console.log(`   ... and ${result.duplicatedKOIs - result.samples.length} more`);
+    }
+    
+    if (!dryRun) {
+        const failures = await ensureIndexes();
+        console.log(failures.length === 0 ? '\n✅ Unique kepoi_name index in place' : '\n⚠️ Some indexes could not be created');
+    }
+    
+} catch (error) {
+    console.error('❌ Deduplication failed:', error.message);
+    process.exitCode = 1;
+    
+} finally {
+    await closeDatabase();
+}
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+/**
+ * Admin authentication middleware
+ * Requires the ADMIN_API_KEY environment variable in an "Authorization: Bearer <key>" header
+ * Admin endpoints are disabled when ADMIN_API_KEY is not configured
+ */
+export const requireAdmin = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey) {
+        return res.status(503).json({
+            error: 'Service Unavailable',
+            message: 'Admin endpoints are disabled: ADMIN_API_KEY is not configured'
+        });
+    }
+
+    const header = req.get('Authorization') || '';
+    const providedKey = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    // Constant-time comparison of the key digests
+    const expected = crypto.createHash('sha256').update(adminKey).digest();
+    const provided = crypto.createHash('sha256').update(providedKey).digest();
+
+    if (!providedKey || !crypto.timingSafeEqual(expected, provided)) {
+        console.log(`⛔ Unauthorized admin request: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin key is required (Authorization: Bearer <ADMIN_API_KEY>)'
+        });
+    }
+
+    next();
+};
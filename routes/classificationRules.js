@@ -0,0 +1,354 @@
+import express from 'express';
+import { ClassificationRulesService } from '../services/classificationRulesService.js';
+import { ExoplanetClassificationService } from '../services/planetClassification.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+/**
+ * Send the result of a rule-set change
+ * @param {Object} res - Express response
+ * @param {Object} result - { valid: true, ruleSet } or { valid: false, error, notFound }
+ * @param {string} message - Success message
+ */
+const sendChangeResult = (res, result, message) => {
+    if (!result.valid) {
+        return res.status(result.notFound ? 404 : 400).json({
+            error: result.notFound ? 'Not Found' : 'Bad Request',
+            message: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message,
+        data: result.ruleSet,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Parse a rule-set version parameter
+ * @param {string} value - Raw version
+ * @returns {number|null} Version or null if invalid
+ */
+const parseVersion = (value) => {
+    return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+};
+
+/**
+ * GET /api/classification-rules
+ * Get the active rule set
+ */
+router.get('/', async (req, res) => {
+    try {
+        const ruleSet = await ClassificationRulesService.getActiveRuleSet();
+
+        res.json({
+            success: true,
+            data: ruleSet || {
+                version: ExoplanetClassificationService.BUILTIN_RULE_SET_VERSION,
+                rules: ExoplanetClassificationService.CLASSIFICATIONS,
+                comment: 'Built-in rules'
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error retrieving classification rules:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving classification rules',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/classification-rules/versions
+ * List the rule-set versions, most recent first
+ *
+ * Query params:
+ * - limit: number of versions (default: 20, max: 100)
+ * - skip: number of versions to skip (default: 0)
+ */
+router.get('/versions', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+        const { versions, total } = await ClassificationRulesService.listVersions(limit, skip);
+
+        res.json({
+            success: true,
+            data: {
+                activeVersion: ExoplanetClassificationService.getRuleSetVersion(),
+                versions,
+                pagination: {
+                    total,
+                    limit,
+                    skip,
+                    hasMore: skip + versions.length < total
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing classification rule versions:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error listing classification rule versions',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/classification-rules/versions/:version
+ * Get a rule set by version
+ */
+router.get('/versions/:version', async (req, res) => {
+    try {
+        const version = parseVersion(req.params.version);
+        if (version === null) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'The version must be a positive integer'
+            });
+        }
+
+        const ruleSet = await ClassificationRulesService.getRuleSet(version);
+        if (!ruleSet) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Rule set v${version} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ruleSet,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error retrieving classification rule set:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving classification rule set',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/classification-rules/versions/:version/activate (admin)
+ * Restore the rules of an older version as a new version
+ *
+ * Request body:
+ * - comment: string (optional) - Change description
+ * - author: string (optional)
+ */
+router.post('/versions/:version/activate', requireAdmin, async (req, res) => {
+    try {
+        const version = parseVersion(req.params.version);
+        if (version === null) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'The version must be a positive integer'
+            });
+        }
+
+        const { comment, author } = req.body || {};
+        const result = await ClassificationRulesService.activateVersion(version, { comment, author });
+
+        sendChangeResult(res, result, `Rules of v${version} restored`);
+
+    } catch (error) {
+        console.error('❌ Error activating classification rule set:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error activating classification rule set',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/classification-rules/rules/:key
+ * Get a rule of the active rule set
+ */
+router.get('/rules/:key', (req, res) => {
+    const rules = ExoplanetClassificationService.getRules();
+
+    // Own keys only: 'constructor' or '__proto__' are not rules
+    if (!Object.hasOwn(rules, req.params.key)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `Rule '${req.params.key}' not found`
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            key: req.params.key,
+            ...rules[req.params.key],
+            ruleSetVersion: ExoplanetClassificationService.getRuleSetVersion()
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * POST /api/classification-rules/rules (admin)
+ * Add a rule (creates a new version)
+ *
+ * Request body:
+ * - key: string (required) - Rule key (ex: "ocean")
+ * - rule: { name, type, description, texture, criteria: { radius, temperature, distance } } (required)
+ * - comment, author: string (optional)
+ */
+router.post('/rules', requireAdmin, async (req, res) => {
+    try {
+        const { key, rule, comment, author } = req.body || {};
+
+        const validation = ClassificationRulesService.validateRule(key, rule);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: validation.error
+            });
+        }
+
+        const result = await ClassificationRulesService.createRule(key, validation.rule, { comment, author });
+
+        sendChangeResult(res, result, `Rule '${key}' created`);
+
+    } catch (error) {
+        console.error('❌ Error creating classification rule:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error creating classification rule',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * PUT /api/classification-rules/rules/:key (admin)
+ * Replace a rule (creates a new version)
+ *
+ * Request body:
+ * - rule: { name, type, description, texture, criteria } (required)
+ * - comment, author: string (optional)
+ */
+router.put('/rules/:key', requireAdmin, async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { rule, comment, author } = req.body || {};
+
+        const validation = ClassificationRulesService.validateRule(key, rule);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: validation.error
+            });
+        }
+
+        const result = await ClassificationRulesService.updateRule(key, validation.rule, { comment, author });
+
+        sendChangeResult(res, result, `Rule '${key}' updated`);
+
+    } catch (error) {
+        console.error('❌ Error updating classification rule:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error updating classification rule',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * DELETE /api/classification-rules/rules/:key (admin)
+ * Delete a rule (creates a new version)
+ *
+ * Query params:
+ * - comment, author: string (optional)
+ */
+router.delete('/rules/:key', requireAdmin, async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { comment, author } = req.query;
+
+        const result = await ClassificationRulesService.deleteRule(key, { comment, author });
+
+        sendChangeResult(res, result, `Rule '${key}' deleted`);
+
+    } catch (error) {
+        console.error('❌ Error deleting classification rule:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error deleting classification rule',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/classification-rules/reload (admin)
+ * Reload the active rule set from the database
+ */
+router.post('/reload', requireAdmin, async (req, res) => {
+    try {
+        const ruleSet = await ClassificationRulesService.loadActiveRuleSet();
+
+        res.json({
+            success: true,
+            message: 'Classification rules reloaded',
+            data: {
+                activeVersion: ExoplanetClassificationService.getRuleSetVersion(),
+                ruleCount: Object.keys(ruleSet?.rules || ExoplanetClassificationService.getRules()).length
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error reloading classification rules:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error reloading classification rules',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/classification-rules/health
+ * Classification rules API health check
+ */
+router.get('/health', (req, res) => {
+    res.json({
+        success: true,
+        service: 'Classification Rules API',
+        status: 'OK',
+        activeVersion: ExoplanetClassificationService.getRuleSetVersion(),
+        adminEnabled: !!process.env.ADMIN_API_KEY,
+        endpoints: [
+            'GET /api/classification-rules',
+            'GET /api/classification-rules/versions',
+            'GET /api/classification-rules/versions/:version',
+            'POST /api/classification-rules/versions/:version/activate',
+            'GET /api/classification-rules/rules/:key',
+            'POST /api/classification-rules/rules',
+            'PUT /api/classification-rules/rules/:key',
+            'DELETE /api/classification-rules/rules/:key',
+            'POST /api/classification-rules/reload'
+        ],
+        timestamp: new Date().toISOString()
+    });
+});
+
+export default router;
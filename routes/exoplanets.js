@@ -1,13 +1,37 @@
 import express from 'express';
 import { ExoplanetService } from '../services/exoplanetService.js';
+import { ExoplanetQueryBuilder } from '../services/exoplanetQueryBuilder.js';
+import { CatalogExportService } from '../services/exportService.js';
+import { HabitabilityService } from '../services/habitabilityService.js';
+import { StarService } from '../services/starService.js';
+import { EphemerisService } from '../services/ephemerisService.js';
+import { SystemSceneService } from '../services/sceneService.js';
+import { DataQualityService } from '../services/dataQualityService.js';
+import { ProbabilisticClassificationService } from '../services/probabilisticClassification.js';
+import { ExoplanetClassificationService } from '../services/planetClassification.js';
+import { CompositionService } from '../services/compositionService.js';
+import { PlanetComparisonService } from '../services/comparisonService.js';
+import { SimilarityService } from '../services/similarityService.js';
+import { CatalogAnalyticsService } from '../services/analyticsService.js';
+import { SkyPositionService } from '../services/skyService.js';
+import { CrossMatchService } from '../services/crossMatchService.js';
 
 const router = express.Router();
 
+// System names: Kepler hosts (Kepler-257) and the TOI / Planetary Systems hosts (TOI-700, K2-18, HD 219134...)
+const SYSTEM_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 .+_-]{0,49}$/;
+
 /**
  * GET /api/exoplanets/system/:keplerName
- * Retrieve exoplanets from a specific Kepler system
+ * Retrieve exoplanets from a specific system
+ * Kepler systems come from the KOIs, other hosts (ex: TOI-700, K2-18) from the synced TOI
+ * and Planetary Systems catalogs
+ * 
+ * Query params:
+ * - strict: 'true' to return null instead of default values (default: false)
+ * - probabilistic: 'true' to add the classification probability distribution of each planet
  * 
- * Example: GET /api/exoplanets/system/Kepler-257
+ * Example: GET /api/exoplanets/system/Kepler-257, GET /api/exoplanets/system/TOI-700
  */
 router.get('/system/:keplerName', async (req, res) => {
     try {
@@ -21,18 +45,21 @@ router.get('/system/:keplerName', async (req, res) => {
             });
         }
         
-        // Format validation (optional)
-        if (!/^Kepler-\d+$/i.test(keplerName)) {
+        // Format validation (catalog host names: Kepler-257, TOI-700, K2-18, HD 219134...)
+        if (!SYSTEM_NAME_PATTERN.test(keplerName)) {
             return res.status(400).json({
                 error: 'Bad Request',
-                message: 'Invalid format. Use format: Kepler-XXX (ex: Kepler-257)'
+                message: 'Invalid system name (ex: Kepler-257, TOI-700, K2-18)'
             });
         }
         
         console.log(`🌌 Request for system: ${keplerName}`);
         
         // Data retrieval
-        const systemData = await ExoplanetService.getKeplerSystem(keplerName);
+        const systemData = await ExoplanetService.getKeplerSystem(keplerName, {
+            strict: req.query.strict === 'true',
+            probabilistic: req.query.probabilistic === 'true'
+        });
         
         // Check if exoplanets were found
         if (systemData.exoplanets.length === 0) {
@@ -44,7 +71,9 @@ router.get('/system/:keplerName', async (req, res) => {
                     'Kepler-186',
                     'Kepler-452', 
                     'Kepler-438',
-                    'Kepler-442'
+                    'Kepler-442',
+                    'TOI-700',
+                    'K2-18'
                 ]
             });
         }
@@ -70,6 +99,192 @@ router.get('/system/:keplerName', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/exoplanets/system/:keplerName/transits
+ * Predict the transits of every confirmed planet of a system in a time window
+ * Non-Kepler hosts (ex: TOI-700, K2-18) are resolved in the TOI and Planetary Systems catalogs
+ * 
+ * Query params:
+ * - from: window start, ISO date or Julian Date (default: now)
+ * - to: window end, ISO date or Julian Date (default: from + 30 days, max window: 3650 days)
+ * 
+ * Example: GET /api/exoplanets/system/Kepler-257/transits?from=2025-01-01&to=2025-02-01
+ */
+router.get('/system/:keplerName/transits', async (req, res) => {
+    try {
+        const { keplerName } = req.params;
+        
+        if (!SYSTEM_NAME_PATTERN.test(keplerName)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid system name (ex: Kepler-257, TOI-700, K2-18)'
+            });
+        }
+        
+        const window = EphemerisService.resolveWindow(req.query.from, req.query.to);
+        if (!window.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: window.error
+            });
+        }
+        
+        console.log(`🔭 Transit prediction for system: ${keplerName}`);
+        
+        const result = await EphemerisService.getSystemTransits(keplerName, window.from, window.to);
+        
+        if (!result) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No confirmed exoplanets found for system ${keplerName}`,
+                systemName: keplerName
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                window: {
+                    from: EphemerisService.formatEpoch(window.from),
+                    to: EphemerisService.formatEpoch(window.to)
+                },
+                totalTransits: result.timeline.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ API error for transits of ${req.params.keplerName}:`, error);
+        
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error predicting transits',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/system/:keplerName/scene
+ * Ready-to-render orbits of a system for the 3D visualizer (Kepler, TOI or Planetary Systems host)
+ * 
+ * Query params:
+ * - epoch: epoch of the orbital phases, ISO date or Julian Date (default: now)
+ * - distanceScale: scene units per AU (default: 100)
+ * - radiusScale: scene units per R⊕ (default: 1)
+ * 
+ * Example: GET /api/exoplanets/system/Kepler-257/scene?epoch=2025-01-01&distanceScale=50
+ */
+router.get('/system/:keplerName/scene', async (req, res) => {
+    try {
+        const { keplerName } = req.params;
+        const { epoch, distanceScale, radiusScale } = req.query;
+        
+        if (!SYSTEM_NAME_PATTERN.test(keplerName)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid system name (ex: Kepler-257, TOI-700, K2-18)'
+            });
+        }
+        
+        const epochBJD = epoch !== undefined ? EphemerisService.parseEpoch(epoch) : EphemerisService.dateToJD(new Date());
+        if (epochBJD === null) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid epoch: ${epoch}. ${EphemerisService.EPOCH_FORMAT_HINT}`
+            });
+        }
+        
+        const distanceScaleNum = parseFloat(distanceScale) || SystemSceneService.DEFAULT_DISTANCE_SCALE;
+        const radiusScaleNum = parseFloat(radiusScale) || SystemSceneService.DEFAULT_RADIUS_SCALE;
+        if (distanceScaleNum <= 0 || radiusScaleNum <= 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'distanceScale and radiusScale must be positive numbers'
+            });
+        }
+        
+        console.log(`🪐 Scene request for system: ${keplerName}`);
+        
+        const scene = await SystemSceneService.getSystemScene(keplerName, {
+            epoch: epochBJD,
+            distanceScale: distanceScaleNum,
+            radiusScale: radiusScaleNum
+        });
+        
+        if (!scene) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No confirmed exoplanets found for system ${keplerName}`,
+                systemName: keplerName
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: scene,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ API error for scene of ${req.params.keplerName}:`, error);
+        
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error building system scene',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/star/:keplerName
+ * Retrieve the host star of a system, derived from all of its KOIs
+ * (or from the stellar columns of the TOI and Planetary Systems catalogs for other hosts)
+ * 
+ * Example: GET /api/exoplanets/star/Kepler-257
+ */
+router.get('/star/:keplerName', async (req, res) => {
+    try {
+        const { keplerName } = req.params;
+        
+        if (!SYSTEM_NAME_PATTERN.test(keplerName)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid system name (ex: Kepler-257, TOI-700, K2-18)'
+            });
+        }
+        
+        console.log(`⭐ Request for host star: ${keplerName}`);
+        
+        const star = await StarService.getHostStar(keplerName);
+        
+        if (!star) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No host star found for system ${keplerName}`,
+                systemName: keplerName
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: star,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ API error for host star ${req.params.keplerName}:`, error);
+        
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving host star data',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * GET /api/exoplanets/search
  * Search for available Kepler systems
@@ -121,22 +336,55 @@ router.get('/search', async (req, res) => {
  * - limit: max number of results (default: 100, max: 10000)
  * - skip: number of elements to skip for pagination (default: 0)
  * - status: filter by status (optional: 'CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE')
+ * - <field>=<value> or <field>.<op>=<value>: filter on any KOI column
+ *   (numeric ops: eq, ne, gt, gte, lt, lte, in, exists - text ops: eq, ne, in, contains, startsWith, exists)
+ * - name: partial match on kepler_name or kepoi_name
+ * - classification: comma-separated classification keys (ex: grassland,jungle)
+ * - planetType: comma-separated planet types (ex: terrestrial,gas_giant)
+ * - IS_AI: true|false
+ * - sort: comma-separated fields, '-' prefix for descending (default: kepler_name)
+ * - cursor: opaque cursor from pagination.nextCursor (empty to start cursor pagination, replaces skip)
+ * - fields: comma-separated fields to return (KOI columns and enrichments, default: all)
+ * - includeStats: 'false' to leave out the global statistics block (default: true)
+ * 
+ * Example: GET /api/exoplanets/all?koi_prad.gte=0.8&koi_prad.lte=1.5&koi_teq.lt=320&sort=-koi_score
+ * Example: GET /api/exoplanets/all?cursor=&limit=1000&fields=kepler_name,koi_prad,texture&includeStats=false
  */
 router.get('/all', async (req, res) => {
     try {
         const { 
             limit = 100, 
             skip = 0, 
-            status 
+            status,
+            cursor,
+            includeStats
         } = req.query;
         
+        const query = ExoplanetQueryBuilder.parse(req.query);
+        if (!query.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: query.error
+            });
+        }
+        
         const limitNum = Math.min(parseInt(limit) || 100, 10000); // Max 10000 results pour récupérer toutes les données
-        const skipNum = Math.max(parseInt(skip) || 0, 0);
+        const useCursor = cursor !== undefined;
+        const skipNum = useCursor ? 0 : Math.max(parseInt(skip) || 0, 0);
+        const withStats = includeStats !== 'false';
         
-        console.log(`🌍 Request for all exoplanets - limit: ${limitNum}, skip: ${skipNum}, status: ${status || 'all'}`);
+        console.log(`🌍 Request for all exoplanets - limit: ${limitNum}, skip: ${useCursor ? 'cursor' : skipNum}, status: ${status || 'all'}`);
         
-        // Data retrieval
-        const result = await ExoplanetService.getAllExoplanets(limitNum, skipNum, status);
+        // Data retrieval (with cursors, the total is only counted on the first page)
+        const result = await ExoplanetService.getAllExoplanets(limitNum, skipNum, status, {
+            filter: query.filter,
+            baseFilter: query.baseFilter,
+            sort: query.sort,
+            fields: query.fields,
+            useCursor,
+            includeTotal: !query.hasCursor,
+            includeStats: withStats
+        });
         
         res.json({
             success: true,
@@ -145,18 +393,19 @@ router.get('/all', async (req, res) => {
                 pagination: {
                     total: result.total,
                     limit: limitNum,
-                    skip: skipNum,
-                    hasMore: (skipNum + limitNum) < result.total
+                    ...(useCursor ? { nextCursor: result.nextCursor } : { skip: skipNum }),
+                    hasMore: result.hasMore
                 },
                 filters: {
-                    status: status || 'all'
+                    status: status || 'all',
+                    ...query.applied
                 },
-                stats: result.stats
+                ...(withStats && { stats: result.stats })
             },
             timestamp: new Date().toISOString()
         });
         
-        console.log(`✅ Sent ${result.exoplanets.length} exoplanets out of ${result.total} total`);
+        console.log(`✅ Sent ${result.exoplanets.length} exoplanets out of ${result.total ?? 'n/a'} total`);
         
     } catch (error) {
         console.error('❌ Error retrieving all exoplanets:', error);
@@ -169,19 +418,147 @@ router.get('/all', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/exoplanets/export
+ * Stream the catalog as a file, straight from a MongoDB cursor
+ * 
+ * Query params:
+ * - format: csv | ndjson | votable | columnar (default: csv)
+ * - limit: max number of rows (optional, default: no limit)
+ * - status, sort, fields and every filter of GET /api/exoplanets/all
+ * 
+ * Example: GET /api/exoplanets/export?format=votable&status=CONFIRMED&koi_prad.lte=2
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const { format = 'csv', limit, status } = req.query;
+        
+        if (!Object.hasOwn(CatalogExportService.FORMATS, format)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid format '${format}'. Use one of: ${Object.keys(CatalogExportService.FORMATS).join(', ')}`
+            });
+        }
+        
+        const query = ExoplanetQueryBuilder.parse(req.query, { reserved: ['format'] });
+        if (!query.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: query.error
+            });
+        }
+        
+        console.log(`📦 Export request - format: ${format}, status: ${status || 'all'}`);
+        
+        const formatInfo = CatalogExportService.FORMATS[format];
+        res.setHeader('Content-Type', formatInfo.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="koi_objects.${formatInfo.extension}"`);
+        
+        await CatalogExportService.streamExport(res, {
+            format,
+            filter: query.filter,
+            status,
+            sort: query.sort,
+            fields: query.fields,
+            limit: Math.max(parseInt(limit) || 0, 0)
+        });
+        
+    } catch (error) {
+        console.error('❌ Error exporting the catalog:', error);
+        
+        // Once streaming has started, the only way to signal the failure is to cut the response
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error exporting the catalog',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/habitable
+ * Rank planets by Earth Similarity Index
+ * 
+ * Query params:
+ * - zone: 'conservative', 'optimistic' or 'all' (default: optimistic)
+ * - minEsi: minimum ESI between 0 and 1 (default: 0)
+ * - status: disposition filter, or 'all' (default: CONFIRMED)
+ * - limit: max number of results (default: 50, max: 500)
+ */
+router.get('/habitable', async (req, res) => {
+    try {
+        const { zone = 'optimistic', minEsi = 0, status = 'CONFIRMED', limit = 50 } = req.query;
+        
+        if (!['conservative', 'optimistic', 'all'].includes(zone)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: "Invalid zone. Use 'conservative', 'optimistic' or 'all'"
+            });
+        }
+        
+        if (!['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE', 'ALL'].includes(String(status).toUpperCase())) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: "Invalid status. Use 'CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE' or 'all'"
+            });
+        }
+        
+        const minEsiNum = Math.min(Math.max(parseFloat(minEsi) || 0, 0), 1);
+        const limitNum = Math.min(parseInt(limit) || 50, 500);
+        
+        const result = await ExoplanetService.getHabitablePlanets({
+            zone,
+            minEsi: minEsiNum,
+            status,
+            limit: limitNum
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                planets: result.planets,
+                totalMatching: result.totalMatching,
+                evaluated: result.evaluated,
+                filters: {
+                    zone,
+                    minEsi: minEsiNum,
+                    status,
+                    limit: limitNum
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+        console.log(`✅ Sent ${result.planets.length} habitable planet candidates`);
+        
+    } catch (error) {
+        console.error('❌ Error ranking habitable planets:', error);
+        
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error ranking habitable planets',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * GET /api/exoplanets/classifications
  * Get the list of available classifications
  */
 router.get('/classifications', async (req, res) => {
     try {
-        const { ExoplanetClassificationService } = await import('../services/planetClassification.js');
-        
         res.json({
             success: true,
             data: {
-                classifications: ExoplanetClassificationService.CLASSIFICATIONS,
-                totalTypes: Object.keys(ExoplanetClassificationService.CLASSIFICATIONS).length
+                classifications: ExoplanetClassificationService.getRules(),
+                totalTypes: Object.keys(ExoplanetClassificationService.getRules()).length,
+                ruleSetVersion: ExoplanetClassificationService.getRuleSetVersion(),
+                compositionClasses: CompositionService.COMPOSITION_CLASSES
             },
             timestamp: new Date().toISOString()
         });
@@ -197,37 +574,649 @@ router.get('/classifications', async (req, res) => {
 });
 
 /**
- * GET /api/exoplanets/:id
- * Retrieve a specific exoplanet by ID
+ * GET /api/exoplanets/compare
+ * Compare exoplanets side by side
+ * 
+ * Query params:
+ * - ids: comma-separated ObjectIds, kepoi_name or kepler_name (2 to 10, the first one is the baseline)
+ * 
+ * Example: GET /api/exoplanets/compare?ids=Kepler-442 b,K00701.04
  */
-router.get('/:id', async (req, res) => {
+router.get('/compare', async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        // Parameter validation
-        if (!id) {
+        const parsed = PlanetComparisonService.parseIds(req.query.ids);
+        if (!parsed.valid) {
             return res.status(400).json({
                 error: 'Bad Request',
-                message: 'Exoplanet ID is required'
+                message: parsed.error
             });
         }
         
-        console.log(`🔍 Request for exoplanet ID: ${id}`);
+        console.log(`⚖️ Comparing exoplanets: ${parsed.ids.join(', ')}`);
         
-        // Try to find exoplanet by MongoDB _id or other identifier
-        const exoplanet = await ExoplanetService.getExoplanetById(id);
+        const comparison = await PlanetComparisonService.comparePlanets(parsed.ids);
         
-        if (!exoplanet) {
+        if (comparison.notFound) {
             return res.status(404).json({
                 error: 'Not Found',
-                message: `Exoplanet with ID '${id}' not found`,
-                id: id
+                message: `Exoplanets not found: ${comparison.notFound.join(', ')}`,
+                notFound: comparison.notFound
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: comparison,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error comparing exoplanets:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to compare exoplanets',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Parse the disposition filter of the sky searches
+ * @param {string|undefined} status - Raw status
+ * @returns {Object} { valid: true, status } or { valid: false, error }
+ */
+const parseSkyStatus = (status) => {
+    if (status === undefined || status === '' || String(status).toLowerCase() === 'all') {
+        return { valid: true, status: null };
+    }
+    
+    const disposition = String(status).toUpperCase();
+    if (!['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE'].includes(disposition)) {
+        return { valid: false, error: `Invalid status '${status}'. Use CONFIRMED, CANDIDATE, FALSE POSITIVE or all` };
+    }
+    
+    return { valid: true, status: disposition };
+};
+
+/**
+ * GET /api/exoplanets/cone
+ * Cone search: KOIs within a radius of a sky position, closest first
+ * 
+ * Query params:
+ * - ra: right ascension, degrees or sexagesimal hours (ex: 291.934, 19h27m44.22s, 19:27:44.22)
+ * - dec: declination, degrees or sexagesimal degrees (ex: 48.142, +48d08m29.9s, +48:08:29.9)
+ * - radius: search radius (default: 0.1°, max: 10°)
+ * - unit: radius unit, 'deg' (default), 'arcmin' or 'arcsec'
+ * - status: disposition filter (default: all)
+ * - limit: max number of results (default: 100, max: 1000)
+ * 
+ * Example: GET /api/exoplanets/cone?ra=19h27m44.22s&dec=+48d08m29.9s&radius=30&unit=arcmin
+ */
+router.get('/cone', async (req, res) => {
+    try {
+        const { ra: rawRa, dec: rawDec, radius: rawRadius, unit = 'deg', limit } = req.query;
+        
+        const ra = SkyPositionService.parseRightAscension(rawRa);
+        const dec = SkyPositionService.parseDeclination(rawDec);
+        if (ra === null || dec === null) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: ra === null
+                    ? 'ra is required: degrees in [0, 360) or sexagesimal hours (ex: 19h27m44.22s)'
+                    : 'dec is required: degrees in [-90, 90] or sexagesimal degrees (ex: +48d08m29.9s)'
             });
         }
         
+        const radius = SkyPositionService.parseRadius(rawRadius, unit);
+        const status = parseSkyStatus(req.query.status);
+        const invalid = [radius, status].find(parsed => !parsed.valid);
+        if (invalid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: invalid.error
+            });
+        }
+        
+        console.log(`🔭 Cone search at (${ra}, ${dec}) - radius: ${radius.radius}°`);
+        
+        const cone = await SkyPositionService.coneSearch({
+            ra,
+            dec,
+            radius: radius.radius,
+            status: status.status,
+            limit: Math.min(Math.max(parseInt(limit) || SkyPositionService.DEFAULT_CONE_LIMIT, 1), SkyPositionService.MAX_CONE_LIMIT)
+        });
+        
         res.json({
             success: true,
-            data: exoplanet,
+            data: cone,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error during cone search:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to run cone search',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/box
+ * Box search: KOIs inside an RA/Dec rectangle, brightest (lowest koi_kepmag) first
+ * 
+ * Query params:
+ * - raMin, raMax: right ascension range, degrees or sexagesimal hours (raMin > raMax wraps through 0°)
+ * - decMin, decMax: declination range, degrees or sexagesimal degrees
+ * - status: disposition filter (default: all)
+ * - limit: max number of results (default: 500, max: 5000)
+ * 
+ * Example: GET /api/exoplanets/box?raMin=280&raMax=300&decMin=36&decMax=52
+ */
+router.get('/box', async (req, res) => {
+    try {
+        const { limit } = req.query;
+        
+        const raMin = SkyPositionService.parseRightAscension(req.query.raMin);
+        const raMax = SkyPositionService.parseRightAscension(req.query.raMax);
+        const decMin = SkyPositionService.parseDeclination(req.query.decMin);
+        const decMax = SkyPositionService.parseDeclination(req.query.decMax);
+        
+        if (raMin === null || raMax === null || decMin === null || decMax === null) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'raMin, raMax (degrees in [0, 360) or sexagesimal hours) and decMin, decMax (degrees in [-90, 90]) are required'
+            });
+        }
+        
+        if (decMin > decMax) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'decMin must be lower than or equal to decMax'
+            });
+        }
+        
+        const status = parseSkyStatus(req.query.status);
+        if (!status.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: status.error
+            });
+        }
+        
+        console.log(`🔭 Box search - RA: ${raMin}..${raMax}, Dec: ${decMin}..${decMax}`);
+        
+        const box = await SkyPositionService.boxSearch({
+            raMin,
+            raMax,
+            decMin,
+            decMax,
+            status: status.status,
+            limit: Math.min(Math.max(parseInt(limit) || SkyPositionService.DEFAULT_BOX_LIMIT, 1), SkyPositionService.MAX_BOX_LIMIT)
+        });
+        
+        res.json({
+            success: true,
+            data: box,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error during box search:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to run box search',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/analytics/histogram
+ * Histogram of a numeric KOI column
+ * 
+ * Query params:
+ * - field: numeric KOI column (required)
+ * - bins: number of bins (default: 20, max: 200)
+ * - scale: 'linear' (default) or 'log'
+ * - min, max: histogram range (default: range of the data)
+ * - splitBy: 'disposition', 'classification' or 'IS_AI' (optional)
+ * - status and every /all filter
+ * 
+ * Example: GET /api/exoplanets/analytics/histogram?field=koi_prad&scale=log&bins=30&splitBy=disposition
+ */
+router.get('/analytics/histogram', async (req, res) => {
+    try {
+        const common = CatalogAnalyticsService.parseCommon(req.query);
+        const parsed = common.valid
+            ? CatalogAnalyticsService.parseAxis(req.query, { field: 'field', scale: 'scale', bins: 'bins', min: 'min', max: 'max' }, {
+                defaultBins: CatalogAnalyticsService.DEFAULT_BINS,
+                maxBins: CatalogAnalyticsService.MAX_BINS
+            })
+            : common;
+        
+        if (!parsed.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsed.error
+            });
+        }
+        
+        console.log(`📊 Histogram of ${parsed.axis.field} - scale: ${parsed.axis.scale}, bins: ${parsed.axis.bins}, split: ${common.split || 'none'}`);
+        
+        const histogram = await CatalogAnalyticsService.getHistogram(parsed.axis, {
+            match: common.match,
+            split: common.split
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                ...histogram,
+                filters: common.applied
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error computing histogram:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to compute histogram',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/analytics/percentiles
+ * Percentiles and summary statistics of a numeric KOI column
+ * 
+ * Query params:
+ * - field: numeric KOI column (required)
+ * - percentiles: comma-separated percentiles (default: 5,25,50,75,95)
+ * - splitBy: 'disposition', 'classification' or 'IS_AI' (optional)
+ * - status and every /all filter
+ * 
+ * Example: GET /api/exoplanets/analytics/percentiles?field=koi_teq&splitBy=classification
+ */
+router.get('/analytics/percentiles', async (req, res) => {
+    try {
+        const { field } = req.query;
+        
+        const common = CatalogAnalyticsService.parseCommon(req.query);
+        if (!common.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: common.error
+            });
+        }
+        
+        if (!field || !ExoplanetQueryBuilder.NUMERIC_FIELDS.includes(field)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: field ? `field must be a numeric KOI column, got '${field}'` : 'field is required (numeric KOI column, ex: koi_prad)'
+            });
+        }
+        
+        const parsed = CatalogAnalyticsService.parsePercentiles(req.query.percentiles);
+        if (!parsed.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsed.error
+            });
+        }
+        
+        console.log(`📊 Percentiles of ${field} - split: ${common.split || 'none'}`);
+        
+        const statistics = await CatalogAnalyticsService.getPercentiles(field, parsed.percentiles, {
+            match: common.match,
+            split: common.split
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                ...statistics,
+                filters: common.applied
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error computing percentiles:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to compute percentiles',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/analytics/density
+ * 2D density grid of two numeric KOI columns (ex: period-radius diagram)
+ * 
+ * Query params:
+ * - x, y: numeric KOI columns (required)
+ * - xBins, yBins: number of bins per axis (default: 30, max: 100)
+ * - xScale, yScale: 'linear' (default) or 'log'
+ * - xMin, xMax, yMin, yMax: grid range (default: range of the data)
+ * - splitBy: 'disposition', 'classification' or 'IS_AI' (optional)
+ * - status and every /all filter
+ * 
+ * Example: GET /api/exoplanets/analytics/density?x=koi_period&y=koi_prad&xScale=log&yScale=log
+ */
+router.get('/analytics/density', async (req, res) => {
+    try {
+        const limits = {
+            defaultBins: CatalogAnalyticsService.DEFAULT_GRID_BINS,
+            maxBins: CatalogAnalyticsService.MAX_GRID_BINS
+        };
+        
+        const common = CatalogAnalyticsService.parseCommon(req.query);
+        const xAxis = CatalogAnalyticsService.parseAxis(req.query, { field: 'x', scale: 'xScale', bins: 'xBins', min: 'xMin', max: 'xMax' }, limits);
+        const yAxis = CatalogAnalyticsService.parseAxis(req.query, { field: 'y', scale: 'yScale', bins: 'yBins', min: 'yMin', max: 'yMax' }, limits);
+        
+        const invalid = [common, xAxis, yAxis].find(parsed => !parsed.valid);
+        if (invalid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: invalid.error
+            });
+        }
+        
+        console.log(`📊 Density grid of ${xAxis.axis.field}/${yAxis.axis.field} - ${xAxis.axis.bins}x${yAxis.axis.bins}, split: ${common.split || 'none'}`);
+        
+        const grid = await CatalogAnalyticsService.getDensityGrid(xAxis.axis, yAxis.axis, {
+            match: common.match,
+            split: common.split
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                ...grid,
+                filters: common.applied
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error computing density grid:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to compute density grid',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/:id/classification
+ * Classify an exoplanet with its uncertainties
+ * 
+ * Query params:
+ * - samples: number of Monte Carlo samples (default: 2000, max: 20000)
+ * - seed: random seed (default: derived from kepoi_name)
+ */
+router.get('/:id/classification', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { samples, seed } = req.query;
+        
+        if (samples !== undefined && !/^\d+$/.test(samples)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `samples must be an integer between 1 and ${ProbabilisticClassificationService.MAX_SAMPLES}`
+            });
+        }
+        
+        if (seed !== undefined && !/^\d+$/.test(seed)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'seed must be a non-negative integer'
+            });
+        }
+        
+        const exoplanet = await ExoplanetService.getExoplanetById(id);
+        
+        if (!exoplanet) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Exoplanet with ID '${id}' not found`,
+                id: id
+            });
+        }
+        
+        // Point classification with the active rules, for comparison
+        const point = ExoplanetClassificationService.classifyExoplanet(exoplanet);
+        
+        res.json({
+            success: true,
+            data: {
+                kepoi_name: exoplanet.kepoi_name,
+                kepler_name: exoplanet.kepler_name || null,
+                koi_disposition: exoplanet.koi_disposition,
+                point,
+                probabilistic: ProbabilisticClassificationService.classify(exoplanet, {
+                    samples: samples !== undefined ? parseInt(samples, 10) : undefined,
+                    seed: seed !== undefined ? parseInt(seed, 10) : null
+                })
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error classifying exoplanet:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to classify exoplanet'
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/:id/similar
+ * Find the KOIs closest to an exoplanet in the normalized feature space
+ * 
+ * Query params:
+ * - limit: number of neighbours (default: 10, max: 50)
+ * - status: disposition of the neighbours (CONFIRMED, CANDIDATE, FALSE POSITIVE, default: all)
+ * - features: comma-separated features (radius, temperature, period, insolation, starTemperature, default: all)
+ */
+router.get('/:id/similar', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.query;
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || SimilarityService.DEFAULT_LIMIT, 1), SimilarityService.MAX_LIMIT);
+        
+        // A repeated parameter arrives as an array: normalized to a string, it is rejected
+        const disposition = status ? String(status).toUpperCase() : null;
+        if (disposition && !['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE'].includes(disposition)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'status must be CONFIRMED, CANDIDATE or FALSE POSITIVE'
+            });
+        }
+        
+        const features = SimilarityService.parseFeatures(req.query.features);
+        if (!features.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: features.error
+            });
+        }
+        
+        const exoplanet = await ExoplanetService.getExoplanetById(id);
+        
+        if (!exoplanet) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Exoplanet with ID '${id}' not found`,
+                id: id
+            });
+        }
+        
+        const result = await SimilarityService.findSimilar(exoplanet, {
+            limit,
+            status: disposition,
+            features: features.features
+        });
+        
+        res.json({
+            success: true,
+            data: result,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error finding similar exoplanets:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to find similar exoplanets',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/:id/transits
+ * Predict the transits of an exoplanet in a time window
+ * 
+ * Query params:
+ * - from: window start, ISO date or Julian Date (default: now)
+ * - to: window end, ISO date or Julian Date (default: from + 30 days, max window: 3650 days)
+ */
+router.get('/:id/transits', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const window = EphemerisService.resolveWindow(req.query.from, req.query.to);
+        if (!window.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: window.error
+            });
+        }
+        
+        const exoplanet = await ExoplanetService.getExoplanetById(id);
+        
+        if (!exoplanet) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Exoplanet with ID '${id}' not found`,
+                id: id
+            });
+        }
+        
+        const prediction = EphemerisService.predictTransits(exoplanet, window.from, window.to);
+        
+        res.json({
+            success: true,
+            data: {
+                ...prediction,
+                window: {
+                    from: EphemerisService.formatEpoch(window.from),
+                    to: EphemerisService.formatEpoch(window.to)
+                },
+                totalTransits: prediction.transits.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error predicting transits:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to predict transits'
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/:id/crossmatch
+ * TESS Objects of Interest and Planetary Systems entries cross-matched with a KOI
+ * Planet-level entries are the same planet, star-level entries share its host star
+ */
+router.get('/:id/crossmatch', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const exoplanet = await ExoplanetService.getExoplanetById(id);
+        
+        if (!exoplanet) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Exoplanet with ID '${id}' not found`,
+                id: id
+            });
+        }
+        
+        const matches = await CrossMatchService.getMatchesForKoi(exoplanet);
+        
+        res.json({
+            success: true,
+            data: {
+                kepoi_name: exoplanet.kepoi_name,
+                kepler_name: exoplanet.kepler_name || null,
+                kepid: exoplanet.kepid ?? null,
+                ...matches,
+                totalMatches: matches.toi.length + matches.ps.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving cross-matches:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve cross-matches',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/exoplanets/:id
+ * Retrieve a specific exoplanet by ID
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Parameter validation
+        if (!id) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Exoplanet ID is required'
+            });
+        }
+        
+        console.log(`🔍 Request for exoplanet ID: ${id}`);
+        
+        // Try to find exoplanet by MongoDB _id or other identifier
+        const exoplanet = await ExoplanetService.getExoplanetById(id);
+        
+        if (!exoplanet) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Exoplanet with ID '${id}' not found`,
+                id: id
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...exoplanet,
+                habitability: HabitabilityService.assessHabitability(exoplanet),
+                composition: CompositionService.assessComposition(exoplanet),
+                dataQuality: DataQualityService.assessPlanet(exoplanet, { strict: true }).report
+            },
             timestamp: new Date().toISOString()
         });
         
@@ -251,10 +1240,25 @@ router.get('/health', (req, res) => {
         status: 'OK',
         endpoints: [
             'GET /api/exoplanets/:id',
+            'GET /api/exoplanets/:id/transits',
+            'GET /api/exoplanets/:id/classification',
+            'GET /api/exoplanets/:id/similar',
+            'GET /api/exoplanets/:id/crossmatch',
+            'GET /api/exoplanets/system/:keplerName/transits',
+            'GET /api/exoplanets/system/:keplerName/scene',
             'GET /api/exoplanets/system/:keplerName',
+            'GET /api/exoplanets/star/:keplerName',
             'GET /api/exoplanets/search',
             'GET /api/exoplanets/all',
-            'GET /api/exoplanets/classifications'
+            'GET /api/exoplanets/export',
+            'GET /api/exoplanets/habitable',
+            'GET /api/exoplanets/classifications',
+            'GET /api/exoplanets/compare',
+            'GET /api/exoplanets/cone',
+            'GET /api/exoplanets/box',
+            'GET /api/exoplanets/analytics/histogram',
+            'GET /api/exoplanets/analytics/percentiles',
+            'GET /api/exoplanets/analytics/density'
         ],
         timestamp: new Date().toISOString()
     });
@@ -0,0 +1,138 @@
+import express from 'express';
+import { SearchService } from '../services/searchService.js';
+
+const router = express.Router();
+
+/**
+ * Parse a result limit
+ * @param {string|undefined} value - Raw limit
+ * @param {number} defaultLimit - Default limit
+ * @param {number} maxLimit - Max limit
+ * @returns {number} Limit
+ */
+const parseLimit = (value, defaultLimit, maxLimit) => {
+    return Math.min(Math.max(parseInt(value) || defaultLimit, 1), maxLimit);
+};
+
+/**
+ * GET /api/search
+ * Ranked search over systems, planets and candidates
+ *
+ * Query params:
+ * - q: search term (names, kepid or comment words, typos tolerated)
+ * - limit: max number of results (default: 20, max: 100)
+ * - types: comma-separated result types (system, planet, candidate - default: all)
+ * - includeFalsePositives: true to include FALSE POSITIVE KOIs (default: false)
+ * - comments: false to skip the koi_comment search (default: true)
+ *
+ * Example: GET /api/search?q=keplr 22
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q: searchTerm = '', includeFalsePositives, comments } = req.query;
+
+        if (typeof searchTerm !== 'string') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'q must be a single string'
+            });
+        }
+
+        const parsed = SearchService.parseTypes(req.query.types);
+        if (!parsed.valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: parsed.error
+            });
+        }
+
+        console.log(`🔍 Catalog search: "${searchTerm}"`);
+
+        const result = await SearchService.search(searchTerm, {
+            limit: parseLimit(req.query.limit, SearchService.DEFAULT_LIMIT, SearchService.MAX_LIMIT),
+            types: parsed.types,
+            includeFalsePositives: includeFalsePositives === 'true',
+            comments: comments !== 'false'
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`✅ ${result.total} results for "${searchTerm}"`);
+
+    } catch (error) {
+        console.error('❌ Error during catalog search:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error searching the catalog',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/search/suggest
+ * Autocomplete suggestions (the last word is matched as a prefix)
+ *
+ * Query params:
+ * - q: partial search term
+ * - limit: max number of suggestions (default: 8, max: 20)
+ *
+ * Example: GET /api/search/suggest?q=kepler-6
+ */
+router.get('/suggest', async (req, res) => {
+    try {
+        const { q: searchTerm = '' } = req.query;
+
+        if (typeof searchTerm !== 'string') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'q must be a single string'
+            });
+        }
+
+        const suggestions = await SearchService.suggest(searchTerm, {
+            limit: parseLimit(req.query.limit, SearchService.DEFAULT_SUGGEST_LIMIT, SearchService.MAX_SUGGEST_LIMIT)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                query: searchTerm,
+                suggestions
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error computing search suggestions:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error computing search suggestions',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/search/health
+ * Search API health check
+ */
+router.get('/health', (req, res) => {
+    res.json({
+        success: true,
+        service: 'Search API',
+        status: 'OK',
+        index: SearchService.getIndexStatus(),
+        endpoints: [
+            'GET /api/search',
+            'GET /api/search/suggest'
+        ],
+        timestamp: new Date().toISOString()
+    });
+});
+
+export default router;
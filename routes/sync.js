@@ -1,6 +1,13 @@
 import express from 'express';
 import { NasaSyncService } from '../services/nasaSyncService.js';
 import { SchedulerService } from '../services/schedulerService.js';
+import { ReclassificationService } from '../services/reclassificationService.js';
+import { CatalogService } from '../services/catalogService.js';
+import { KoiChangeService } from '../services/koiChangeService.js';
+import { SyncJobService } from '../services/syncJobService.js';
+import { SyncLockService } from '../services/syncLockService.js';
+import { TapClient } from '../services/tapClient.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
 
 const router = express.Router();
 
@@ -11,14 +18,21 @@ const router = express.Router();
 router.get('/status', async (req, res) => {
     try {
         const schedulerStatus = SchedulerService.getStatus();
-        const lastLogs = await NasaSyncService.getSyncLogs(5);
+        const [lastLogs, currentJob, lock] = await Promise.all([
+            NasaSyncService.getSyncLogs(5),
+            SyncJobService.getActiveJob(),
+            SyncLockService.getLock()
+        ]);
         
         res.json({
             success: true,
             data: {
                 scheduler: schedulerStatus,
+                lock,
+                currentJob,
                 recentLogs: lastLogs,
                 nasaApiUrl: NasaSyncService.NASA_TAP_BASE_URL,
+                nasaApi: TapClient.getMetrics(),
                 inferApiUrl: NasaSyncService.BACKEND_INFER_URL
             },
             timestamp: new Date().toISOString()
@@ -46,7 +60,9 @@ router.post('/run', async (req, res) => {
         
         res.json({
             success: true,
-            message: 'Synchronization executed successfully',
+            message: stats.jobStatus === 'completed'
+                ? 'Synchronization executed successfully'
+                : `Synchronization stopped before completion (job ${stats.jobStatus})`,
             data: stats,
             timestamp: new Date().toISOString()
         });
@@ -71,6 +87,134 @@ router.post('/run', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/sync/jobs
+ * Get the synchronization jobs, most recent first
+ * 
+ * Query params:
+ * - status: queued, running, paused, failed or completed
+ * - limit: number of jobs to retrieve (default: 20, max: 100)
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limitNum = Math.min(parseInt(req.query.limit) || SyncJobService.DEFAULT_LIMIT, SyncJobService.MAX_LIMIT);
+        
+        if (status && !Object.keys(SyncJobService.TRANSITIONS).includes(status)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid status. Expected one of: ${Object.keys(SyncJobService.TRANSITIONS).join(', ')}`
+            });
+        }
+        
+        const jobs = await SyncJobService.listJobs({ status: status || null, limit: limitNum });
+        
+        res.json({
+            success: true,
+            data: {
+                jobs,
+                total: jobs.length,
+                limit: limitNum
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving sync jobs:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving synchronization jobs',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/sync/jobs/:id
+ * Get a synchronization job: state, checkpoint, progress and statistics
+ */
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await SyncJobService.getJob(req.params.id);
+        
+        res.json({
+            success: true,
+            data: job,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Error retrieving sync job ${req.params.id}:`, error);
+        
+        const notFound = error.message.includes('not found');
+        res.status(notFound ? 404 : 500).json({
+            error: notFound ? 'Not Found' : 'Internal Server Error',
+            message: notFound ? `Sync job ${req.params.id} not found` : 'Error retrieving synchronization job',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/sync/jobs/:id/pause (admin)
+ * Pause a synchronization job (a running job stops after its current batch)
+ */
+router.post('/jobs/:id/pause', requireAdmin, async (req, res) => {
+    await controlJob(req, res, 'pause', () => SyncJobService.pauseJob(req.params.id));
+});
+
+/**
+ * POST /api/sync/jobs/:id/resume (admin)
+ * Resume a paused, cancelled or failed synchronization job from its checkpoint (in the background)
+ */
+router.post('/jobs/:id/resume', requireAdmin, async (req, res) => {
+    await controlJob(req, res, 'resume', () => SchedulerService.resumeSync(req.params.id), 202);
+});
+
+/**
+ * POST /api/sync/jobs/:id/cancel (admin)
+ * Cancel a synchronization job (a running job stops after its current batch)
+ */
+router.post('/jobs/:id/cancel', requireAdmin, async (req, res) => {
+    await controlJob(req, res, 'cancel', () => SyncJobService.cancelJob(req.params.id));
+});
+
+/**
+ * Apply a job control action and send the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - 'pause', 'resume' or 'cancel'
+ * @param {Function} apply - Returns the updated job
+ * @param {number} successStatus - HTTP status on success
+ */
+async function controlJob(req, res, action, apply, successStatus = 200) {
+    try {
+        const job = await apply();
+        
+        res.status(successStatus).json({
+            success: true,
+            message: job.control
+                ? `Sync job ${job.id}: ${action} requested, applied after the current batch`
+                : `Sync job ${job.id} is now ${job.status}`,
+            data: job,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Error during ${action} of sync job ${req.params.id}:`, error);
+        
+        const notFound = error.message.includes('not found');
+        const conflict = error.message.startsWith('Cannot') || error.message.includes('already in progress');
+        const statusCode = notFound ? 404 : conflict ? 409 : 500;
+        
+        res.status(statusCode).json({
+            error: notFound ? 'Not Found' : conflict ? 'Conflict' : 'Internal Server Error',
+            message: notFound || conflict ? error.message : `Error during ${action} of the synchronization job`,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
 /**
  * POST /api/sync/scheduler/start
  * Start automatic scheduler
@@ -245,6 +389,8 @@ router.get('/stats', async (req, res) => {
             failedSyncs: logs.filter(log => log.error).length,
             lastSync: logs[0] || null,
             totalNewKOIs: logs.reduce((sum, log) => sum + (log.newKOIs || 0), 0),
+            totalUpdatedKOIs: logs.reduce((sum, log) => sum + (log.updatedKOIs || 0), 0),
+            totalDispositionChanges: logs.reduce((sum, log) => sum + (log.dispositionChanges || 0), 0),
             totalConfirmed: logs.reduce((sum, log) => sum + (log.confirmed || 0), 0),
             totalCandidates: logs.reduce((sum, log) => sum + (log.candidates || 0), 0),
             totalFalsePositive: logs.reduce((sum, log) => sum + (log.falsePositive || 0), 0),
@@ -267,6 +413,261 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/sync/tap
+ * Get the NASA TAP client metrics: requests, retries, failures, latency and circuit breaker state
+ */
+router.get('/tap', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            url: TapClient.SYNC_URL,
+            ...TapClient.getMetrics()
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * GET /api/sync/changes
+ * Get the field-level history of the KOIs revised by NASA, most recent first
+ * 
+ * Query params:
+ * - kepoi_name: only this KOI
+ * - field: only the revisions of this column (ex: koi_disposition, koi_prad)
+ * - disposition: 'true' for the disposition changes only
+ * - since: only the revisions detected after this ISO date
+ * - limit: number of revisions (default: 50, max: 500)
+ * - skip: revisions to skip (default: 0)
+ */
+router.get('/changes', async (req, res) => {
+    try {
+        const { kepoi_name, field, disposition, since } = req.query;
+        const limitNum = Math.min(parseInt(req.query.limit) || KoiChangeService.DEFAULT_LIMIT, KoiChangeService.MAX_LIMIT);
+        const skipNum = Math.max(parseInt(req.query.skip) || 0, 0);
+        
+        let sinceDate = null;
+        if (since) {
+            sinceDate = new Date(since);
+            if (isNaN(sinceDate.getTime())) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'since must be an ISO date (ex: 2025-01-01)'
+                });
+            }
+        }
+        
+        const history = await KoiChangeService.getChanges({
+            kepoi_name: kepoi_name || null,
+            field: field || null,
+            dispositionOnly: disposition === 'true',
+            since: sinceDate,
+            limit: limitNum,
+            skip: skipNum
+        });
+        
+        res.json({
+            success: true,
+            data: history,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving KOI changes:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving KOI changes',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/sync/changes/:kepoiName
+ * Get the revision history of a KOI
+ */
+router.get('/changes/:kepoiName', async (req, res) => {
+    try {
+        const { kepoiName } = req.params;
+        const limitNum = Math.min(parseInt(req.query.limit) || KoiChangeService.DEFAULT_LIMIT, KoiChangeService.MAX_LIMIT);
+        
+        const history = await KoiChangeService.getChanges({ kepoi_name: kepoiName, limit: limitNum });
+        
+        res.json({
+            success: true,
+            data: {
+                kepoi_name: kepoiName,
+                ...history
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Error retrieving changes of ${req.params.kepoiName}:`, error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving KOI changes',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/sync/reclassify (admin)
+ * Start a background job that reclassifies every KOI with the active classification rules
+ * 
+ * Request body:
+ * - dryRun: boolean (optional) - Only report the diff, without writing (default: false)
+ */
+router.post('/reclassify', requireAdmin, (req, res) => {
+    try {
+        const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true' || req.query.dryRun === 'true';
+        
+        const job = ReclassificationService.startJob({ dryRun });
+        
+        res.status(202).json({
+            success: true,
+            message: dryRun ? 'Dry-run reclassification started' : 'Reclassification started',
+            data: job,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error starting reclassification:', error);
+        
+        const conflict = error.message.includes('already in progress');
+        res.status(conflict ? 409 : 500).json({
+            error: conflict ? 'Conflict' : 'Internal Server Error',
+            message: conflict ? 'A reclassification is already in progress' : 'Error starting reclassification',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/sync/reclassify/status
+ * Get the progress and diff of the current (or last) reclassification job
+ */
+router.get('/reclassify/status', async (req, res) => {
+    try {
+        const status = await ReclassificationService.getStatus();
+        
+        res.json({
+            success: true,
+            data: status,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving reclassification status:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving reclassification status',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/sync/reclassify/jobs
+ * Get the history of reclassification jobs
+ * 
+ * Query params:
+ * - limit: number of jobs to retrieve (default: 10, max: 50)
+ */
+router.get('/reclassify/jobs', async (req, res) => {
+    try {
+        const limitNum = Math.min(parseInt(req.query.limit) || 10, 50);
+        
+        const jobs = await ReclassificationService.getJobHistory(limitNum);
+        
+        res.json({
+            success: true,
+            data: {
+                jobs,
+                total: jobs.length,
+                limit: limitNum
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving reclassification jobs:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving reclassification jobs'
+        });
+    }
+});
+
+/**
+ * GET /api/sync/catalogs
+ * Get the status of every catalog (KOI, TOI, Planetary Systems): document count and last sync
+ */
+router.get('/catalogs', async (req, res) => {
+    try {
+        const catalogs = await CatalogService.getCatalogStatus();
+        
+        res.json({
+            success: true,
+            data: {
+                catalogs,
+                total: catalogs.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving catalog status:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error retrieving catalog status',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/sync/catalogs/:catalog (admin)
+ * Sync a non-Kepler catalog (toi or ps) and refresh its cross-matches with the KOIs
+ * The KOIs are synced by POST /api/sync/run
+ */
+router.post('/catalogs/:catalog', requireAdmin, async (req, res) => {
+    try {
+        const { catalog } = req.params;
+        
+        if (!CatalogService.getSyncedCatalogs().includes(catalog)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: catalog === 'koi'
+                    ? 'The KOI catalog is synced by POST /api/sync/run'
+                    : `Unknown catalog '${catalog}'. Expected one of: ${CatalogService.getSyncedCatalogs().join(', ')}`
+            });
+        }
+        
+        console.log(`🚀 Manual ${catalog} catalog synchronization triggered...`);
+        
+        const stats = await CatalogService.syncCatalog(catalog);
+        
+        res.json({
+            success: true,
+            message: `Catalog ${catalog} synchronized successfully`,
+            data: stats,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error during catalog synchronization:', error);
+        
+        const conflict = error.message.includes('already in progress');
+        res.status(conflict ? 409 : 500).json({
+            error: conflict ? 'Conflict' : 'Internal Server Error',
+            message: conflict ? 'This catalog synchronization is already in progress' : 'Error during catalog synchronization',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * GET /api/sync/health
  * Health check for the synchronization system
@@ -287,12 +688,25 @@ router.get('/health', (req, res) => {
         endpoints: [
             'GET /api/sync/status',
             'POST /api/sync/run',
+            'GET /api/sync/jobs',
+            'GET /api/sync/jobs/:id',
+            'POST /api/sync/jobs/:id/pause',
+            'POST /api/sync/jobs/:id/resume',
+            'POST /api/sync/jobs/:id/cancel',
             'POST /api/sync/scheduler/start',
             'POST /api/sync/scheduler/stop',
             'POST /api/sync/scheduler/restart',
             'POST /api/sync/scheduler/configure',
             'GET /api/sync/logs',
-            'GET /api/sync/stats'
+            'GET /api/sync/stats',
+            'GET /api/sync/tap',
+            'GET /api/sync/changes',
+            'GET /api/sync/changes/:kepoiName',
+            'POST /api/sync/reclassify',
+            'GET /api/sync/reclassify/status',
+            'GET /api/sync/reclassify/jobs',
+            'GET /api/sync/catalogs',
+            'POST /api/sync/catalogs/:catalog'
         ],
         timestamp: new Date().toISOString()
     });
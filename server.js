@@ -2,11 +2,22 @@ import express from 'express';
 import cors from 'cors'; // CORS désactivé
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import { connectToDatabase, closeDatabase } from './config/database.js';
+import { connectToDatabase, closeDatabase, ensureIndexes } from './config/database.js';
 import exoplanetsRoutes from './routes/exoplanets.js';
 import syncRoutes from './routes/sync.js';
 import chatRoutes from './routes/chat.js';
+import classificationRulesRoutes from './routes/classificationRules.js';
+import searchRoutes from './routes/search.js';
 import { GeminiChatbotService } from './services/geminiChatbotService.js';
+import { ClassificationRulesService } from './services/classificationRulesService.js';
+import { ReclassificationService } from './services/reclassificationService.js';
+import { SearchService } from './services/searchService.js';
+import { SkyPositionService } from './services/skyService.js';
+import { CatalogService } from './services/catalogService.js';
+import { SchedulerService } from './services/schedulerService.js';
+import { SyncJobService } from './services/syncJobService.js';
+import { SyncLockService } from './services/syncLockService.js';
+import { KoiChangeService } from './services/koiChangeService.js';
 
 dotenv.config();
 
@@ -31,6 +42,8 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/exoplanets', exoplanetsRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/classification-rules', classificationRulesRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -64,6 +77,66 @@ const startServer = async () => {
         // Connect to MongoDB
         await connectToDatabase();
         
+        // Indexes of the core collections (unique kepoi_name)
+        try {
+            await ensureIndexes();
+        } catch (error) {
+            console.error('⚠️ Warning: Database indexes could not be created:', error.message);
+        }
+        
+        // Load the classification rules (seeds the collection on first start)
+        try {
+            await ClassificationRulesService.initialize();
+        } catch (error) {
+            console.error('⚠️ Warning: Classification rules could not be loaded:', error.message);
+            console.error('💡 The built-in classification rules will be used');
+        }
+        
+        // Indexes on the persisted classifications (classifies the confirmed KOIs that have none)
+        try {
+            await ReclassificationService.ensureIndexes();
+        } catch (error) {
+            console.error('⚠️ Warning: Classification indexes could not be created:', error.message);
+        }
+        
+        // Text index of the catalog search
+        try {
+            await SearchService.ensureIndexes();
+        } catch (error) {
+            console.error('⚠️ Warning: Search text index could not be created:', error.message);
+            console.error('💡 Search will match names only');
+        }
+        
+        // Geospatial index of the cone search
+        try {
+            await SkyPositionService.ensureIndexes();
+        } catch (error) {
+            console.error('⚠️ Warning: Sky position indexes could not be created:', error.message);
+        }
+        
+        // Indexes of the KOI change history
+        try {
+            await KoiChangeService.ensureIndexes();
+        } catch (error) {
+            console.error('⚠️ Warning: KOI change indexes could not be created:', error.message);
+        }
+        
+        // Indexes of the TOI and Planetary Systems collections
+        try {
+            await CatalogService.ensureIndexes();
+        } catch (error) {
+            console.error('⚠️ Warning: Catalog indexes could not be created:', error.message);
+        }
+        
+        // Synchronization jobs and lock: the jobs interrupted by a stopped instance become resumable
+        try {
+            await SyncJobService.ensureIndexes();
+            await SyncLockService.ensureIndexes();
+            await SchedulerService.recoverInterruptedJobs();
+        } catch (error) {
+            console.error('⚠️ Warning: Sync jobs could not be initialized:', error.message);
+        }
+        
         // Initialize Gemini AI Chatbot
         try {
             GeminiChatbotService.initialize();
@@ -91,6 +164,8 @@ const startServer = async () => {
 const gracefulShutdown = async () => {
     console.log('\n🛑 Shutting down server...');
     try {
+        ClassificationRulesService.stopAutoRefresh();
+        await SyncLockService.release();
         await closeDatabase();
         process.exit(0);
     } catch (error) {
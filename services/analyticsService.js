@@ -0,0 +1,425 @@
+import { getDatabase } from '../config/database.js';
+import { ExoplanetQueryBuilder } from './exoplanetQueryBuilder.js';
+import { ExoplanetClassificationService } from './planetClassification.js';
+import { round } from '../utils/numbers.js';
+
+/**
+ * Catalog analytics service
+ * Histograms, percentiles and 2D density grids of the numeric KOI columns,
+ * computed with MongoDB aggregation pipelines
+ */
+export class CatalogAnalyticsService {
+
+    // Group expressions of the optional split
+    static SPLITS = {
+        disposition: '$koi_disposition',
+        classification: `$${ExoplanetClassificationService.STORED_FIELD}.classification`,
+        IS_AI: { $eq: ['$IS_AI', true] }
+    };
+
+    static SCALES = ['linear', 'log'];
+    static DEFAULT_BINS = 20;
+    static MAX_BINS = 200;
+    static DEFAULT_GRID_BINS = 30;
+    static MAX_GRID_BINS = 100;
+    static DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+    static MAX_PERCENTILES = 20;
+
+    // Parameters of the analytics endpoints (not filters)
+    static RESERVED_PARAMS = [
+        'field', 'x', 'y', 'bins', 'xBins', 'yBins', 'scale', 'xScale', 'yScale',
+        'min', 'max', 'xMin', 'xMax', 'yMin', 'yMax', 'splitBy', 'percentiles'
+    ];
+
+    /**
+     * Parse the parameters shared by every analytics request
+     * @param {Object} params - Query-string parameters
+     * @returns {Object} { valid, match, split, applied } or { valid: false, error }
+     */
+    static parseCommon(params) {
+        const query = ExoplanetQueryBuilder.parse(params, { reserved: this.RESERVED_PARAMS });
+        if (!query.valid) {
+            return query;
+        }
+
+        const match = { ...query.baseFilter };
+        const { status, splitBy } = params;
+        if (status && ['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE'].includes(String(status).toUpperCase())) {
+            match.koi_disposition = String(status).toUpperCase();
+        }
+
+        if (splitBy !== undefined && !Object.prototype.hasOwnProperty.call(this.SPLITS, splitBy)) {
+            return { valid: false, error: `Invalid splitBy '${splitBy}'. Expected one of: ${Object.keys(this.SPLITS).join(', ')}` };
+        }
+
+        return {
+            valid: true,
+            match,
+            split: splitBy || null,
+            applied: { ...(status && { status }), ...query.applied }
+        };
+    }
+
+    /**
+     * Parse an axis (field, scale, bins and optional range)
+     * @param {Object} params - Query-string parameters
+     * @param {Object} names - Parameter names { field, scale, bins, min, max }
+     * @param {Object} limits - { defaultBins, maxBins }
+     * @returns {Object} { valid, axis } or { valid: false, error }
+     */
+    static parseAxis(params, names, { defaultBins, maxBins }) {
+        const field = params[names.field];
+        if (!field) {
+            return { valid: false, error: `${names.field} is required (numeric KOI column, ex: koi_prad)` };
+        }
+        if (!ExoplanetQueryBuilder.NUMERIC_FIELDS.includes(field)) {
+            return { valid: false, error: `${names.field} must be a numeric KOI column, got '${field}'` };
+        }
+
+        const scale = params[names.scale] || 'linear';
+        if (!this.SCALES.includes(scale)) {
+            return { valid: false, error: `${names.scale} must be one of: ${this.SCALES.join(', ')}` };
+        }
+
+        const bins = params[names.bins] !== undefined ? Number(params[names.bins]) : defaultBins;
+        if (!Number.isInteger(bins) || bins < 1 || bins > maxBins) {
+            return { valid: false, error: `${names.bins} must be an integer between 1 and ${maxBins}` };
+        }
+
+        const range = {};
+        for (const bound of ['min', 'max']) {
+            const raw = params[names[bound]];
+            if (raw === undefined || raw === '') continue;
+
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (scale === 'log' && value <= 0)) {
+                return { valid: false, error: `${names[bound]} must be a ${scale === 'log' ? 'positive ' : ''}number` };
+            }
+            range[bound] = value;
+        }
+
+        if (range.min !== undefined && range.max !== undefined && range.max <= range.min) {
+            return { valid: false, error: `${names.max} must be greater than ${names.min}` };
+        }
+
+        return { valid: true, axis: { field, scale, bins, ...range } };
+    }
+
+    /**
+     * Compute a histogram of a numeric column
+     * @param {Object} axis - { field, scale, bins, min, max }
+     * @param {Object} options - { match, split }
+     * @returns {Promise<Object>} Bin edges and counts per group
+     */
+    static async getHistogram(axis, { match = {}, split = null } = {}) {
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            const resolved = await this.resolveAxis(collection, axis, match);
+
+            if (!resolved) {
+                return { field: axis.field, scale: axis.scale, bins: axis.bins, edges: [], groups: [], total: 0, splitBy: split };
+            }
+
+            const pipeline = [
+                { $match: { $and: [match, this.buildRangeMatch(resolved)] } },
+                {
+                    $group: {
+                        _id: {
+                            group: split ? this.SPLITS[split] : null,
+                            bin: this.buildBinExpression(resolved)
+                        },
+                        count: { $sum: 1 }
+                    }
+                }
+            ];
+
+            const rows = await collection.aggregate(pipeline).toArray();
+
+            const groups = new Map();
+            rows.forEach(({ _id, count }) => {
+                const key = this.getGroupKey(_id.group);
+                if (!groups.has(key)) {
+                    groups.set(key, { key: _id.group ?? null, total: 0, counts: new Array(resolved.bins).fill(0) });
+                }
+                const group = groups.get(key);
+                group.counts[_id.bin] += count;
+                group.total += count;
+            });
+
+            const sortedGroups = [...groups.values()].sort((a, b) => b.total - a.total);
+
+            return {
+                field: axis.field,
+                scale: resolved.scale,
+                bins: resolved.bins,
+                range: { min: resolved.min, max: resolved.max },
+                edges: this.getEdges(resolved),
+                splitBy: split,
+                groups: sortedGroups,
+                total: sortedGroups.reduce((sum, group) => sum + group.total, 0)
+            };
+
+        } catch (error) {
+            console.error(`❌ Error computing histogram of ${axis.field}:`, error);
+            throw new Error(`Could not compute histogram of ${axis.field}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute a 2D density grid of two numeric columns
+     * @param {Object} xAxis - { field, scale, bins, min, max }
+     * @param {Object} yAxis - { field, scale, bins, min, max }
+     * @param {Object} options - { match, split }
+     * @returns {Promise<Object>} Edges of both axes and counts[y][x] per group
+     */
+    static async getDensityGrid(xAxis, yAxis, { match = {}, split = null } = {}) {
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            const [x, y] = await Promise.all([
+                this.resolveAxis(collection, xAxis, match),
+                this.resolveAxis(collection, yAxis, match)
+            ]);
+
+            const result = {
+                x: { field: xAxis.field, scale: xAxis.scale, bins: xAxis.bins },
+                y: { field: yAxis.field, scale: yAxis.scale, bins: yAxis.bins },
+                splitBy: split
+            };
+
+            if (!x || !y) {
+                return { ...result, groups: [], total: 0, maxCount: 0 };
+            }
+
+            const pipeline = [
+                { $match: { $and: [match, this.buildRangeMatch(x), this.buildRangeMatch(y)] } },
+                {
+                    $group: {
+                        _id: {
+                            group: split ? this.SPLITS[split] : null,
+                            x: this.buildBinExpression(x),
+                            y: this.buildBinExpression(y)
+                        },
+                        count: { $sum: 1 }
+                    }
+                }
+            ];
+
+            const rows = await collection.aggregate(pipeline).toArray();
+
+            const groups = new Map();
+            let maxCount = 0;
+            rows.forEach(({ _id, count }) => {
+                const key = this.getGroupKey(_id.group);
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        key: _id.group ?? null,
+                        total: 0,
+                        counts: Array.from({ length: y.bins }, () => new Array(x.bins).fill(0))
+                    });
+                }
+                const group = groups.get(key);
+                group.counts[_id.y][_id.x] += count;
+                group.total += count;
+                maxCount = Math.max(maxCount, group.counts[_id.y][_id.x]);
+            });
+
+            const sortedGroups = [...groups.values()].sort((a, b) => b.total - a.total);
+
+            return {
+                x: { ...result.x, range: { min: x.min, max: x.max }, edges: this.getEdges(x) },
+                y: { ...result.y, range: { min: y.min, max: y.max }, edges: this.getEdges(y) },
+                splitBy: split,
+                groups: sortedGroups,
+                total: sortedGroups.reduce((sum, group) => sum + group.total, 0),
+                maxCount
+            };
+
+        } catch (error) {
+            console.error(`❌ Error computing density grid of ${xAxis.field}/${yAxis.field}:`, error);
+            throw new Error(`Could not compute density grid of ${xAxis.field}/${yAxis.field}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute percentiles and summary statistics of a numeric column
+     * Percentiles are linearly interpolated between the closest ranks
+     * @param {string} field - Numeric KOI column
+     * @param {Array<number>} percentiles - Percentiles between 0 and 100
+     * @param {Object} options - { match, split }
+     * @returns {Promise<Object>} Statistics per group
+     */
+    static async getPercentiles(field, percentiles = this.DEFAULT_PERCENTILES, { match = {}, split = null } = {}) {
+        try {
+            const collection = getDatabase().collection('koi_objects');
+
+            // Lower and upper rank of each percentile, read from the sorted values
+            const ranks = {};
+            percentiles.forEach((percentile, index) => {
+                const position = { $multiply: [percentile / 100, { $subtract: ['$count', 1] }] };
+                ranks[`p${index}_low`] = { $arrayElemAt: ['$values', { $toInt: { $floor: position } }] };
+                ranks[`p${index}_high`] = { $arrayElemAt: ['$values', { $toInt: { $ceil: position } }] };
+                ranks[`p${index}_position`] = position;
+            });
+
+            const pipeline = [
+                { $match: { $and: [match, { [field]: { $type: 'number' } }] } },
+                { $sort: { [field]: 1 } },
+                {
+                    $group: {
+                        _id: split ? this.SPLITS[split] : null,
+                        values: { $push: `$${field}` },
+                        count: { $sum: 1 },
+                        min: { $min: `$${field}` },
+                        max: { $max: `$${field}` },
+                        mean: { $avg: `$${field}` },
+                        stdDev: { $stdDevPop: `$${field}` }
+                    }
+                },
+                { $project: { _id: 1, count: 1, min: 1, max: 1, mean: 1, stdDev: 1, ...ranks } },
+                { $sort: { count: -1 } }
+            ];
+
+            const rows = await collection.aggregate(pipeline, { allowDiskUse: true }).toArray();
+
+            const groups = rows.map(row => {
+                const values = {};
+                percentiles.forEach((percentile, index) => {
+                    const low = row[`p${index}_low`];
+                    const high = row[`p${index}_high`];
+                    const fraction = row[`p${index}_position`] - Math.floor(row[`p${index}_position`]);
+                    values[`p${percentile}`] = round(low + (high - low) * fraction, 6);
+                });
+
+                return {
+                    key: row._id ?? null,
+                    count: row.count,
+                    min: row.min,
+                    max: row.max,
+                    mean: round(row.mean, 6),
+                    stdDev: round(row.stdDev, 6),
+                    percentiles: values
+                };
+            });
+
+            return {
+                field,
+                splitBy: split,
+                percentiles,
+                groups,
+                total: groups.reduce((sum, group) => sum + group.count, 0)
+            };
+
+        } catch (error) {
+            console.error(`❌ Error computing percentiles of ${field}:`, error);
+            throw new Error(`Could not compute percentiles of ${field}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse the percentiles parameter
+     * @param {string|undefined} value - Comma-separated percentiles (0 to 100)
+     * @returns {Object} { valid: true, percentiles } or { valid: false, error }
+     */
+    static parsePercentiles(value) {
+        if (value === undefined || value === '') {
+            return { valid: true, percentiles: this.DEFAULT_PERCENTILES };
+        }
+
+        const percentiles = [...new Set(String(value).split(',').map(item => Number(item.trim())))];
+        if (percentiles.length > this.MAX_PERCENTILES || percentiles.some(p => !Number.isFinite(p) || p < 0 || p > 100)) {
+            return { valid: false, error: `percentiles expects up to ${this.MAX_PERCENTILES} comma-separated numbers between 0 and 100` };
+        }
+
+        return { valid: true, percentiles: percentiles.sort((a, b) => a - b) };
+    }
+
+    /**
+     * Complete an axis with the data range when min/max are not given
+     * Bounds are stored in the binning space (log10 for log scales)
+     * @param {Object} collection - koi_objects collection
+     * @param {Object} axis - { field, scale, bins, min, max }
+     * @param {Object} match - Base filter
+     * @returns {Promise<Object|null>} Resolved axis, or null if the column has no usable values
+     */
+    static async resolveAxis(collection, axis, match) {
+        let { min, max } = axis;
+
+        if (min === undefined || max === undefined) {
+            const valueMatch = axis.scale === 'log' ? { $type: 'number', $gt: 0 } : { $type: 'number' };
+            const [extent] = await collection.aggregate([
+                { $match: { $and: [match, { [axis.field]: valueMatch }] } },
+                { $group: { _id: null, min: { $min: `$${axis.field}` }, max: { $max: `$${axis.field}` } } }
+            ]).toArray();
+
+            if (!extent) {
+                return null;
+            }
+            min = min ?? extent.min;
+            max = max ?? extent.max;
+        }
+
+        const toSpace = (value) => axis.scale === 'log' ? Math.log10(value) : value;
+        const low = toSpace(min);
+        let high = toSpace(max);
+        if (!(high > low)) {
+            // A single value: one unit wide range above it
+            high = low + 1;
+            max = axis.scale === 'log' ? 10 ** high : high;
+        }
+
+        return {
+            ...axis,
+            min,
+            max,
+            low,
+            high,
+            width: (high - low) / axis.bins
+        };
+    }
+
+    /**
+     * Match the documents inside the axis range
+     * @param {Object} axis - Resolved axis
+     * @returns {Object} MongoDB condition
+     */
+    static buildRangeMatch(axis) {
+        return { [axis.field]: { $type: 'number', $gte: axis.min, $lte: axis.max, ...(axis.scale === 'log' && { $gt: 0 }) } };
+    }
+
+    /**
+     * Aggregation expression of the bin index (the upper bound falls in the last bin)
+     * @param {Object} axis - Resolved axis
+     * @returns {Object} Aggregation expression
+     */
+    static buildBinExpression(axis) {
+        const value = axis.scale === 'log' ? { $log10: `$${axis.field}` } : `$${axis.field}`;
+        return {
+            $max: [0, {
+                $min: [axis.bins - 1, {
+                    $toInt: { $floor: { $divide: [{ $subtract: [value, axis.low] }, axis.width] } }
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Bin edges in the column units
+     * @param {Object} axis - Resolved axis
+     * @returns {Array<number>} bins + 1 edges
+     */
+    static getEdges(axis) {
+        return Array.from({ length: axis.bins + 1 }, (_, index) => {
+            const edge = axis.low + index * axis.width;
+            return round(axis.scale === 'log' ? 10 ** edge : edge, 6);
+        });
+    }
+
+    /**
+     * Map key of a group value
+     * @param {any} value - Group value
+     * @returns {string} Key
+     */
+    static getGroupKey(value) {
+        return JSON.stringify(value ?? null);
+    }
+}
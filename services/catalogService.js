@@ -0,0 +1,435 @@
+import { getDatabase } from '../config/database.js';
+import { NasaSyncService } from './nasaSyncService.js';
+import { SkyPositionService } from './skyService.js';
+import { CrossMatchService } from './crossMatchService.js';
+import { TapClient } from './tapClient.js';
+
+/**
+ * Catalog service
+ * Describes the NASA Exoplanet Archive tables served by the API and syncs the non-Kepler ones
+ *
+ * - koi: Kepler cumulative KOI table (synced by NasaSyncService, with AI inference)
+ * - toi: TESS Objects of Interest
+ * - ps: Planetary Systems composite parameters (one row per confirmed planet)
+ *
+ * Each catalog maps its columns onto the KOI column names (koiColumns), so the services
+ * built on KOIs (data quality, habitability, composition, classification) work unchanged.
+ * Value columns are mapped with their <column>err1 / <column>err2 uncertainties.
+ */
+export class CatalogService {
+
+    static CATALOGS = {
+        koi: {
+            name: 'Kepler Objects of Interest',
+            table: NasaSyncService.KOI_TABLE,
+            collection: 'koi_objects',
+            key: 'kepoi_name',
+            syncedBy: 'NasaSyncService'
+        },
+        toi: {
+            name: 'TESS Objects of Interest',
+            table: 'toi',
+            collection: 'toi_objects',
+            key: 'toi',
+            columns: [
+                'toi', 'toipfx', 'tid', 'ctoi_alias', 'pl_pnum', 'tfopwg_disp',
+                'ra', 'dec', 'rastr', 'decstr', 'st_tmag', 'st_dist', 'toi_created', 'rowupdate'
+            ],
+            koiColumns: {
+                koi_period: 'pl_orbper',
+                koi_prad: 'pl_rade',
+                koi_teq: 'pl_eqt',
+                koi_insol: 'pl_insol',
+                koi_depth: 'pl_trandep', // ppm in both tables
+                koi_duration: 'pl_trandurh',
+                koi_time0: 'pl_tranmid',
+                koi_steff: 'st_teff',
+                koi_slogg: 'st_logg',
+                koi_srad: 'st_rad'
+            },
+            // TOI numbers are <host>.<planet> with two decimals (1234.10 is not 1234.1)
+            getDesignation: (row) => `TOI-${Number(row.toi).toFixed(2)}`,
+            getSystemName: (row) => `TOI-${row.toipfx}`,
+            getDisposition: (row) => CatalogService.TOI_DISPOSITIONS[String(row.tfopwg_disp || '').toUpperCase()] || 'CANDIDATE'
+        },
+        ps: {
+            name: 'Planetary Systems (composite parameters)',
+            table: 'pscomppars',
+            collection: 'ps_objects',
+            key: 'pl_name',
+            columns: [
+                'pl_name', 'hostname', 'pl_letter', 'hd_name', 'hip_name', 'tic_id', 'gaia_id',
+                'sy_snum', 'sy_pnum', 'sy_dist', 'sy_kepmag', 'discoverymethod', 'disc_year', 'disc_facility',
+                'pl_bmasse', 'pl_bmasseerr1', 'pl_bmasseerr2', 'pl_dens', 'st_spectype',
+                'ra', 'dec', 'rastr', 'decstr'
+            ],
+            koiColumns: {
+                koi_period: 'pl_orbper',
+                koi_sma: 'pl_orbsmax',
+                koi_prad: 'pl_rade',
+                koi_eccen: 'pl_orbeccen',
+                koi_incl: 'pl_orbincl',
+                koi_longp: 'pl_orblper',
+                koi_teq: 'pl_eqt',
+                koi_insol: 'pl_insol',
+                koi_duration: 'pl_trandur',
+                koi_time0: 'pl_tranmid',
+                koi_steff: 'st_teff',
+                koi_srad: 'st_rad',
+                koi_smass: 'st_mass',
+                koi_smet: 'st_met',
+                koi_slogg: 'st_logg',
+                koi_sage: 'st_age',
+                koi_srho: 'st_dens'
+            },
+            getDesignation: (row) => row.pl_name,
+            getSystemName: (row) => row.hostname,
+            getDisposition: () => 'CONFIRMED'
+        }
+    };
+
+    // TFOPWG dispositions -> KOI dispositions
+    static TOI_DISPOSITIONS = {
+        CP: 'CONFIRMED', // Confirmed planet
+        KP: 'CONFIRMED', // Known planet
+        PC: 'CANDIDATE', // Planet candidate
+        APC: 'CANDIDATE', // Ambiguous planet candidate
+        FP: 'FALSE POSITIVE',
+        FA: 'FALSE POSITIVE' // False alarm
+    };
+
+    static LOGS_COLLECTION = 'catalog_sync_logs';
+    static BATCH_SIZE = 1000;
+    static running = new Set();
+
+    /**
+     * Get a catalog definition
+     * @param {string} key - Catalog key
+     * @returns {Object|null} Definition or null if unknown
+     */
+    static getDefinition(key) {
+        return Object.prototype.hasOwnProperty.call(this.CATALOGS, key) ? this.CATALOGS[key] : null;
+    }
+
+    /**
+     * Keys of the catalogs synced by this service (every catalog except the KOIs)
+     * @returns {Array<string>} Catalog keys
+     */
+    static getSyncedCatalogs() {
+        return Object.keys(this.CATALOGS).filter(key => !this.CATALOGS[key].syncedBy);
+    }
+
+    /**
+     * Create the indexes of the catalog collections
+     * @returns {Promise<void>}
+     */
+    static async ensureIndexes() {
+        const db = getDatabase();
+
+        await Promise.all(this.getSyncedCatalogs().map(key => {
+            const collection = db.collection(this.CATALOGS[key].collection);
+            return Promise.all([
+                collection.createIndex({ designation: 1 }, { unique: true }),
+                collection.createIndex({ system_key: 1 }),
+                collection.createIndex({ 'crossmatch.koi.kepid': 1 }),
+                collection.createIndex({ [SkyPositionService.FIELD]: '2dsphere' })
+            ]);
+        }));
+
+        await db.collection(this.LOGS_COLLECTION).createIndex({ catalog: 1, createdAt: -1 });
+
+        console.log('✅ Catalog indexes ready');
+    }
+
+    /**
+     * Every column requested from the archive table
+     * @param {Object} definition - Catalog definition
+     * @returns {Array<string>} Column names
+     */
+    static getColumns(definition) {
+        const valueColumns = Object.values(definition.koiColumns)
+            .flatMap(column => [column, `${column}err1`, `${column}err2`]);
+        return [...new Set([...definition.columns, ...valueColumns])];
+    }
+
+    /**
+     * Retrieve every row of a catalog from the NASA TAP API
+     * @param {string} key - Catalog key
+     * @returns {Promise<Array>} Rows
+     */
+    static async fetchCatalogRows(key) {
+        const definition = this.CATALOGS[key];
+
+        try {
+            console.log(`🌌 Retrieving ${definition.name} from NASA API...`);
+
+            const query = `SELECT ${this.getColumns(definition).join(', ')} FROM ${definition.table} WHERE ${definition.key} IS NOT NULL`;
+            const rows = await TapClient.query(query, { timeout: 120000, label: definition.table });
+
+            console.log(`✅ ${rows.length} rows retrieved from ${definition.table}`);
+            return rows;
+
+        } catch (error) {
+            console.error(`❌ Error fetching ${definition.table}:`, error.message);
+            throw new Error(`Could not retrieve ${definition.table}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the stored document of a catalog row
+     * @param {string} key - Catalog key
+     * @param {Object} row - Archive row
+     * @returns {Object} Document
+     */
+    static normalizeRow(key, row) {
+        const definition = this.CATALOGS[key];
+        const systemName = definition.getSystemName(row);
+
+        return {
+            ...row,
+            catalog: key,
+            designation: definition.getDesignation(row),
+            system_name: systemName,
+            system_key: this.getSystemKey(systemName),
+            disposition: definition.getDisposition(row),
+            [SkyPositionService.FIELD]: SkyPositionService.buildSkyPosition(row),
+            sync_source: 'nasa_tap'
+        };
+    }
+
+    /**
+     * Normalize a system name for lookups (case, spaces and dashes)
+     * Ex: "TOI 700", "toi-700" -> "toi-700"
+     * @param {string} name - System name
+     * @returns {string} Lookup key
+     */
+    static getSystemKey(name) {
+        return String(name ?? '').trim().toLowerCase().replace(/[\s_-]+/g, '-');
+    }
+
+    /**
+     * Sync a catalog into its collection, then refresh the cross-matches
+     * Rows are upserted by designation; rows no longer in the archive are removed
+     * @param {string} key - Catalog key (toi or ps)
+     * @returns {Promise<Object>} Sync statistics
+     */
+    static async syncCatalog(key) {
+        const definition = this.getDefinition(key);
+        if (!definition || definition.syncedBy) {
+            throw new Error(`Unknown synced catalog '${key}'. Expected one of: ${this.getSyncedCatalogs().join(', ')}`);
+        }
+        if (this.running.has(key)) {
+            throw new Error(`A ${key} catalog synchronization is already in progress`);
+        }
+
+        this.running.add(key);
+        const startTime = new Date();
+        const stats = {
+            catalog: key,
+            table: definition.table,
+            startTime,
+            totalFromNASA: 0,
+            upserted: 0,
+            modified: 0,
+            removed: 0,
+            skipped: 0,
+            crossmatch: null,
+            success: false,
+            duration: 0
+        };
+
+        try {
+            console.log(`🚀 Starting ${key} catalog synchronization...`);
+            const collection = getDatabase().collection(definition.collection);
+
+            const rows = await this.fetchCatalogRows(key);
+            stats.totalFromNASA = rows.length;
+
+            const documents = rows
+                .map(row => this.normalizeRow(key, row))
+                .filter(document => {
+                    if (document.designation && document.system_name) return true;
+                    stats.skipped++;
+                    return false;
+                });
+
+            for (let i = 0; i < documents.length; i += this.BATCH_SIZE) {
+                const operations = documents.slice(i, i + this.BATCH_SIZE).map(document => ({
+                    updateOne: {
+                        filter: { designation: document.designation },
+                        update: { $set: { ...document, sync_date: startTime } },
+                        upsert: true
+                    }
+                }));
+
+                const result = await collection.bulkWrite(operations, { ordered: false });
+                stats.upserted += result.upsertedCount;
+                stats.modified += result.modifiedCount;
+            }
+
+            // Only remove stale rows when the archive returned something
+            if (documents.length > 0) {
+                const removal = await collection.deleteMany({ sync_date: { $lt: startTime } });
+                stats.removed = removal.deletedCount;
+            }
+
+            stats.crossmatch = await CrossMatchService.crossMatchAll();
+            stats.success = true;
+            stats.duration = Date.now() - startTime.getTime();
+
+            console.log(`✅ ${key} catalog synchronized: ${documents.length} rows (${stats.upserted} new, ${stats.removed} removed) in ${(stats.duration / 1000).toFixed(2)}s`);
+            return stats;
+
+        } catch (error) {
+            stats.error = error.message;
+            stats.duration = Date.now() - startTime.getTime();
+            console.error(`❌ Error synchronizing ${key} catalog:`, error);
+            throw error;
+
+        } finally {
+            this.running.delete(key);
+            await this.saveSyncLog(stats);
+        }
+    }
+
+    /**
+     * Sync every non-Kepler catalog, one after the other
+     * A failing catalog does not stop the others
+     * @returns {Promise<Object>} Statistics by catalog
+     */
+    static async syncAllCatalogs() {
+        const results = {};
+
+        for (const key of this.getSyncedCatalogs()) {
+            try {
+                results[key] = await this.syncCatalog(key);
+            } catch (error) {
+                results[key] = { catalog: key, success: false, error: error.message };
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Save the statistics of a catalog sync
+     * @param {Object} stats - Sync statistics
+     * @returns {Promise<void>}
+     */
+    static async saveSyncLog(stats) {
+        try {
+            await getDatabase().collection(this.LOGS_COLLECTION).insertOne({ ...stats, createdAt: new Date() });
+        } catch (error) {
+            console.error('❌ Error saving catalog sync log:', error);
+        }
+    }
+
+    /**
+     * Get the status of every catalog
+     * @returns {Promise<Array<Object>>} { key, name, table, collection, count, running, lastSync }
+     */
+    static async getCatalogStatus() {
+        try {
+            const db = getDatabase();
+
+            return await Promise.all(Object.entries(this.CATALOGS).map(async ([key, definition]) => {
+                const [count, lastSync] = await Promise.all([
+                    db.collection(definition.collection).estimatedDocumentCount(),
+                    definition.syncedBy
+                        ? null
+                        : db.collection(this.LOGS_COLLECTION).findOne({ catalog: key }, { sort: { createdAt: -1 }, projection: { _id: 0 } })
+                ]);
+
+                return {
+                    key,
+                    name: definition.name,
+                    table: definition.table,
+                    collection: definition.collection,
+                    syncedBy: definition.syncedBy || 'CatalogService',
+                    count,
+                    running: definition.syncedBy ? null : this.running.has(key),
+                    lastSync
+                };
+            }));
+
+        } catch (error) {
+            console.error('❌ Error retrieving catalog status:', error);
+            throw new Error(`Could not retrieve catalog status: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the planets of a system in the non-Kepler catalogs
+     * The Planetary Systems table is searched first (confirmed planets), then the TOI hosts
+     * @param {string} systemName - System name (ex: "K2-18", "TOI-700")
+     * @returns {Promise<Object|null>} { catalog, systemName, planets } or null if unknown
+     */
+    static async findSystem(systemName) {
+        try {
+            const db = getDatabase();
+            const systemKey = this.getSystemKey(systemName);
+
+            const lookups = [
+                { key: 'ps', filter: { system_key: systemKey } },
+                { key: 'toi', filter: { system_key: systemKey, disposition: { $ne: 'FALSE POSITIVE' } } }
+            ];
+
+            for (const { key, filter } of lookups) {
+                const planets = await db.collection(this.CATALOGS[key].collection)
+                    .find(filter, { projection: { _id: 0, [SkyPositionService.FIELD]: 0 } })
+                    .sort({ designation: 1 })
+                    .toArray();
+
+                if (planets.length > 0) {
+                    return { catalog: key, systemName: planets[0].system_name, planets };
+                }
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error(`❌ Error searching catalogs for system ${systemName}:`, error);
+            throw new Error(`Could not search catalogs for ${systemName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find a system in the non-Kepler catalogs and map its planets onto the KOI columns
+     * @param {string} systemName - System name (ex: "K2-18", "TOI-700")
+     * @returns {Promise<Object|null>} { catalog, systemName, planets, documents } or null if unknown
+     */
+    static async findSystemDocuments(systemName) {
+        const system = await this.findSystem(systemName);
+        if (!system) return null;
+
+        return {
+            ...system,
+            documents: system.planets.map(planet => ({ ...this.toKoiDocument(planet), designation: planet.designation }))
+        };
+    }
+
+    /**
+     * Map a catalog document onto the KOI columns
+     * @param {Object} document - Catalog document
+     * @returns {Object} KOI-shaped document
+     */
+    static toKoiDocument(document) {
+        const definition = this.CATALOGS[document.catalog];
+        const mapped = {
+            kepoi_name: document.crossmatch?.koi?.level === 'planet' ? document.crossmatch.koi.kepoi_name : null,
+            kepler_name: null,
+            kepid: document.crossmatch?.koi?.kepid ?? null,
+            koi_disposition: document.disposition,
+            ra: document.ra,
+            dec: document.dec
+        };
+
+        for (const [koiColumn, column] of Object.entries(definition.koiColumns)) {
+            mapped[koiColumn] = document[column] ?? null;
+            mapped[`${koiColumn}_err1`] = document[`${column}err1`] ?? null;
+            mapped[`${koiColumn}_err2`] = document[`${column}err2`] ?? null;
+        }
+
+        return mapped;
+    }
+}
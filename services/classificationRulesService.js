@@ -0,0 +1,381 @@
+import { getDatabase } from '../config/database.js';
+import { ExoplanetClassificationService } from './planetClassification.js';
+
+/**
+ * Classification rules service
+ * Stores the classification rule sets in the versioned `classification_rules` collection
+ *
+ * Every change (create, update, delete, activation of an older version) inserts a new
+ * rule-set document with the next version number; the highest version is the active one.
+ * The active rules are cached in ExoplanetClassificationService so classification stays synchronous.
+ */
+export class ClassificationRulesService {
+
+    static COLLECTION = 'classification_rules';
+    static REFRESH_INTERVAL_MS = 60000; // Reload rules changed by other instances
+    static MAX_SAVE_ATTEMPTS = 3;
+
+    static RULE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+    static TEXTURE_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+    static TEXT_FIELDS = ['name', 'type', 'description'];
+    static CRITERIA = ['radius', 'temperature', 'distance'];
+    static REQUIRED_RULES = ['barren']; // Fallback classification
+
+    static refreshTimer = null;
+
+    /**
+     * Create the index, seed the collection with the built-in rules and load the active rule set
+     * @returns {Promise<Object>} Active rule set
+     */
+    static async initialize() {
+        try {
+            const collection = getDatabase().collection(this.COLLECTION);
+            await collection.createIndex({ version: 1 }, { unique: true });
+
+            if (await collection.countDocuments({}, { limit: 1 }) === 0) {
+                console.log('🌱 Seeding classification rules with the built-in rule set');
+                await this.insertRuleSet({
+                    version: 1,
+                    rules: ExoplanetClassificationService.CLASSIFICATIONS,
+                    basedOn: ExoplanetClassificationService.BUILTIN_RULE_SET_VERSION,
+                    comment: 'Built-in rules',
+                    author: 'system'
+                });
+            }
+
+            const ruleSet = await this.loadActiveRuleSet();
+            this.startAutoRefresh();
+            return ruleSet;
+
+        } catch (error) {
+            console.error('❌ Error initializing classification rules:', error);
+            throw new Error(`Could not initialize classification rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Periodically reload the active rule set
+     */
+    static startAutoRefresh() {
+        if (this.refreshTimer) return;
+
+        this.refreshTimer = setInterval(() => {
+            this.loadActiveRuleSet().catch(error => {
+                console.error('⚠️ Warning: classification rules refresh failed:', error.message);
+            });
+        }, this.REFRESH_INTERVAL_MS);
+        this.refreshTimer.unref();
+    }
+
+    /**
+     * Stop the periodic reload
+     */
+    static stopAutoRefresh() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Load the latest rule set into the classification service
+     * @returns {Promise<Object|null>} Active rule set, or null if the collection is empty
+     */
+    static async loadActiveRuleSet() {
+        const ruleSet = await this.getActiveRuleSet();
+        if (!ruleSet) {
+            return null;
+        }
+
+        if (ruleSet.version !== ExoplanetClassificationService.getRuleSetVersion()) {
+            ExoplanetClassificationService.setRuleSet(ruleSet.rules, ruleSet.version);
+            console.log(`✅ Classification rules v${ruleSet.version} loaded (${Object.keys(ruleSet.rules).length} rules)`);
+        }
+
+        return ruleSet;
+    }
+
+    /**
+     * Get the active (latest) rule set
+     * @returns {Promise<Object|null>} Rule set or null
+     */
+    static async getActiveRuleSet() {
+        return getDatabase()
+            .collection(this.COLLECTION)
+            .findOne({}, { sort: { version: -1 }, projection: { _id: 0 } });
+    }
+
+    /**
+     * Get a rule set by version
+     * @param {number} version - Rule-set version
+     * @returns {Promise<Object|null>} Rule set or null
+     */
+    static async getRuleSet(version) {
+        try {
+            return await getDatabase()
+                .collection(this.COLLECTION)
+                .findOne({ version }, { projection: { _id: 0 } });
+
+        } catch (error) {
+            console.error(`❌ Error retrieving classification rules v${version}:`, error);
+            throw new Error(`Could not retrieve classification rules v${version}: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the rule-set versions, most recent first
+     * @param {number} limit - Number of versions
+     * @param {number} skip - Number of versions to skip
+     * @returns {Promise<Object>} { versions, total }
+     */
+    static async listVersions(limit = 20, skip = 0) {
+        try {
+            const collection = getDatabase().collection(this.COLLECTION);
+
+            const [versions, total] = await Promise.all([
+                collection.aggregate([
+                    { $sort: { version: -1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            version: 1,
+                            basedOn: 1,
+                            comment: 1,
+                            author: 1,
+                            createdAt: 1,
+                            ruleCount: { $size: { $objectToArray: '$rules' } }
+                        }
+                    }
+                ]).toArray(),
+                collection.countDocuments()
+            ]);
+
+            return { versions, total };
+
+        } catch (error) {
+            console.error('❌ Error listing classification rule versions:', error);
+            throw new Error(`Could not list classification rule versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a rule and save the result as a new version
+     * @param {string} key - Rule key (ex: "ocean")
+     * @param {Object} rule - Rule definition
+     * @param {Object} meta - { comment, author }
+     * @returns {Promise<Object>} { valid: true, ruleSet } or { valid: false, error, notFound }
+     */
+    static async createRule(key, rule, meta = {}) {
+        return this.saveChange(rules => {
+            if (Object.hasOwn(rules, key)) {
+                return { valid: false, error: `Rule '${key}' already exists, use PUT to replace it` };
+            }
+            return { valid: true, rules: { ...rules, [key]: rule }, comment: `Created rule '${key}'` };
+        }, meta);
+    }
+
+    /**
+     * Replace a rule and save the result as a new version
+     * @param {string} key - Rule key
+     * @param {Object} rule - Rule definition
+     * @param {Object} meta - { comment, author }
+     * @returns {Promise<Object>} { valid: true, ruleSet } or { valid: false, error, notFound }
+     */
+    static async updateRule(key, rule, meta = {}) {
+        return this.saveChange(rules => {
+            if (!Object.hasOwn(rules, key)) {
+                return { valid: false, notFound: true, error: `Rule '${key}' not found` };
+            }
+            return { valid: true, rules: { ...rules, [key]: rule }, comment: `Updated rule '${key}'` };
+        }, meta);
+    }
+
+    /**
+     * Delete a rule and save the result as a new version
+     * @param {string} key - Rule key
+     * @param {Object} meta - { comment, author }
+     * @returns {Promise<Object>} { valid: true, ruleSet } or { valid: false, error, notFound }
+     */
+    static async deleteRule(key, meta = {}) {
+        return this.saveChange(rules => {
+            if (!Object.hasOwn(rules, key)) {
+                return { valid: false, notFound: true, error: `Rule '${key}' not found` };
+            }
+            if (this.REQUIRED_RULES.includes(key)) {
+                return { valid: false, error: `Rule '${key}' is the fallback classification and cannot be deleted` };
+            }
+            const { [key]: deleted, ...remaining } = rules;
+            return { valid: true, rules: remaining, comment: `Deleted rule '${key}'` };
+        }, meta);
+    }
+
+    /**
+     * Restore the rules of an older version as a new version
+     * @param {number} version - Version to restore
+     * @param {Object} meta - { comment, author }
+     * @returns {Promise<Object>} { valid: true, ruleSet } or { valid: false, error, notFound }
+     */
+    static async activateVersion(version, meta = {}) {
+        const target = await this.getRuleSet(version);
+        if (!target) {
+            return { valid: false, notFound: true, error: `Rule set v${version} not found` };
+        }
+
+        return this.saveChange(() => ({
+            valid: true,
+            rules: target.rules,
+            comment: `Restored rules of v${version}`
+        }), meta);
+    }
+
+    /**
+     * Apply a change to the latest rule set and insert it as the next version
+     * Retries when another writer inserted the same version first
+     * @param {Function} change - (rules) => { valid, rules, comment } or { valid: false, error, notFound }
+     * @param {Object} meta - { comment, author }
+     * @returns {Promise<Object>} { valid: true, ruleSet } or { valid: false, error, notFound }
+     */
+    static async saveChange(change, { comment, author } = {}) {
+        try {
+            for (let attempt = 1; attempt <= this.MAX_SAVE_ATTEMPTS; attempt++) {
+                const latest = await this.getActiveRuleSet();
+                const currentRules = latest?.rules || ExoplanetClassificationService.CLASSIFICATIONS;
+                const currentVersion = latest?.version ?? ExoplanetClassificationService.BUILTIN_RULE_SET_VERSION;
+
+                const result = change(currentRules);
+                if (!result.valid) {
+                    return result;
+                }
+
+                const validation = this.validateRuleSet(result.rules);
+                if (!validation.valid) {
+                    return validation;
+                }
+
+                const ruleSet = {
+                    version: currentVersion + 1,
+                    rules: result.rules,
+                    basedOn: currentVersion,
+                    comment: comment || result.comment,
+                    author: author || null
+                };
+
+                try {
+                    await this.insertRuleSet(ruleSet);
+                } catch (error) {
+                    if (error.code === 11000 && attempt < this.MAX_SAVE_ATTEMPTS) {
+                        console.log(`⚠️ Rule set v${ruleSet.version} was created concurrently, retrying...`);
+                        continue;
+                    }
+                    throw error;
+                }
+
+                await this.loadActiveRuleSet();
+                console.log(`✅ Classification rules v${ruleSet.version} saved: ${ruleSet.comment}`);
+                return { valid: true, ruleSet: await this.getRuleSet(ruleSet.version) };
+            }
+
+            throw new Error('Too many concurrent rule changes');
+
+        } catch (error) {
+            console.error('❌ Error saving classification rules:', error);
+            throw new Error(`Could not save classification rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Insert a rule-set document
+     * @param {Object} ruleSet - { version, rules, basedOn, comment, author }
+     * @returns {Promise<void>}
+     */
+    static async insertRuleSet(ruleSet) {
+        await getDatabase().collection(this.COLLECTION).insertOne({
+            ...ruleSet,
+            createdAt: new Date()
+        });
+    }
+
+    /**
+     * Validate a complete rule set
+     * @param {Object} rules - Rules by key
+     * @returns {Object} { valid: true } or { valid: false, error }
+     */
+    static validateRuleSet(rules) {
+        for (const key of this.REQUIRED_RULES) {
+            if (!Object.hasOwn(rules, key)) {
+                return { valid: false, error: `The rule set must contain the '${key}' rule` };
+            }
+        }
+
+        for (const [key, rule] of Object.entries(rules)) {
+            const validation = this.validateRule(key, rule);
+            if (!validation.valid) {
+                return validation;
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate a rule key and definition
+     * @param {string} key - Rule key
+     * @param {Object} rule - { name, type, description, texture, criteria: { radius, temperature, distance } }
+     * @returns {Object} { valid: true, rule } with the normalized rule, or { valid: false, error }
+     */
+    static validateRule(key, rule) {
+        if (typeof key !== 'string' || !this.RULE_KEY_PATTERN.test(key)) {
+            return { valid: false, error: `Invalid rule key '${key}'. Use lowercase letters, digits and underscores (max 50 characters)` };
+        }
+
+        // Names inherited by every object ('constructor', 'hasownproperty'...) would shadow rule lookups
+        if (key in Object.prototype) {
+            return { valid: false, error: `Invalid rule key '${key}': reserved name` };
+        }
+
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return { valid: false, error: `Rule '${key}' must be an object` };
+        }
+
+        for (const field of this.TEXT_FIELDS) {
+            if (typeof rule[field] !== 'string' || rule[field].trim().length === 0 || rule[field].length > 200) {
+                return { valid: false, error: `Rule '${key}': '${field}' must be a non-empty string (max 200 characters)` };
+            }
+        }
+
+        // The texture is the folder name used by the front end
+        if (typeof rule.texture !== 'string' || !this.TEXTURE_PATTERN.test(rule.texture)) {
+            return { valid: false, error: `Rule '${key}': 'texture' must be a folder name (letters, digits, '_' or '-')` };
+        }
+
+        if (!rule.criteria || typeof rule.criteria !== 'object') {
+            return { valid: false, error: `Rule '${key}': 'criteria' must contain ${this.CRITERIA.join(', ')}` };
+        }
+
+        const criteria = {};
+        for (const criterion of this.CRITERIA) {
+            const range = rule.criteria[criterion];
+            const min = Number(range?.min);
+            const max = Number(range?.max);
+
+            // The score deviation is relative to min, so it must be strictly positive
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min <= 0 || max <= min) {
+                return { valid: false, error: `Rule '${key}': criteria.${criterion} must be { min, max } with 0 < min < max` };
+            }
+            criteria[criterion] = { min, max };
+        }
+
+        return {
+            valid: true,
+            rule: {
+                name: rule.name.trim(),
+                type: rule.type.trim(),
+                description: rule.description.trim(),
+                criteria,
+                texture: rule.texture
+            }
+        };
+    }
+}
@@ -0,0 +1,252 @@
+import { ExoplanetService } from './exoplanetService.js';
+import { HabitabilityService } from './habitabilityService.js';
+import { CompositionService } from './compositionService.js';
+import { toNumber, round } from '../utils/numbers.js';
+
+/**
+ * Planet comparison service
+ * Aligns the properties of several exoplanets with units, uncertainties,
+ * relative differences and Earth/Jupiter reference values
+ */
+export class PlanetComparisonService {
+
+    static MIN_PLANETS = 2;
+    static MAX_PLANETS = 10;
+
+    // Reference bodies (Jupiter's equilibrium temperature for a Bond albedo of 0.343)
+    static REFERENCES = {
+        earth: {
+            name: 'Earth',
+            orbitalPeriod: 365.256,
+            radius: 1,
+            mass: 1,
+            density: 5.514,
+            equilibriumTemperature: 255,
+            semiMajorAxis: 1,
+            insolation: 1,
+            eccentricity: 0.0167,
+            transitDepth: 84,
+            transitDuration: 13.0,
+            starTemperature: 5772,
+            starRadius: 1,
+            starMass: 1
+        },
+        jupiter: {
+            name: 'Jupiter',
+            orbitalPeriod: 4332.59,
+            radius: 11.209,
+            mass: 317.83,
+            density: 1.326,
+            equilibriumTemperature: 110,
+            semiMajorAxis: 5.2038,
+            insolation: 0.0369,
+            eccentricity: 0.0489,
+            transitDepth: 10560,
+            transitDuration: 29.6,
+            starTemperature: 5772,
+            starRadius: 1,
+            starMass: 1
+        }
+    };
+
+    // Compared properties: KOI column (measured) or derivation
+    static PROPERTIES = [
+        { key: 'radius', label: 'Planet radius', unit: 'R⊕', category: 'planet', column: 'koi_prad' },
+        {
+            key: 'mass',
+            label: 'Planet mass (mass-radius estimate)',
+            unit: 'M⊕',
+            category: 'planet',
+            derive: (exoplanet) => {
+                const { mass } = CompositionService.assessComposition(exoplanet);
+                return mass ? { value: mass.value, errorUpper: mass.errorUpper, errorLower: mass.errorLower } : null;
+            }
+        },
+        {
+            key: 'density',
+            label: 'Bulk density (mass-radius estimate)',
+            unit: 'g/cm³',
+            category: 'planet',
+            derive: (exoplanet) => {
+                const { density } = CompositionService.assessComposition(exoplanet);
+                return density ? { value: density.value } : null;
+            }
+        },
+        { key: 'equilibriumTemperature', label: 'Equilibrium temperature', unit: 'K', category: 'planet', column: 'koi_teq' },
+        { key: 'orbitalPeriod', label: 'Orbital period', unit: 'days', category: 'orbit', column: 'koi_period' },
+        { key: 'semiMajorAxis', label: 'Semi-major axis', unit: 'AU', category: 'orbit', column: 'koi_sma' },
+        { key: 'eccentricity', label: 'Eccentricity', unit: null, category: 'orbit', column: 'koi_eccen' },
+        { key: 'insolation', label: 'Insolation flux', unit: 'S⊕', category: 'orbit', column: 'koi_insol' },
+        { key: 'transitDepth', label: 'Transit depth', unit: 'ppm', category: 'transit', column: 'koi_depth' },
+        { key: 'transitDuration', label: 'Transit duration', unit: 'hours', category: 'transit', column: 'koi_duration' },
+        {
+            key: 'esi',
+            label: 'Earth Similarity Index',
+            unit: null,
+            category: 'habitability',
+            derive: (exoplanet) => {
+                const { esi } = HabitabilityService.assessHabitability(exoplanet);
+                return esi !== null ? { value: esi } : null;
+            }
+        },
+        { key: 'starTemperature', label: 'Stellar effective temperature', unit: 'K', category: 'star', column: 'koi_steff' },
+        { key: 'starRadius', label: 'Stellar radius', unit: 'R☉', category: 'star', column: 'koi_srad' },
+        { key: 'starMass', label: 'Stellar mass', unit: 'M☉', category: 'star', column: 'koi_smass' }
+    ];
+
+    /**
+     * Parse the ids parameter
+     * @param {string|Array<string>} value - Comma-separated identifiers, or repeated ids parameters
+     * @returns {Object} { valid: true, ids } or { valid: false, error }
+     */
+    static parseIds(value) {
+        const raw = Array.isArray(value) ? value.join(',') : value;
+        if (typeof raw !== 'string' || raw.trim() === '') {
+            return { valid: false, error: 'ids is required (comma-separated ObjectIds, kepoi_name or kepler_name)' };
+        }
+
+        const ids = [...new Set(raw.split(',').map(id => id.trim()).filter(id => id !== ''))];
+        if (ids.length < this.MIN_PLANETS || ids.length > this.MAX_PLANETS) {
+            return { valid: false, error: `ids must contain between ${this.MIN_PLANETS} and ${this.MAX_PLANETS} distinct identifiers` };
+        }
+
+        return { valid: true, ids };
+    }
+
+    /**
+     * Compare exoplanets
+     * The first planet is the baseline of the relative differences
+     * @param {Array<string>} ids - ObjectIds, kepoi_name or kepler_name
+     * @returns {Promise<Object>} Comparison, or { notFound } with the unresolved identifiers
+     */
+    static async comparePlanets(ids) {
+        try {
+            const exoplanets = await Promise.all(ids.map(id => ExoplanetService.getExoplanetById(id)));
+
+            const notFound = ids.filter((id, index) => !exoplanets[index]);
+            if (notFound.length > 0) {
+                return { notFound };
+            }
+
+            const planets = exoplanets.map((exoplanet, index) => {
+                const classification = ExoplanetService.getClassification(exoplanet);
+                return {
+                    id: ids[index],
+                    _id: exoplanet._id,
+                    kepoi_name: exoplanet.kepoi_name,
+                    kepler_name: exoplanet.kepler_name || null,
+                    koi_disposition: exoplanet.koi_disposition,
+                    classification: classification?.classification ?? null,
+                    compositionClass: CompositionService.assessComposition(exoplanet).compositionClass
+                };
+            });
+
+            const properties = this.PROPERTIES.map(property => this.compareProperty(property, exoplanets));
+
+            return {
+                planets,
+                baseline: planets[0].id,
+                references: {
+                    earth: this.REFERENCES.earth.name,
+                    jupiter: this.REFERENCES.jupiter.name
+                },
+                properties
+            };
+
+        } catch (error) {
+            console.error('❌ Error comparing exoplanets:', error);
+            throw new Error(`Could not compare exoplanets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the aligned row of one property
+     * @param {Object} property - Property definition
+     * @param {Array<Object>} exoplanets - KOI documents (same order as the planets)
+     * @returns {Object} Row with one value per planet
+     */
+    static compareProperty(property, exoplanets) {
+        const earth = this.getReference('earth', property.key);
+        const jupiter = this.getReference('jupiter', property.key);
+        const measurements = exoplanets.map(exoplanet => this.getMeasurement(property, exoplanet));
+        const baseline = measurements[0].value;
+
+        return {
+            key: property.key,
+            label: property.label,
+            unit: property.unit,
+            category: property.category,
+            source: property.column || 'derived',
+            reference: { earth, jupiter },
+            values: measurements.map(measurement => ({
+                ...measurement,
+                relativeToBaseline: this.relativeDifference(measurement.value, baseline),
+                ratioToEarth: this.ratio(measurement.value, earth),
+                ratioToJupiter: this.ratio(measurement.value, jupiter)
+            }))
+        };
+    }
+
+    /**
+     * Read a property of a planet with its uncertainties
+     * @param {Object} property - Property definition
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object} { value, errorUpper, errorLower }
+     */
+    static getMeasurement(property, exoplanet) {
+        if (property.derive) {
+            const derived = property.derive(exoplanet);
+            return {
+                value: derived?.value ?? null,
+                errorUpper: derived?.errorUpper ?? null,
+                errorLower: derived?.errorLower ?? null
+            };
+        }
+
+        const value = toNumber(exoplanet[property.column]);
+        const errorUpper = toNumber(exoplanet[`${property.column}_err1`]);
+        const errorLower = toNumber(exoplanet[`${property.column}_err2`]);
+
+        return {
+            value,
+            errorUpper: value !== null && errorUpper !== null ? Math.abs(errorUpper) : null,
+            errorLower: value !== null && errorLower !== null ? Math.abs(errorLower) : null
+        };
+    }
+
+    /**
+     * Reference value of a property
+     * @param {string} body - 'earth' or 'jupiter'
+     * @param {string} key - Property key
+     * @returns {number|null} Reference value
+     */
+    static getReference(body, key) {
+        if (key === 'esi') {
+            const reference = this.REFERENCES[body];
+            return HabitabilityService.calculateESI(reference.radius, reference.equilibriumTemperature, reference.insolation).value;
+        }
+        return this.REFERENCES[body][key] ?? null;
+    }
+
+    /**
+     * Relative difference to the baseline: (value - baseline) / |baseline|
+     * @param {number|null} value - Value
+     * @param {number|null} baseline - Baseline value
+     * @returns {number|null} Relative difference
+     */
+    static relativeDifference(value, baseline) {
+        if (value === null || baseline === null || baseline === 0) return null;
+        return round((value - baseline) / Math.abs(baseline), 4);
+    }
+
+    /**
+     * Ratio of a value to a reference value
+     * @param {number|null} value - Value
+     * @param {number|null} reference - Reference value
+     * @returns {number|null} Ratio
+     */
+    static ratio(value, reference) {
+        if (value === null || reference === null || reference === 0) return null;
+        return round(value / reference, 4);
+    }
+}
@@ -0,0 +1,149 @@
+import { toPositiveNumber, toAbsNumber, round } from '../utils/numbers.js';
+
+/**
+ * Composition service
+ * Estimates the mass and bulk density of a planet from its radius and assigns a composition class
+ *
+ * References:
+ * - Chen & Kipping (2017), ApJ 834, 17 (probabilistic mass-radius relation, mean power laws)
+ * - Zeng, Sasselov & Jacobsen (2016), ApJ 819, 127 (Earth-like rocky mass-radius curve)
+ * - Zeng et al. (2019), PNAS 116, 9723 (water-rich planets are about 25% larger than rocky ones)
+ */
+
+export class CompositionService {
+
+    static EARTH_DENSITY = 5.514; // g/cm³
+
+    // Chen & Kipping (2017) power laws R = C M^S (R⊕, M⊕), continuous at the transitions
+    static MASS_RADIUS_REGIMES = {
+        terran: { coefficient: 1.008, exponent: 0.279, maxMass: 2.04 },
+        neptunian: { coefficient: 0.808, exponent: 0.589, maxMass: 131.6 } // 0.414 MJ
+    };
+
+    // Above this radius the Jovian relation (R ∝ M^-0.044) cannot be inverted
+    static JOVIAN_MIN_RADIUS = 14.31; // R⊕
+
+    // Earth-like rocky composition (Zeng et al. 2016): R = M^(1/3.7)
+    static ROCKY_EXPONENT = 1 / 3.7;
+
+    // Composition classes, from the radius relative to an Earth-like planet of the same mass
+    static COMPOSITION_CLASSES = {
+        rocky: {
+            name: 'Rocky',
+            description: 'Earth-like rock and iron composition',
+            criteria: { maxRockyRadiusRatio: 1.1 }
+        },
+        'water-rich': {
+            name: 'Water-rich',
+            description: 'Rock with a large water/ice fraction (up to ~50% by mass)',
+            criteria: { maxRockyRadiusRatio: 1.25 }
+        },
+        'volatile-envelope': {
+            name: 'Volatile envelope',
+            description: 'Mini-Neptune with a H₂/He or steam envelope',
+            criteria: { maxMass: 50 }
+        },
+        giant: {
+            name: 'Giant',
+            description: 'Gas giant dominated by its H₂/He envelope',
+            criteria: { minMass: 50 }
+        }
+    };
+
+    /**
+     * Estimate the composition of an exoplanet from its radius
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object} Composition class, mass and density estimates
+     */
+    static assessComposition(exoplanet) {
+        const radius = toPositiveNumber(exoplanet.koi_prad);
+        if (radius === null) {
+            return {
+                compositionClass: 'unknown',
+                radius: null,
+                mass: null,
+                density: null,
+                method: null
+            };
+        }
+
+        const massEstimate = this.estimateMass(radius);
+        const errorUpper = toAbsNumber(exoplanet.koi_prad_err1);
+        const errorLower = toAbsNumber(exoplanet.koi_prad_err2);
+
+        // Radius uncertainties propagated through the (monotonic) relation
+        const propagate = (boundRadius) => {
+            if (massEstimate.value === null || boundRadius === null || boundRadius <= 0) return null;
+            const bound = this.estimateMass(boundRadius).value;
+            return bound !== null ? round(Math.abs(bound - massEstimate.value), 3) : null;
+        };
+
+        let density = null;
+        let rockyRadiusRatio = null;
+        if (massEstimate.value !== null) {
+            density = this.EARTH_DENSITY * massEstimate.value / radius ** 3;
+            rockyRadiusRatio = radius / massEstimate.value ** this.ROCKY_EXPONENT;
+        }
+
+        return {
+            compositionClass: this.getCompositionClass(massEstimate.value, rockyRadiusRatio, massEstimate.regime),
+            radius, // R⊕
+            mass: {
+                value: massEstimate.value !== null ? round(massEstimate.value, 3) : null,
+                errorUpper: errorUpper !== null ? propagate(radius + errorUpper) : null,
+                errorLower: errorLower !== null ? propagate(radius - errorLower) : null,
+                unit: 'M⊕',
+                regime: massEstimate.regime
+            },
+            density: {
+                value: density !== null ? round(density, 3) : null,
+                unit: 'g/cm³'
+            },
+            rockyRadiusRatio: rockyRadiusRatio !== null ? round(rockyRadiusRatio, 3) : null,
+            method: 'chen_kipping_2017'
+        };
+    }
+
+    /**
+     * Invert the Chen & Kipping mean relation: M = (R / C)^(1/S)
+     * @param {number} radius - Planet radius (R⊕)
+     * @returns {Object} { value, regime } with value null in the Jovian regime
+     */
+    static estimateMass(radius) {
+        if (radius >= this.JOVIAN_MIN_RADIUS) {
+            // Jovian radii barely depend on mass, any mass from 0.4 MJ to 80 MJ fits
+            return { value: null, regime: 'jovian' };
+        }
+
+        for (const [regime, { coefficient, exponent, maxMass }] of Object.entries(this.MASS_RADIUS_REGIMES)) {
+            const mass = (radius / coefficient) ** (1 / exponent);
+            if (mass <= maxMass) {
+                return { value: mass, regime };
+            }
+        }
+
+        return { value: null, regime: 'jovian' };
+    }
+
+    /**
+     * Assign the composition class
+     * @param {number|null} mass - Estimated mass (M⊕)
+     * @param {number|null} rockyRadiusRatio - Radius over the Earth-like radius of the same mass
+     * @param {string} regime - Mass-radius regime
+     * @returns {string} 'rocky', 'water-rich', 'volatile-envelope' or 'giant'
+     */
+    static getCompositionClass(mass, rockyRadiusRatio, regime) {
+        const classes = this.COMPOSITION_CLASSES;
+
+        if (regime === 'jovian' || mass >= classes.giant.criteria.minMass) {
+            return 'giant';
+        }
+        if (rockyRadiusRatio <= classes.rocky.criteria.maxRockyRadiusRatio) {
+            return 'rocky';
+        }
+        if (rockyRadiusRatio <= classes['water-rich'].criteria.maxRockyRadiusRatio) {
+            return 'water-rich';
+        }
+        return 'volatile-envelope';
+    }
+}
@@ -0,0 +1,301 @@
+import { getDatabase } from '../config/database.js';
+import { SkyPositionService } from './skyService.js';
+import { round } from '../utils/numbers.js';
+
+/**
+ * Cross-match service
+ * Links the TOI and Planetary Systems entries to the KOIs (and the TOIs to the Planetary Systems planets)
+ *
+ * - Name: a Planetary Systems pl_name equal to a KOI kepler_name
+ * - TIC ID: a TOI and a Planetary Systems planet around the same TESS Input Catalog star
+ * - Position: a KOI within RADIUS_ARCSEC of the entry
+ * A match is 'planet' level when the orbital periods agree within PERIOD_TOLERANCE
+ * (or the names match), 'star' level when only the host star is shared.
+ */
+export class CrossMatchService {
+
+    static RADIUS_ARCSEC = 2;
+    static PERIOD_TOLERANCE = 0.01; // Relative difference
+    static BATCH_SIZE = 1000;
+
+    static KOI_PROJECTION = { kepoi_name: 1, kepler_name: 1, kepid: 1, koi_disposition: 1, koi_period: 1, ra: 1, dec: 1 };
+
+    /**
+     * Cross-match every synced catalog with the KOIs
+     * @returns {Promise<Object>} Statistics by catalog
+     */
+    static async crossMatchAll() {
+        try {
+            const db = getDatabase();
+            const kois = await db.collection('koi_objects')
+                .find({ ra: { $type: 'number' }, dec: { $type: 'number' } }, { projection: this.KOI_PROJECTION })
+                .toArray();
+
+            const koiIndex = this.buildPositionIndex(kois);
+            const koisByName = new Map(kois
+                .filter(koi => koi.kepler_name)
+                .map(koi => [koi.kepler_name.toLowerCase(), koi]));
+
+            // Planetary Systems planets by TIC ID, for the TOIs
+            const psPlanets = await db.collection('ps_objects')
+                .find({ tic_id: { $type: 'string' } }, { projection: { pl_name: 1, tic_id: 1, pl_orbper: 1 } })
+                .toArray();
+            const psByTic = new Map();
+            psPlanets.forEach(planet => {
+                const tic = this.parseTicId(planet.tic_id);
+                if (tic === null) return;
+                if (!psByTic.has(tic)) psByTic.set(tic, []);
+                psByTic.get(tic).push(planet);
+            });
+
+            const stats = {};
+            stats.ps = await this.crossMatchCollection('ps_objects', (document) => ({
+                koi: this.matchByName(document, koisByName) || this.matchByPosition(document, 'pl_orbper', koiIndex)
+            }));
+            stats.toi = await this.crossMatchCollection('toi_objects', (document) => ({
+                koi: this.matchByPosition(document, 'pl_orbper', koiIndex),
+                ps: this.matchByTic(document, psByTic)
+            }));
+
+            console.log(`✅ Cross-match completed: ${Object.entries(stats).map(([key, value]) => `${key} ${value.koiMatches}/${value.total}`).join(', ')}`);
+            return stats;
+
+        } catch (error) {
+            console.error('❌ Error cross-matching catalogs:', error);
+            throw new Error(`Could not cross-match catalogs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute and store the cross-matches of a catalog collection
+     * @param {string} collectionName - Catalog collection
+     * @param {Function} match - (document) => crossmatch fields
+     * @returns {Promise<Object>} { total, koiMatches, planetMatches }
+     */
+    static async crossMatchCollection(collectionName, match) {
+        const collection = getDatabase().collection(collectionName);
+        const stats = { total: 0, koiMatches: 0, planetMatches: 0 };
+        const matchedAt = new Date();
+        let operations = [];
+
+        const cursor = collection.find({}, { projection: { _id: 1, designation: 1, pl_name: 1, tid: 1, pl_orbper: 1, ra: 1, dec: 1 } });
+        for await (const document of cursor) {
+            const crossmatch = match(document);
+            stats.total++;
+            if (crossmatch.koi) stats.koiMatches++;
+            if (crossmatch.koi?.level === 'planet') stats.planetMatches++;
+
+            operations.push({
+                updateOne: {
+                    filter: { _id: document._id },
+                    update: { $set: { crossmatch: { ...crossmatch, matchedAt } } }
+                }
+            });
+
+            if (operations.length >= this.BATCH_SIZE) {
+                await collection.bulkWrite(operations, { ordered: false });
+                operations = [];
+            }
+        }
+
+        if (operations.length > 0) {
+            await collection.bulkWrite(operations, { ordered: false });
+        }
+
+        return stats;
+    }
+
+    /**
+     * Match a Planetary Systems planet to the KOI with the same Kepler name
+     * @param {Object} document - Catalog document
+     * @param {Map} koisByName - KOIs by lowercase kepler_name
+     * @returns {Object|null} Match or null
+     */
+    static matchByName(document, koisByName) {
+        const koi = document.pl_name ? koisByName.get(document.pl_name.toLowerCase()) : null;
+        if (!koi) return null;
+
+        return {
+            ...this.describeKoi(koi),
+            level: 'planet',
+            method: 'name',
+            separationArcsec: this.getSeparationArcsec(document, koi)
+        };
+    }
+
+    /**
+     * Match an entry to the closest KOI within the cross-match radius
+     * KOIs with a matching period are preferred (planet level)
+     * @param {Object} document - Catalog document
+     * @param {string} periodColumn - Orbital period column of the catalog
+     * @param {Array<Object>} koiIndex - KOIs sorted by declination
+     * @returns {Object|null} Match or null
+     */
+    static matchByPosition(document, periodColumn, koiIndex) {
+        if (typeof document.ra !== 'number' || typeof document.dec !== 'number') return null;
+
+        const radius = this.RADIUS_ARCSEC / 3600;
+        const candidates = [];
+
+        // Declination window, then the exact separation
+        for (let i = this.lowerBound(koiIndex, document.dec - radius); i < koiIndex.length && koiIndex[i].dec <= document.dec + radius; i++) {
+            const koi = koiIndex[i];
+            const separation = SkyPositionService.angularSeparation(document.ra, document.dec, koi.ra, koi.dec);
+            if (separation <= radius) {
+                candidates.push({ koi, separationArcsec: separation * 3600, periodDifference: this.periodDifference(document[periodColumn], koi.koi_period) });
+            }
+        }
+
+        if (candidates.length === 0) return null;
+
+        const planetMatch = candidates
+            .filter(candidate => candidate.periodDifference !== null && candidate.periodDifference <= this.PERIOD_TOLERANCE)
+            .sort((a, b) => a.periodDifference - b.periodDifference)[0];
+        const best = planetMatch || candidates.sort((a, b) => a.separationArcsec - b.separationArcsec)[0];
+
+        return {
+            ...this.describeKoi(best.koi),
+            level: planetMatch ? 'planet' : 'star',
+            method: 'position',
+            separationArcsec: round(best.separationArcsec, 3)
+        };
+    }
+
+    /**
+     * Match a TOI to the Planetary Systems planets of the same TIC star
+     * @param {Object} document - TOI document
+     * @param {Map} psByTic - Planetary Systems planets by TIC ID
+     * @returns {Object|null} { pl_name, level, method } or null
+     */
+    static matchByTic(document, psByTic) {
+        const planets = psByTic.get(Number(document.tid));
+        if (!planets) return null;
+
+        const planet = planets
+            .map(candidate => ({ candidate, difference: this.periodDifference(document.pl_orbper, candidate.pl_orbper) }))
+            .filter(({ difference }) => difference !== null && difference <= this.PERIOD_TOLERANCE)
+            .sort((a, b) => a.difference - b.difference)[0];
+
+        return {
+            pl_name: planet ? planet.candidate.pl_name : null,
+            hostPlanets: planets.map(candidate => candidate.pl_name),
+            level: planet ? 'planet' : 'star',
+            method: 'tic_id'
+        };
+    }
+
+    /**
+     * Find the catalog entries matched to a KOI or to its host star
+     * @param {Object} koi - KOI document
+     * @returns {Promise<Object>} { toi, ps } entries
+     */
+    static async getMatchesForKoi(koi) {
+        try {
+            const db = getDatabase();
+            const filter = koi.kepid !== null && koi.kepid !== undefined
+                ? { 'crossmatch.koi.kepid': koi.kepid }
+                : { 'crossmatch.koi.kepoi_name': koi.kepoi_name };
+            const projection = { _id: 0, catalog: 1, designation: 1, system_name: 1, disposition: 1, crossmatch: 1 };
+
+            const [toi, ps] = await Promise.all([
+                db.collection('toi_objects').find(filter, { projection }).sort({ designation: 1 }).toArray(),
+                db.collection('ps_objects').find(filter, { projection }).sort({ designation: 1 }).toArray()
+            ]);
+
+            // Entries of the same star that matched another KOI are star-level for this one
+            const describe = ({ crossmatch, ...entry }) => ({
+                ...entry,
+                level: crossmatch.koi.kepoi_name === koi.kepoi_name ? crossmatch.koi.level : 'star',
+                method: crossmatch.koi.method,
+                separationArcsec: crossmatch.koi.separationArcsec,
+                ...(crossmatch.ps && { ps: crossmatch.ps })
+            });
+
+            return {
+                toi: toi.map(describe),
+                ps: ps.map(describe)
+            };
+
+        } catch (error) {
+            console.error(`❌ Error retrieving cross-matches of ${koi.kepoi_name}:`, error);
+            throw new Error(`Could not retrieve cross-matches: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sort the KOIs by declination for the window search
+     * @param {Array<Object>} kois - KOI documents
+     * @returns {Array<Object>} Sorted KOIs
+     */
+    static buildPositionIndex(kois) {
+        return [...kois].sort((a, b) => a.dec - b.dec);
+    }
+
+    /**
+     * First index whose declination is at least the given value
+     * @param {Array<Object>} index - KOIs sorted by declination
+     * @param {number} dec - Declination (degrees)
+     * @returns {number} Index
+     */
+    static lowerBound(index, dec) {
+        let low = 0;
+        let high = index.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (index[middle].dec < dec) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Relative difference between two orbital periods
+     * @param {any} period - Catalog period (days)
+     * @param {any} koiPeriod - KOI period (days)
+     * @returns {number|null} |a - b| / b, or null if a period is missing
+     */
+    static periodDifference(period, koiPeriod) {
+        const a = Number(period);
+        const b = Number(koiPeriod);
+        if (period === null || koiPeriod === null || !Number.isFinite(a) || !Number.isFinite(b) || a <= 0 || b <= 0) return null;
+        return Math.abs(a - b) / b;
+    }
+
+    /**
+     * Parse a TIC identifier ("TIC 150428135" or 150428135)
+     * @param {any} value - Raw identifier
+     * @returns {number|null} TIC number
+     */
+    static parseTicId(value) {
+        const match = String(value ?? '').match(/(\d+)/);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Separation between a catalog entry and a KOI
+     * @param {Object} document - Catalog document
+     * @param {Object} koi - KOI document
+     * @returns {number|null} Separation (arcsec)
+     */
+    static getSeparationArcsec(document, koi) {
+        if (typeof document.ra !== 'number' || typeof document.dec !== 'number') return null;
+        return round(SkyPositionService.angularSeparation(document.ra, document.dec, koi.ra, koi.dec) * 3600, 3);
+    }
+
+    /**
+     * Identifiers of a matched KOI
+     * @param {Object} koi - KOI document
+     * @returns {Object} { kepoi_name, kepler_name, kepid, koi_disposition }
+     */
+    static describeKoi(koi) {
+        return {
+            kepoi_name: koi.kepoi_name,
+            kepler_name: koi.kepler_name || null,
+            kepid: koi.kepid ?? null,
+            koi_disposition: koi.koi_disposition
+        };
+    }
+}
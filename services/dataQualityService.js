@@ -0,0 +1,241 @@
+import { HabitabilityService } from './habitabilityService.js';
+import { toPositiveNumber, toAbsNumber, round } from '../utils/numbers.js';
+
+/**
+ * Data quality service
+ * Reports whether each value served by the API was measured, derived or defaulted
+ *
+ * - measured: read from the KOI column, with its _err1/_err2 uncertainties
+ * - derived: computed from other measured columns (ex: Kepler's third law)
+ * - defaulted: missing and replaced by an Earth/Sun-like default (null in strict mode)
+ * - missing: missing, with no default
+ */
+export class DataQualityService {
+
+    static EARTH_RADII_PER_SOLAR_RADIUS = 109.076;
+    static SOLAR_RADIUS_AU = 0.00465047;
+    static BOND_ALBEDO = 0.3; // Albedo assumed by the KOI equilibrium temperatures
+
+    // Planet values of the system payload
+    static PLANET_FIELDS = {
+        radius: {
+            column: 'koi_prad',
+            unit: 'R⊕',
+            defaultValue: 1.0,
+            derive: (koi) => DataQualityService.deriveRadius(koi),
+            derivedFrom: 'koi_ror × koi_srad'
+        },
+        temperature: {
+            column: 'koi_teq',
+            unit: 'K',
+            defaultValue: 288,
+            derive: (koi) => DataQualityService.deriveEquilibriumTemperature(koi),
+            derivedFrom: 'koi_steff, koi_srad and semi-major axis (Bond albedo 0.3)'
+        },
+        distance: {
+            column: 'koi_sma',
+            unit: 'AU',
+            defaultValue: 1.0,
+            derive: (koi) => DataQualityService.deriveSemiMajorAxis(koi),
+            derivedFrom: "Kepler's third law (koi_period, koi_smass)"
+        },
+        orbitalPeriod: {
+            column: 'koi_period',
+            unit: 'days',
+            defaultValue: null
+        },
+        starMass: {
+            column: 'koi_smass',
+            unit: 'M☉',
+            defaultValue: 1.0
+        },
+        starRadius: {
+            column: 'koi_srad',
+            unit: 'R☉',
+            defaultValue: 1.0
+        }
+    };
+
+    // Columns (and their uncertainties) needed to assess the planet fields
+    static PLANET_COLUMNS = [
+        'koi_prad', 'koi_teq', 'koi_sma', 'koi_period', 'koi_smass', 'koi_srad',
+        'koi_ror', 'koi_steff'
+    ];
+
+    /**
+     * Build the projection of every column used by the assessment
+     * @returns {Object} MongoDB projection
+     */
+    static getProjection() {
+        const projection = {};
+        this.PLANET_COLUMNS.forEach(column => {
+            projection[column] = 1;
+            projection[`${column}_err1`] = 1;
+            projection[`${column}_err2`] = 1;
+        });
+        return projection;
+    }
+
+    /**
+     * Assess the planet fields of a KOI
+     * @param {Object} koi - KOI document
+     * @param {Object} options - Options
+     * @param {boolean} options.strict - Return null instead of defaults
+     * @returns {Object} { values, report } where values holds the served numbers
+     */
+    static assessPlanet(koi, { strict = false } = {}) {
+        const values = {};
+        const report = {};
+
+        for (const [field, spec] of Object.entries(this.PLANET_FIELDS)) {
+            report[field] = this.assessField(koi, spec, { strict });
+            values[field] = report[field].value;
+        }
+
+        return { values, report };
+    }
+
+    /**
+     * Assess the host star summary values
+     * @param {Object|null} hostStar - Host star from StarService.buildHostStar
+     * @param {Object} options - Options
+     * @param {boolean} options.strict - Return null instead of defaults
+     * @returns {Object} { values, report }
+     */
+    static assessStar(hostStar, { strict = false } = {}) {
+        const parameters = hostStar?.parameters || {};
+
+        const fromParameter = (parameter, column, defaultValue) => {
+            const measurement = parameters[parameter];
+            if (measurement && measurement.value !== null) {
+                return {
+                    value: measurement.value,
+                    quality: 'measured',
+                    source: column,
+                    unit: measurement.unit,
+                    errorUpper: measurement.errorUpper,
+                    errorLower: measurement.errorLower
+                };
+            }
+            return this.fallback(defaultValue, measurement?.unit ?? null, column, strict);
+        };
+
+        const mass = fromParameter('mass', 'koi_smass', 1.0);
+        const radius = fromParameter('radius', 'koi_srad', 1.0);
+
+        let temperature = fromParameter('temperature', 'koi_steff', 5778);
+        if (temperature.quality !== 'measured' && mass.quality === 'measured') {
+            // Main-sequence estimate T ≈ 5778 K × sqrt(M/M☉)
+            temperature = {
+                value: round(5778 * Math.sqrt(mass.value), 0),
+                quality: 'derived',
+                source: 'koi_smass (main-sequence estimate)',
+                unit: 'K',
+                errorUpper: null,
+                errorLower: null
+            };
+        }
+
+        let type;
+        if (hostStar?.type) {
+            type = { value: hostStar.type, quality: temperature.quality, source: 'spectral class from temperature' };
+        } else {
+            type = { value: strict ? null : 'G-type', quality: strict ? 'missing' : 'defaulted', source: null };
+        }
+
+        const report = { mass, radius, temperature, type };
+        const values = Object.fromEntries(Object.entries(report).map(([field, entry]) => [field, entry.value]));
+
+        return { values, report };
+    }
+
+    /**
+     * Assess a single field
+     * @param {Object} koi - KOI document
+     * @param {Object} spec - Field specification
+     * @param {Object} options - { strict }
+     * @returns {Object} { value, quality, source, unit, errorUpper, errorLower }
+     */
+    static assessField(koi, spec, { strict }) {
+        const measured = toPositiveNumber(koi[spec.column]);
+        if (measured !== null) {
+            return {
+                value: measured,
+                quality: 'measured',
+                source: spec.column,
+                unit: spec.unit,
+                errorUpper: toAbsNumber(koi[`${spec.column}_err1`]),
+                errorLower: toAbsNumber(koi[`${spec.column}_err2`])
+            };
+        }
+
+        const derived = spec.derive ? spec.derive(koi) : null;
+        if (derived !== null && derived !== undefined) {
+            return {
+                value: round(derived, 4),
+                quality: 'derived',
+                source: spec.derivedFrom,
+                unit: spec.unit,
+                errorUpper: null,
+                errorLower: null
+            };
+        }
+
+        return this.fallback(spec.defaultValue, spec.unit, spec.column, strict);
+    }
+
+    /**
+     * Report for a value that could not be measured nor derived
+     * @param {number|null} defaultValue - Default value
+     * @param {string|null} unit - Unit
+     * @param {string} column - Missing column
+     * @param {boolean} strict - Strict mode
+     * @returns {Object} Report entry
+     */
+    static fallback(defaultValue, unit, column, strict) {
+        const useDefault = !strict && defaultValue !== null && defaultValue !== undefined;
+        return {
+            value: useDefault ? defaultValue : null,
+            quality: useDefault ? 'defaulted' : 'missing',
+            source: useDefault ? `default (${column} missing)` : null,
+            unit,
+            errorUpper: null,
+            errorLower: null
+        };
+    }
+
+    /**
+     * Planet radius from the radius ratio and the stellar radius
+     * @param {Object} koi - KOI document
+     * @returns {number|null} Radius (R⊕)
+     */
+    static deriveRadius(koi) {
+        const ror = toPositiveNumber(koi.koi_ror);
+        const srad = toPositiveNumber(koi.koi_srad);
+        return ror !== null && srad !== null ? ror * srad * this.EARTH_RADII_PER_SOLAR_RADIUS : null;
+    }
+
+    /**
+     * Semi-major axis from Kepler's third law (only when koi_sma is missing)
+     * @param {Object} koi - KOI document
+     * @returns {number|null} Semi-major axis (AU)
+     */
+    static deriveSemiMajorAxis(koi) {
+        if (toPositiveNumber(koi.koi_sma) !== null) return null;
+        return HabitabilityService.getSemiMajorAxis(koi);
+    }
+
+    /**
+     * Equilibrium temperature Teq = Teff × sqrt(R* / 2a) × (1 - A)^¼
+     * @param {Object} koi - KOI document
+     * @returns {number|null} Temperature (K)
+     */
+    static deriveEquilibriumTemperature(koi) {
+        const steff = toPositiveNumber(koi.koi_steff);
+        const srad = toPositiveNumber(koi.koi_srad);
+        const sma = HabitabilityService.getSemiMajorAxis(koi);
+        if (steff === null || srad === null || sma === null) return null;
+
+        return steff * Math.sqrt((srad * this.SOLAR_RADIUS_AU) / (2 * sma)) * Math.pow(1 - this.BOND_ALBEDO, 0.25);
+    }
+}
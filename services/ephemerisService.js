@@ -0,0 +1,300 @@
+import { getDatabase } from '../config/database.js';
+import { ExoplanetQueryBuilder } from './exoplanetQueryBuilder.js';
+import { CatalogService } from './catalogService.js';
+import { toNumber, round } from '../utils/numbers.js';
+
+/**
+ * Ephemeris service
+ * Predicts transit times from koi_time0bk (or koi_time0), koi_period and koi_duration
+ *
+ * Times are Barycentric Julian Dates (BJD_TDB). Calendar dates are converted as if
+ * JD_UTC = BJD, which is accurate to a few minutes (barycentric correction + TDB offset).
+ */
+export class EphemerisService {
+
+    static BKJD_OFFSET = 2454833.0;   // BKJD = BJD - 2454833.0
+    static UNIX_EPOCH_JD = 2440587.5; // JD of 1970-01-01T00:00:00Z
+    static DEFAULT_WINDOW_DAYS = 30;
+    static MAX_WINDOW_DAYS = 3650;
+    static MAX_TRANSITS_PER_PLANET = 1000;
+    static MIN_EPOCH_JD = 2415020.5; // 1900-01-01
+    static MAX_EPOCH_JD = 2488069.5; // 2100-01-01
+    static EPOCH_FORMAT_HINT = 'Use an ISO date (e.g. 2025 or 2025-01-01), a Julian Date or a BKJD between 1900 and 2100';
+
+    static EPHEMERIS_PROJECTION = {
+        kepler_name: 1,
+        kepoi_name: 1,
+        koi_disposition: 1,
+        koi_time0bk: 1,
+        koi_time0bk_err1: 1,
+        koi_time0bk_err2: 1,
+        koi_time0: 1,
+        koi_time0_err1: 1,
+        koi_time0_err2: 1,
+        koi_period: 1,
+        koi_period_err1: 1,
+        koi_period_err2: 1,
+        koi_duration: 1,
+        koi_duration_err1: 1,
+        koi_duration_err2: 1
+    };
+
+    /**
+     * Parse an epoch given as an ISO date or as a Julian Date
+     * Four digits are an ISO year (2025); other numbers are Julian Dates, or BKJD below 100000
+     * @param {string|undefined} value - ISO 8601 date, or JD/BJD/BKJD number
+     * @returns {number|null} BJD, or null if the value is invalid or outside 1900-2100
+     */
+    static parseEpoch(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        let bjd;
+        if (/^\d+(\.\d+)?$/.test(String(value)) && !/^\d{4}$/.test(String(value))) {
+            const jd = parseFloat(value);
+            bjd = jd < 100000 ? jd + this.BKJD_OFFSET : jd;
+        } else {
+            const time = Date.parse(value);
+            if (isNaN(time)) return null;
+            bjd = this.dateToJD(new Date(time));
+        }
+
+        // Out-of-range epochs cannot be formatted as dates (and predictions there are meaningless)
+        return bjd >= this.MIN_EPOCH_JD && bjd <= this.MAX_EPOCH_JD ? bjd : null;
+    }
+
+    /**
+     * Resolve the requested time window
+     * @param {string|undefined} from - Window start
+     * @param {string|undefined} to - Window end
+     * @returns {Object} { valid, from, to } in BJD, or { valid: false, error }
+     */
+    static resolveWindow(from, to) {
+        const start = from !== undefined ? this.parseEpoch(from) : this.dateToJD(new Date());
+        if (start === null) {
+            return { valid: false, error: `Invalid 'from' epoch: ${from}. ${this.EPOCH_FORMAT_HINT}` };
+        }
+
+        const end = to !== undefined ? this.parseEpoch(to) : start + this.DEFAULT_WINDOW_DAYS;
+        if (end === null) {
+            return { valid: false, error: `Invalid 'to' epoch: ${to}. ${this.EPOCH_FORMAT_HINT}` };
+        }
+
+        if (end <= start) {
+            return { valid: false, error: "'to' must be after 'from'" };
+        }
+
+        if (end - start > this.MAX_WINDOW_DAYS) {
+            return { valid: false, error: `The window cannot exceed ${this.MAX_WINDOW_DAYS} days` };
+        }
+
+        return { valid: true, from: start, to: end };
+    }
+
+    /**
+     * Predict the transits of a planet in a time window
+     * @param {Object} exoplanet - KOI document
+     * @param {number} from - Window start (BJD)
+     * @param {number} to - Window end (BJD)
+     * @returns {Object} Ephemeris and the list of predicted transits
+     */
+    static predictTransits(exoplanet, from, to) {
+        const ephemeris = this.getEphemeris(exoplanet);
+        const planet = {
+            kepler_name: exoplanet.kepler_name || null,
+            kepoi_name: exoplanet.kepoi_name,
+            ...(exoplanet.designation && { designation: exoplanet.designation })
+        };
+
+        if (!ephemeris) {
+            return {
+                ...planet,
+                ephemeris: null,
+                transits: [],
+                truncated: false,
+                message: 'Missing transit epoch or period, transits cannot be predicted'
+            };
+        }
+
+        const { epoch, period, duration } = ephemeris;
+
+        // Transits fully or partially inside the window
+        const halfDuration = (duration.value || 0) / 48;
+        const firstCycle = Math.ceil((from - halfDuration - epoch.value) / period.value);
+        const lastCycle = Math.floor((to + halfDuration - epoch.value) / period.value);
+
+        const transits = [];
+        for (let cycle = firstCycle; cycle <= lastCycle && transits.length < this.MAX_TRANSITS_PER_PLANET; cycle++) {
+            transits.push(this.buildTransit(cycle, ephemeris));
+        }
+
+        return {
+            ...planet,
+            ephemeris: {
+                epochBJD: epoch.value,
+                epochUncertainty: epoch.sigma, // days
+                period: period.value,          // days
+                periodUncertainty: period.sigma,
+                duration: duration.value,      // hours
+                durationUncertainty: duration.sigma
+            },
+            transits,
+            truncated: lastCycle - firstCycle + 1 > transits.length
+        };
+    }
+
+    /**
+     * Compute the timings of one transit with propagated uncertainties
+     * σ(Tn) = sqrt(σT0² + (n σP)²), σ(ingress/egress) = sqrt(σ(Tn)² + (σD/2)²)
+     * @param {number} cycle - Transit number counted from the reference epoch
+     * @param {Object} ephemeris - Ephemeris from getEphemeris
+     * @returns {Object} Transit timings
+     */
+    static buildTransit(cycle, { epoch, period, duration }) {
+        const midTime = epoch.value + cycle * period.value;
+        const midSigma = Math.sqrt(epoch.sigma ** 2 + (cycle * period.sigma) ** 2);
+
+        const transit = {
+            cycle,
+            midTime: this.formatEpoch(midTime),
+            uncertaintyMinutes: round(midSigma * 1440, 2)
+        };
+
+        if (duration.value !== null) {
+            const halfDuration = duration.value / 48; // hours -> half duration in days
+            const edgeSigma = Math.sqrt(midSigma ** 2 + (duration.sigma / 48) ** 2);
+            transit.ingress = this.formatEpoch(midTime - halfDuration);
+            transit.egress = this.formatEpoch(midTime + halfDuration);
+            transit.ingressEgressUncertaintyMinutes = round(edgeSigma * 1440, 2);
+        }
+
+        return transit;
+    }
+
+    /**
+     * Extract the ephemeris of a KOI
+     * The epoch is koi_time0bk (BKJD), or koi_time0 (BJD) for the catalog rows mapped onto the KOI columns
+     * Asymmetric errors are reduced to their mean absolute value
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object|null} { epoch, period, duration } or null if it cannot be computed
+     */
+    static getEphemeris(exoplanet) {
+        const time0bk = toNumber(exoplanet.koi_time0bk);
+        const time0 = time0bk !== null ? time0bk + this.BKJD_OFFSET : toNumber(exoplanet.koi_time0);
+        const period = toNumber(exoplanet.koi_period);
+        if (time0 === null || period === null || period <= 0) {
+            return null;
+        }
+
+        const duration = toNumber(exoplanet.koi_duration);
+
+        return {
+            epoch: { value: time0, sigma: this.meanError(exoplanet, time0bk !== null ? 'koi_time0bk' : 'koi_time0') },
+            period: { value: period, sigma: this.meanError(exoplanet, 'koi_period') },
+            duration: {
+                value: duration !== null && duration > 0 ? duration : null,
+                sigma: this.meanError(exoplanet, 'koi_duration')
+            }
+        };
+    }
+
+    /**
+     * Predict the transits of every confirmed planet of a system
+     * Non-Kepler hosts are resolved in the TOI and Planetary Systems catalogs
+     * @param {string} keplerName - System name (ex: "Kepler-257", "TOI-700")
+     * @param {number} from - Window start (BJD)
+     * @param {number} to - Window end (BJD)
+     * @returns {Promise<Object|null>} Planets with their transits, and the merged timeline, or null if unknown
+     */
+    static async getSystemTransits(keplerName, from, to) {
+        try {
+            const db = getDatabase();
+            const collection = db.collection('koi_objects');
+
+            let systemName = keplerName;
+            let catalog = 'koi';
+            let planets = await collection
+                .find({
+                    kepler_name: { $regex: `^${ExoplanetQueryBuilder.escapeRegex(keplerName)}[\\s]`, $options: 'i' },
+                    koi_disposition: 'CONFIRMED'
+                }, { projection: { ...this.EPHEMERIS_PROJECTION, _id: 0 } })
+                .sort({ kepler_name: 1 })
+                .toArray();
+
+            if (planets.length === 0) {
+                const catalogSystem = await CatalogService.findSystemDocuments(keplerName);
+                if (!catalogSystem) {
+                    return null;
+                }
+                ({ systemName, catalog, documents: planets } = catalogSystem);
+            }
+
+            const predictions = planets.map(planet => this.predictTransits(planet, from, to));
+
+            // All transits of the system in chronological order
+            const timeline = predictions
+                .flatMap(prediction => prediction.transits.map(transit => ({
+                    kepler_name: prediction.kepler_name,
+                    kepoi_name: prediction.kepoi_name,
+                    ...(prediction.designation && { designation: prediction.designation }),
+                    ...transit
+                })))
+                .sort((a, b) => a.midTime.bjd - b.midTime.bjd);
+
+            return {
+                systemName,
+                catalog,
+                planets: predictions,
+                timeline
+            };
+
+        } catch (error) {
+            console.error(`❌ Error predicting transits for ${keplerName}:`, error);
+            throw new Error(`Could not predict transits for ${keplerName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mean absolute value of the _err1/_err2 columns
+     * @param {Object} exoplanet - KOI document
+     * @param {string} column - Column name
+     * @returns {number} Uncertainty (0 if unknown)
+     */
+    static meanError(exoplanet, column) {
+        const errors = [exoplanet[`${column}_err1`], exoplanet[`${column}_err2`]]
+            .map(value => toNumber(value))
+            .filter(value => value !== null)
+            .map(Math.abs);
+
+        return errors.length > 0 ? errors.reduce((sum, value) => sum + value, 0) / errors.length : 0;
+    }
+
+    /**
+     * Format an epoch in BJD and as an ISO date
+     * @param {number} bjd - Barycentric Julian Date
+     * @returns {Object} { bjd, iso }
+     */
+    static formatEpoch(bjd) {
+        return {
+            bjd: round(bjd, 6),
+            iso: this.jdToDate(bjd).toISOString()
+        };
+    }
+
+    /**
+     * Convert a date to a Julian Date
+     * @param {Date} date - Date
+     * @returns {number} Julian Date
+     */
+    static dateToJD(date) {
+        return date.getTime() / 86400000 + this.UNIX_EPOCH_JD;
+    }
+
+    /**
+     * Convert a Julian Date to a date
+     * @param {number} jd - Julian Date
+     * @returns {Date} Date
+     */
+    static jdToDate(jd) {
+        return new Date((jd - this.UNIX_EPOCH_JD) * 86400000);
+    }
+}
@@ -0,0 +1,410 @@
+/**
+ * Exoplanet query builder
+ * Translates the /api/exoplanets query-string grammar into a safe MongoDB query
+ *
+ * Grammar:
+ * - <field>=<value>              equality (shorthand for <field>.eq)
+ * - <field>.<operator>=<value>   operator condition
+ * - name=<text>                  partial match on kepler_name or kepoi_name
+ * - classification=<a>,<b>       stored classification is one of the given keys
+ * - planetType=<a>,<b>           stored planet type is one of the given types
+ * - IS_AI=true|false             AI-classified flag
+ * - sort=-koi_score,kepler_name  sort on any known field ('-' for descending)
+ * - fields=kepler_name,koi_prad  projection on known fields and enrichments
+ * - cursor=<opaque>              resume after the last document of a previous page
+ */
+
+import { ObjectId } from 'mongodb';
+import { NasaSyncService } from './nasaSyncService.js';
+import { ExoplanetClassificationService } from './planetClassification.js';
+
+export class ExoplanetQueryBuilder {
+
+    // KOI columns stored as strings, every other KOI column is numeric
+    static TEXT_FIELDS = [
+        'dec_str', 'ra_str', 'kepler_name', 'kepoi_name', 'koi_comment',
+        'koi_datalink_dvr', 'koi_datalink_dvs', 'koi_delivname', 'koi_disp_prov',
+        'koi_disposition', 'koi_fittype', 'koi_limbdark_mod', 'koi_parm_prov',
+        'koi_pdisposition', 'koi_quarters', 'koi_sparprov', 'koi_tce_delivname',
+        'koi_trans_mod', 'koi_vet_date', 'koi_vet_stat'
+    ];
+
+    static NUMERIC_FIELDS = [
+        ...NasaSyncService.KOI_COLUMNS.filter(column => !ExoplanetQueryBuilder.TEXT_FIELDS.includes(column)),
+        'confidence_score'
+    ];
+
+    static NUMERIC_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'];
+    static TEXT_OPERATORS = ['eq', 'ne', 'in', 'contains', 'startsWith', 'exists'];
+
+    // Computed fields added by ExoplanetService to each listed exoplanet
+    static ENRICHMENT_FIELDS = ['classification', 'planetType', 'texture', 'description', 'confidence', 'ruleSetVersion', 'systemName', 'habitability', 'composition'];
+
+    // Parameters handled by the routes and ExoplanetService themselves
+    static RESERVED_PARAMS = ['limit', 'skip', 'status', 'sort', 'fields', 'cursor', 'includeStats'];
+
+    static MAX_IN_VALUES = 100;
+    static MAX_SORT_FIELDS = 5;
+
+    /**
+     * Check whether a field can be filtered or sorted on
+     * @param {string} field - Field name
+     * @returns {boolean} True if the field is known
+     */
+    static isKnownField(field) {
+        return this.NUMERIC_FIELDS.includes(field) || this.TEXT_FIELDS.includes(field) || field === 'IS_AI';
+    }
+
+    /**
+     * Parse the query-string parameters of a listing request
+     * @param {Object} params - Express req.query
+     * @param {Object} options - Options
+     * @param {Array<string>} options.reserved - Additional parameters to ignore
+     * @returns {Object} { valid, filter, baseFilter, sort, fields, hasCursor, applied } or { valid: false, error }
+     */
+    static parse(params = {}, { reserved = [] } = {}) {
+        const ignored = [...this.RESERVED_PARAMS, ...reserved];
+        const conditions = [];
+        const applied = {};
+
+        try {
+            for (const [key, rawValue] of Object.entries(params)) {
+                if (ignored.includes(key)) continue;
+
+                const value = this.requireString(key, rawValue);
+                applied[key] = value;
+
+                if (key === 'name') {
+                    const pattern = this.escapeRegex(value);
+                    conditions.push({
+                        $or: [
+                            { kepler_name: { $regex: pattern, $options: 'i' } },
+                            { kepoi_name: { $regex: pattern, $options: 'i' } }
+                        ]
+                    });
+                    continue;
+                }
+
+                if (key === 'classification') {
+                    conditions.push(this.buildClassificationCondition(value));
+                    continue;
+                }
+
+                if (key === 'planetType') {
+                    conditions.push(this.buildPlanetTypeCondition(value));
+                    continue;
+                }
+
+                if (key === 'IS_AI') {
+                    conditions.push(this.parseBoolean(key, value) ? { IS_AI: true } : { IS_AI: { $ne: true } });
+                    continue;
+                }
+
+                const [field, operator = 'eq', ...rest] = key.split('.');
+                if (rest.length > 0 || !this.isKnownField(field) || field === 'IS_AI') {
+                    throw new Error(`Unknown filter parameter '${key}'`);
+                }
+
+                conditions.push({ [field]: this.buildFieldCondition(field, operator, value) });
+            }
+
+            const sort = this.parseSort(params.sort);
+            if (params.sort !== undefined) applied.sort = params.sort;
+
+            const fields = this.parseFields(params.fields);
+            if (params.fields !== undefined) applied.fields = params.fields;
+
+            const baseFilter = conditions.length > 0 ? { $and: conditions } : {};
+            let filter = baseFilter;
+            if (params.cursor !== undefined && params.cursor !== '') {
+                const cursorCondition = this.decodeCursor(this.requireString('cursor', params.cursor), sort);
+                filter = { $and: [...conditions, cursorCondition] };
+            }
+
+            return {
+                valid: true,
+                filter,
+                baseFilter,
+                sort,
+                fields,
+                hasCursor: filter !== baseFilter,
+                applied
+            };
+
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build the MongoDB condition for a single field/operator pair
+     * @param {string} field - Field name
+     * @param {string} operator - Grammar operator
+     * @param {string} value - Raw string value
+     * @returns {Object|*} MongoDB condition
+     */
+    static buildFieldCondition(field, operator, value) {
+        const isNumeric = this.NUMERIC_FIELDS.includes(field);
+        const operators = isNumeric ? this.NUMERIC_OPERATORS : this.TEXT_OPERATORS;
+
+        if (!operators.includes(operator)) {
+            throw new Error(`Operator '${operator}' is not supported for ${field}. Expected one of: ${operators.join(', ')}`);
+        }
+
+        const cast = (raw) => isNumeric ? this.parseNumber(field, raw) : raw;
+
+        switch (operator) {
+            case 'eq':
+                return cast(value);
+            case 'ne':
+                return { $ne: cast(value) };
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte':
+                return { [`$${operator}`]: cast(value) };
+            case 'in': {
+                const values = value.split(',').map(item => item.trim()).filter(item => item !== '');
+                if (values.length === 0 || values.length > this.MAX_IN_VALUES) {
+                    throw new Error(`${field}.in expects between 1 and ${this.MAX_IN_VALUES} comma-separated values`);
+                }
+                return { $in: values.map(cast) };
+            }
+            case 'exists':
+                return this.parseBoolean(`${field}.exists`, value)
+                    ? { $exists: true, $ne: null }
+                    : { $in: [null] };
+            case 'contains':
+                return { $regex: this.escapeRegex(value), $options: 'i' };
+            case 'startsWith':
+                return { $regex: `^${this.escapeRegex(value)}`, $options: 'i' };
+        }
+    }
+
+    /**
+     * Build a condition on the classification persisted by the reclassification job
+     * @param {string} value - Comma-separated classification keys
+     * @returns {Object} MongoDB condition
+     */
+    static buildClassificationCondition(value) {
+        const keys = value.split(',').map(item => item.trim().toLowerCase()).filter(item => item !== '');
+        const classifications = ExoplanetClassificationService.getRules();
+
+        if (keys.length === 0) {
+            throw new Error('classification expects at least one classification name');
+        }
+
+        const unknown = keys.filter(key => !Object.hasOwn(classifications, key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown classification '${unknown.join(', ')}'. Expected one of: ${Object.keys(classifications).join(', ')}`);
+        }
+
+        return { [`${ExoplanetClassificationService.STORED_FIELD}.classification`]: { $in: keys } };
+    }
+
+    /**
+     * Build a condition on the persisted planet type
+     * @param {string} value - Comma-separated planet types (ex: terrestrial,gas_giant)
+     * @returns {Object} MongoDB condition
+     */
+    static buildPlanetTypeCondition(value) {
+        const types = value.split(',').map(item => item.trim().toLowerCase()).filter(item => item !== '');
+        const knownTypes = [...new Set(Object.values(ExoplanetClassificationService.getRules()).map(rule => rule.type))];
+
+        if (types.length === 0) {
+            throw new Error('planetType expects at least one planet type');
+        }
+
+        const unknown = types.filter(type => !knownTypes.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown planetType '${unknown.join(', ')}'. Expected one of: ${knownTypes.join(', ')}`);
+        }
+
+        return { [`${ExoplanetClassificationService.STORED_FIELD}.planetType`]: { $in: types } };
+    }
+
+    /**
+     * Parse the sort parameter
+     * _id is always appended as a tie-breaker so that the order is stable across pages
+     * @param {string} value - Comma-separated fields, '-' prefix for descending
+     * @returns {Object} MongoDB sort specification
+     */
+    static parseSort(value) {
+        if (value === undefined || value === '') {
+            return { kepler_name: 1, _id: 1 };
+        }
+
+        const fields = this.requireString('sort', value).split(',').map(item => item.trim()).filter(item => item !== '');
+        if (fields.length > this.MAX_SORT_FIELDS) {
+            throw new Error(`sort accepts at most ${this.MAX_SORT_FIELDS} fields`);
+        }
+
+        const sort = {};
+        for (const entry of fields) {
+            const descending = entry.startsWith('-');
+            const field = descending ? entry.slice(1) : entry;
+            if (!this.isKnownField(field)) {
+                throw new Error(`Cannot sort on unknown field '${field}'`);
+            }
+            sort[field] = descending ? -1 : 1;
+        }
+
+        sort._id = 1;
+        return sort;
+    }
+
+    /**
+     * Parse the fields parameter
+     * @param {string} value - Comma-separated KOI columns and/or enrichment fields
+     * @returns {Array<string>|null} Requested fields, or null for every field
+     */
+    static parseFields(value) {
+        if (value === undefined || value === '') {
+            return null;
+        }
+
+        const fields = this.requireString('fields', value).split(',').map(item => item.trim()).filter(item => item !== '');
+        const unknown = fields.filter(field => !this.isKnownField(field) && !this.ENRICHMENT_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown field '${unknown.join(', ')}' in fields`);
+        }
+
+        return [...new Set(fields)];
+    }
+
+    /**
+     * Build the opaque cursor pointing after a document
+     * @param {Object} document - Last document of the page (must contain the sort fields)
+     * @param {Object} sort - MongoDB sort specification used for the page
+     * @returns {string} Opaque cursor
+     */
+    static encodeCursor(document, sort) {
+        const payload = {
+            s: Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(','),
+            v: Object.keys(sort).map(field => {
+                const value = document[field];
+                if (field === '_id') return String(value);
+                return value === undefined ? null : value;
+            })
+        };
+
+        return Buffer.from(JSON.stringify(payload)).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor into a MongoDB condition selecting the documents after it
+     * @param {string} cursor - Opaque cursor from a previous page
+     * @param {Object} sort - MongoDB sort specification of the current request
+     * @returns {Object} MongoDB condition
+     */
+    static decodeCursor(cursor, sort) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+
+        const signature = Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+        const fields = Object.keys(sort);
+        if (!payload || payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+            throw new Error('Invalid cursor: it does not match the requested sort order');
+        }
+
+        const values = payload.v.map((value, index) => {
+            if (fields[index] === '_id') {
+                if (typeof value !== 'string' || !ObjectId.isValid(value)) {
+                    throw new Error('Invalid cursor');
+                }
+                return new ObjectId(value);
+            }
+            if (value !== null && typeof value !== 'number' && typeof value !== 'string' && typeof value !== 'boolean') {
+                throw new Error('Invalid cursor');
+            }
+            return value;
+        });
+
+        // Keyset condition: (f1 > v1) OR (f1 = v1 AND f2 > v2) OR ...
+        // MongoDB sorts null/missing values first, which the "after" conditions account for
+        const branches = [];
+        fields.forEach((field, index) => {
+            const after = this.buildAfterCondition(field, values[index], sort[field]);
+            if (!after) return;
+
+            const equalities = fields.slice(0, index).map((previous, i) => ({ [previous]: values[i] }));
+            branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+        });
+
+        return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+    }
+
+    /**
+     * Build the condition selecting values strictly after a cursor value
+     * @param {string} field - Sort field
+     * @param {any} value - Cursor value
+     * @param {number} direction - 1 (ascending) or -1 (descending)
+     * @returns {Object|null} MongoDB condition, or null if nothing can come after
+     */
+    static buildAfterCondition(field, value, direction) {
+        if (value === null) {
+            // Ascending: every non-null value comes after null. Descending: null is last
+            return direction === 1 ? { [field]: { $ne: null } } : null;
+        }
+
+        if (direction === 1) {
+            return { [field]: { $gt: value } };
+        }
+
+        return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+
+    /**
+     * Reject anything that is not a plain string (arrays, nested objects, operator injection)
+     * @param {string} key - Parameter name
+     * @param {any} value - Parameter value
+     * @returns {string} The value
+     */
+    static requireString(key, value) {
+        if (typeof value !== 'string') {
+            throw new Error(`Parameter '${key}' must be a single plain value`);
+        }
+        return value;
+    }
+
+    /**
+     * Parse a finite number
+     * @param {string} field - Field name (for error messages)
+     * @param {string} value - Raw value
+     * @returns {number} Parsed number
+     */
+    static parseNumber(field, value) {
+        const num = Number(value);
+        if (value.trim() === '' || !Number.isFinite(num)) {
+            throw new Error(`${field} expects a numeric value, got '${value}'`);
+        }
+        return num;
+    }
+
+    /**
+     * Parse a boolean flag
+     * @param {string} key - Parameter name (for error messages)
+     * @param {string} value - 'true' or 'false'
+     * @returns {boolean} Parsed flag
+     */
+    static parseBoolean(key, value) {
+        const normalized = value.toLowerCase();
+        if (normalized !== 'true' && normalized !== 'false') {
+            throw new Error(`${key} expects 'true' or 'false', got '${value}'`);
+        }
+        return normalized === 'true';
+    }
+
+    /**
+     * Escape regex metacharacters so user input is matched literally
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
@@ -1,14 +1,40 @@
 import { getDatabase } from '../config/database.js';
 import { ExoplanetClassificationService } from './planetClassification.js';
+import { ExoplanetQueryBuilder } from './exoplanetQueryBuilder.js';
+import { HabitabilityService } from './habitabilityService.js';
+import { StarService } from './starService.js';
+import { DataQualityService } from './dataQualityService.js';
+import { ProbabilisticClassificationService } from './probabilisticClassification.js';
+import { CompositionService } from './compositionService.js';
+import { SkyPositionService } from './skyService.js';
+import { CatalogService } from './catalogService.js';
 
 export class ExoplanetService {
     
+    // Columns required to compute each enrichment field of the listings
+    static ENRICHMENT_DEPENDENCIES = {
+        classification: ['koi_disposition', 'koi_prad', 'koi_teq', 'koi_sma', 'planet_classification'],
+        planetType: ['koi_disposition', 'koi_prad', 'koi_teq', 'koi_sma', 'planet_classification'],
+        texture: ['koi_disposition', 'koi_prad', 'koi_teq', 'koi_sma', 'planet_classification'],
+        description: ['koi_disposition', 'koi_prad', 'koi_teq', 'koi_sma', 'planet_classification'],
+        confidence: ['koi_disposition', 'koi_prad', 'koi_teq', 'koi_sma', 'planet_classification'],
+        ruleSetVersion: ['koi_disposition', 'koi_prad', 'koi_teq', 'koi_sma', 'planet_classification'],
+        systemName: ['kepler_name'],
+        composition: ['koi_prad', 'koi_prad_err1', 'koi_prad_err2'],
+        habitability: ['koi_prad', 'koi_teq', 'koi_steff', 'koi_srad', 'koi_sma', 'koi_period', 'koi_smass', 'koi_insol']
+    };
+    
     /**
-     * Retrieve exoplanets from a specific Kepler system
-     * @param {string} keplerName - Kepler system name (ex: "Kepler-257")
-     * @returns {Promise<Object>} Exoplanet system with classification
+     * Retrieve exoplanets from a specific system
+     * Kepler systems are read from the KOIs; other names (ex: "TOI-700", "K2-18") are
+     * resolved in the synced TOI and Planetary Systems catalogs
+     * @param {string} keplerName - System name (ex: "Kepler-257", "K2-18")
+     * @param {Object} options - Options
+     * @param {boolean} options.strict - Return null instead of default values (default: false)
+     * @param {boolean} options.probabilistic - Add the classification probability distribution (default: false)
+     * @returns {Promise<Object>} Exoplanet system with classification and data-quality flags
      */
-    static async getKeplerSystem(keplerName) {
+    static async getKeplerSystem(keplerName, { strict = false, probabilistic = false } = {}) {
         try {
             const db = getDatabase();
             const collection = db.collection('koi_objects'); // Adjust collection name according to your DB
@@ -19,7 +45,7 @@ export class ExoplanetService {
             // Pattern: ^Kepler-11\s (with space or end of string after number)
             // This avoids matching Kepler-111 when searching for Kepler-11
             const query = {
-                kepler_name: { $regex: `^${keplerName}[\\s]`, $options: 'i' },
+                kepler_name: { $regex: `^${ExoplanetQueryBuilder.escapeRegex(keplerName)}[\\s]`, $options: 'i' },
                 koi_disposition: 'CONFIRMED'
             };
             
@@ -32,6 +58,10 @@ export class ExoplanetService {
                 koi_period: 1,    // Orbital period (days)
                 koi_smass: 1,     // Star mass (M☉)
                 koi_srad: 1,      // Star radius (R☉)
+                koi_steff: 1,     // Star effective temperature (K)
+                koi_insol: 1,     // Insolation flux (S⊕)
+                planet_classification: 1, // Persisted classification
+                ...DataQualityService.getProjection(), // Uncertainties and columns used for derivations
                 _id: 0
             };
             
@@ -43,6 +73,12 @@ export class ExoplanetService {
             console.log(`✅ Found ${exoplanets.length} exoplanets for ${keplerName}`);
             
             if (exoplanets.length === 0) {
+                // Not a Kepler system: look it up in the other catalogs
+                const catalogSystem = await CatalogService.findSystemDocuments(keplerName);
+                if (catalogSystem) {
+                    return this.buildCatalogSystem(catalogSystem, { strict, probabilistic });
+                }
+                
                 return {
                     systemName: keplerName,
                     exoplanets: [],
@@ -52,55 +88,21 @@ export class ExoplanetService {
             }
             
             // Processing and classification of exoplanets
-            const processedExoplanets = exoplanets.map((exoplanet, index) => {
-                // Automatic classification
-                const classification = ExoplanetClassificationService.classifyExoplanet(exoplanet);
-                
-                // Data validation and cleaning
-                const orbitalPeriod = this.validateNumber(exoplanet.koi_period, null);
-                
-                const processedData = {
-                    // Basic information
-                    name: exoplanet.kepler_name || `${keplerName}-${index + 1}`,
-                    kepoi_name: exoplanet.kepoi_name,
-                    
-                    // Physical properties (with default values)
-                    radius: this.validateNumber(exoplanet.koi_prad, 1.0), // R⊕
-                    temperature: this.validateNumber(exoplanet.koi_teq, 288), // K
-                    distance: this.validateNumber(exoplanet.koi_sma, 1.0), // AU
-                    ...(orbitalPeriod && { orbitalPeriod }), // Only include if not null
-                    
-                    // Star properties
-                    starMass: this.validateNumber(exoplanets[0].koi_smass, 1.0), // M☉
-                    starRadius: this.validateNumber(exoplanets[0].koi_srad, 1.0), // R☉
-                    
-                    // Classification
-                    classification: classification.classification,
-                    planetType: classification.type,
-                    texture: classification.texture,
-                    description: classification.description,
-                    confidence: classification.confidence,
-                    
-                    // Metadata
-                    originalData: exoplanet
-                };
-                
-                return processedData;
-            });
+            const processedExoplanets = exoplanets.map((exoplanet, index) => this.processSystemPlanet(exoplanet, {
+                name: exoplanet.kepler_name || `${keplerName}-${index + 1}`,
+                strict,
+                probabilistic
+            }));
             
-            // Information about the system's star (based on the first exoplanet)
-            const starData = exoplanets[0] ? {
-                name: keplerName.replace('-', ' '),
-                mass: this.validateNumber(exoplanets[0].koi_smass, 1.0), // M☉
-                radius: this.validateNumber(exoplanets[0].koi_srad, 1.0), // R☉
-                temperature: 5778 * Math.pow(this.validateNumber(exoplanets[0].koi_smass, 1.0), 0.5), // Estimation
-                type: 'G-type' // Approximation
-            } : null;
+            // Information about the system's star (derived from all of its KOIs)
+            const hostStar = await StarService.getHostStar(keplerName);
             
             return {
                 systemName: keplerName,
+                catalog: 'koi',
+                strict,
                 exoplanets: processedExoplanets,
-                star: starData,
+                star: this.buildSystemStar(hostStar, strict),
                 totalPlanets: processedExoplanets.length,
                 message: `System ${keplerName} with ${processedExoplanets.length} confirmed exoplanets`
             };
@@ -111,6 +113,109 @@ export class ExoplanetService {
         }
     }
     
+    /**
+     * Build the system payload of a TOI or Planetary Systems host
+     * The catalog rows are mapped onto the KOI columns so the KOI pipeline applies unchanged
+     * @param {Object} catalogSystem - Result of CatalogService.findSystemDocuments
+     * @param {Object} options - { strict, probabilistic }
+     * @returns {Object} Exoplanet system
+     */
+    static buildCatalogSystem(catalogSystem, { strict = false, probabilistic = false } = {}) {
+        const { catalog, systemName, planets, documents } = catalogSystem;
+        
+        const processedExoplanets = planets.map((planet, index) => ({
+            ...this.processSystemPlanet(documents[index], { name: planet.designation, strict, probabilistic }),
+            designation: planet.designation,
+            disposition: planet.disposition,
+            crossmatch: planet.crossmatch || null
+        }));
+        
+        // Host star from the catalog stellar columns (shared by every row of the system)
+        const hostStar = StarService.buildCatalogHostStar(catalogSystem);
+        const confirmed = planets.filter(planet => planet.disposition === 'CONFIRMED').length;
+        
+        return {
+            systemName,
+            catalog,
+            strict,
+            exoplanets: processedExoplanets,
+            star: this.buildSystemStar(hostStar, strict),
+            totalPlanets: processedExoplanets.length,
+            message: `System ${systemName} with ${processedExoplanets.length} planets from the ${CatalogService.CATALOGS[catalog].name} catalog (${confirmed} confirmed)`
+        };
+    }
+    
+    /**
+     * Build the payload of a planet in a system
+     * @param {Object} exoplanet - KOI document (or catalog row mapped onto the KOI columns)
+     * @param {Object} options - { name, strict, probabilistic }
+     * @returns {Object} Processed planet
+     */
+    static processSystemPlanet(exoplanet, { name, strict = false, probabilistic = false }) {
+        // Persisted classification (computed when the KOI was not classified yet, null for candidates)
+        const classification = this.getClassification(exoplanet);
+        
+        // Data validation and cleaning (measured, derived or defaulted)
+        const quality = DataQualityService.assessPlanet(exoplanet, { strict });
+        const orbitalPeriod = quality.values.orbitalPeriod;
+        
+        return {
+            // Basic information
+            name,
+            kepoi_name: exoplanet.kepoi_name,
+            
+            // Physical properties (defaults are replaced by null in strict mode)
+            radius: quality.values.radius, // R⊕
+            temperature: quality.values.temperature, // K
+            distance: quality.values.distance, // AU
+            ...(orbitalPeriod && { orbitalPeriod }), // Only include if not null
+            
+            // Star properties
+            starMass: quality.values.starMass, // M☉
+            starRadius: quality.values.starRadius, // R☉
+            
+            // Origin of each value above, with uncertainties
+            dataQuality: quality.report,
+            
+            // Habitability (ESI, insolation, habitable zone)
+            habitability: HabitabilityService.assessHabitability(exoplanet),
+            
+            // Bulk composition (mass-radius relation)
+            composition: CompositionService.assessComposition(exoplanet),
+            
+            // Classification
+            classification: classification?.classification ?? null,
+            planetType: classification?.planetType ?? null,
+            texture: classification?.texture ?? null,
+            description: classification?.description ?? null,
+            confidence: classification?.confidence ?? null,
+            ruleSetVersion: classification?.ruleSetVersion ?? null,
+            ...(probabilistic && {
+                classificationProbabilities: ProbabilisticClassificationService.classify(exoplanet)
+            }),
+            
+            // Metadata
+            originalData: exoplanet
+        };
+    }
+    
+    /**
+     * Attach the cleaned values and data-quality report to a host star
+     * @param {Object|null} hostStar - Host star from StarService
+     * @param {boolean} strict - Return null instead of default values
+     * @returns {Object|null} Star payload
+     */
+    static buildSystemStar(hostStar, strict = false) {
+        if (!hostStar) return null;
+        
+        const starQuality = DataQualityService.assessStar(hostStar, { strict });
+        return {
+            ...hostStar,
+            ...starQuality.values, // mass (M☉), radius (R☉), temperature (K), type
+            dataQuality: starQuality.report
+        };
+    }
+    
     /**
      * Validate and clean a numeric value
      * @param {any} value - Value to validate
@@ -135,7 +240,7 @@ export class ExoplanetService {
             
             const query = {
                 koi_disposition: 'CONFIRMED',
-                kepler_name: { $regex: searchTerm, $options: 'i' }
+                kepler_name: { $regex: ExoplanetQueryBuilder.escapeRegex(searchTerm), $options: 'i' }
             };
             
             const systems = await collection
@@ -187,70 +292,81 @@ export class ExoplanetService {
     /**
      * Retrieve all exoplanets from the database (regardless of their status)
      * @param {number} limit - Result limit (default: 100)
-     * @param {number} skip - Number of elements to skip for pagination (default: 0)
+     * @param {number} skip - Number of elements to skip for pagination (default: 0, ignored with a cursor)
      * @param {string} status - Filter by status (optional)
-     * @returns {Promise<Object>} Object containing the exoplanets, total, and statistics
+     * @param {Object} options - Advanced query (see ExoplanetQueryBuilder.parse)
+     * @param {Object} options.filter - MongoDB filter, including the cursor condition (optional)
+     * @param {Object} options.baseFilter - MongoDB filter without the cursor condition, used for the total
+     * @param {Object} options.sort - MongoDB sort (default: kepler_name ascending)
+     * @param {Array<string>|null} options.fields - Fields to return (default: all)
+     * @param {boolean} options.useCursor - Paginate with cursors instead of skip (default: false)
+     * @param {boolean} options.includeTotal - Count matching documents (default: true)
+     * @param {boolean} options.includeStats - Compute the global statistics (default: true)
+     * @returns {Promise<Object>} Object containing the exoplanets, total, next cursor, and statistics
      */
-    static async getAllExoplanets(limit = 100, skip = 0, status = null) {
+    static async getAllExoplanets(limit = 100, skip = 0, status = null, options = {}) {
         try {
             const db = getDatabase();
             const collection = db.collection('koi_objects');
+            const {
+                filter = {},
+                sort = { kepler_name: 1, _id: 1 },
+                fields = null,
+                useCursor = false,
+                includeTotal = true,
+                includeStats = true
+            } = options;
             
-            console.log(`🔍 Retrieving all exoplanets - limit: ${limit}, skip: ${skip}, status: ${status || 'all'}`);
+            console.log(`🔍 Retrieving all exoplanets - limit: ${limit}, skip: ${useCursor ? 'cursor' : skip}, status: ${status || 'all'}`);
             
             // Build the query
-            const query = {};
+            const query = { ...filter };
             if (status && ['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE'].includes(status.toUpperCase())) {
                 query.koi_disposition = status.toUpperCase();
             }
             
-            // Retrieve exoplanets with pagination (all columns)
-            const [exoplanets, total] = await Promise.all([
-                collection
-                    .find(query)
-                    .sort({ kepler_name: 1 })
-                    .skip(skip)
-                    .limit(limit)
-                    .toArray(),
-                collection.countDocuments(query)
+            // Total is computed without the cursor condition so it stays the size of the whole result set
+            const countQuery = { ...(options.baseFilter || filter) };
+            if (query.koi_disposition) {
+                countQuery.koi_disposition = query.koi_disposition;
+            }
+            
+            const projection = this.buildListingProjection(fields, sort);
+            
+            // One extra document tells whether another page exists
+            let cursor = collection.find(query, projection ? { projection } : {}).sort(sort);
+            if (!useCursor) {
+                cursor = cursor.skip(skip);
+            }
+            
+            const [documents, total] = await Promise.all([
+                cursor.limit(limit + 1).toArray(),
+                includeTotal ? collection.countDocuments(countQuery) : Promise.resolve(null)
             ]);
             
-            console.log(`✅ Found ${exoplanets.length} exoplanets out of ${total} total`);
+            const hasMore = documents.length > limit;
+            const exoplanets = hasMore ? documents.slice(0, limit) : documents;
+            const nextCursor = hasMore
+                ? ExoplanetQueryBuilder.encodeCursor(exoplanets[exoplanets.length - 1], sort)
+                : null;
+            
+            console.log(`✅ Found ${exoplanets.length} exoplanets out of ${total ?? 'n/a'} total`);
             
             // Process and classify exoplanets
-            const processedExoplanets = exoplanets.map((exoplanet, index) => {
-                // Automatic classification (only for confirmed ones)
-                let classification = null;
-                if (exoplanet.koi_disposition === 'CONFIRMED') {
-                    classification = ExoplanetClassificationService.classifyExoplanet(exoplanet);
-                }
-                
-                // Return all original data with enrichments
-                return {
-                    // All original columns from the database
-                    ...exoplanet,
-                    
-                    // Added enrichments
-                    ...(classification && {
-                        classification: classification.classification,
-                        planetType: classification.type,
-                        texture: classification.texture,
-                        description: classification.description,
-                        confidence: classification.confidence
-                    }),
-                    
-                    // Calculated system membership
-                    systemName: this.extractSystemName(exoplanet.kepler_name)
-                };
+            const processedExoplanets = exoplanets.map(exoplanet => {
+                const enriched = this.enrichExoplanet(exoplanet);
+                return fields ? this.pickFields(enriched, fields) : enriched;
             });
             
             // Global statistics
-            const stats = await this.getExoplanetStats(collection);
+            const stats = includeStats ? await this.getExoplanetStats(collection) : undefined;
             
             return {
                 exoplanets: processedExoplanets,
                 total,
-                stats
+                hasMore,
+                nextCursor,
+                ...(includeStats && { stats })
             };
             
         } catch (error) {
@@ -259,6 +375,162 @@ export class ExoplanetService {
         }
     }
     
+    /**
+     * Add the computed enrichments (classification, system membership) to a KOI document
+     * @param {Object} exoplanet - Raw KOI document
+     * @returns {Object} Document with enrichments
+     */
+    static enrichExoplanet(exoplanet) {
+        // Classification (only for confirmed ones)
+        const classification = this.getClassification(exoplanet);
+        
+        // The persisted classification is returned as flat enrichment fields, the sky position is index-only
+        const document = { ...exoplanet };
+        delete document[ExoplanetClassificationService.STORED_FIELD];
+        delete document[SkyPositionService.FIELD];
+        
+        // Return all original data with enrichments
+        return {
+            // All original columns from the database
+            ...document,
+            
+            // Added enrichments
+            ...(classification && {
+                classification: classification.classification,
+                planetType: classification.planetType,
+                texture: classification.texture,
+                description: classification.description,
+                confidence: classification.confidence,
+                ruleSetVersion: classification.ruleSetVersion
+            }),
+            
+            // Calculated system membership
+            systemName: this.extractSystemName(exoplanet.kepler_name),
+            
+            // Habitability (ESI, insolation, habitable zone)
+            habitability: HabitabilityService.assessHabitability(exoplanet),
+            
+            // Bulk composition (mass-radius relation)
+            composition: CompositionService.assessComposition(exoplanet)
+        };
+    }
+    
+    /**
+     * Get the classification of a KOI
+     * Uses the classification persisted by the reclassification job, and classifies
+     * confirmed planets that were not persisted yet on the fly
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object|null} { classification, planetType, texture, description, confidence, ruleSetVersion } or null
+     */
+    static getClassification(exoplanet) {
+        const stored = exoplanet[ExoplanetClassificationService.STORED_FIELD];
+        if (stored && stored.classification) {
+            return stored;
+        }
+        
+        return ExoplanetClassificationService.buildStoredClassification(exoplanet);
+    }
+    
+    /**
+     * Rank planets by Earth Similarity Index
+     * @param {Object} options - Ranking options
+     * @param {string} options.zone - 'conservative', 'optimistic' or 'all' (default: optimistic)
+     * @param {number} options.minEsi - Minimum ESI (default: 0)
+     * @param {string} options.status - Disposition filter (default: CONFIRMED, 'all' for every KOI)
+     * @param {number} options.limit - Result limit (default: 50)
+     * @returns {Promise<Object>} Ranked planets and the number of evaluated KOIs
+     */
+    static async getHabitablePlanets({ zone = 'optimistic', minEsi = 0, status = 'CONFIRMED', limit = 50 } = {}) {
+        try {
+            const db = getDatabase();
+            const collection = db.collection('koi_objects');
+            
+            console.log(`🌱 Ranking habitable planets - zone: ${zone}, minEsi: ${minEsi}, status: ${status}`);
+            
+            const query = { koi_prad: { $gt: 0 } };
+            if (status && status.toLowerCase() !== 'all') {
+                query.koi_disposition = status.toUpperCase();
+            }
+            
+            const projection = { kepler_name: 1, kepoi_name: 1, koi_disposition: 1 };
+            this.ENRICHMENT_DEPENDENCIES.habitability.forEach(column => {
+                projection[column] = 1;
+            });
+            
+            const planets = await collection.find(query, { projection }).toArray();
+            
+            const ranked = planets
+                .map(planet => ({
+                    _id: planet._id,
+                    kepler_name: planet.kepler_name,
+                    kepoi_name: planet.kepoi_name,
+                    koi_disposition: planet.koi_disposition,
+                    systemName: this.extractSystemName(planet.kepler_name),
+                    radius: planet.koi_prad, // R⊕
+                    temperature: planet.koi_teq ?? null, // K
+                    ...HabitabilityService.assessHabitability(planet)
+                }))
+                .filter(planet => planet.esi !== null && planet.esi >= minEsi)
+                .filter(planet => {
+                    if (zone === 'conservative') return planet.inConservativeHZ;
+                    if (zone === 'optimistic') return planet.inOptimisticHZ;
+                    return true;
+                })
+                .sort((a, b) => b.esi - a.esi);
+            
+            console.log(`✅ ${ranked.length} planets match out of ${planets.length} evaluated`);
+            
+            return {
+                planets: ranked.slice(0, limit),
+                totalMatching: ranked.length,
+                evaluated: planets.length
+            };
+            
+        } catch (error) {
+            console.error('❌ Error ranking habitable planets:', error);
+            throw new Error(`Could not rank habitable planets: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Build the MongoDB projection for a listing request
+     * Adds the columns needed by the requested enrichments and by the cursor
+     * @param {Array<string>|null} fields - Requested fields
+     * @param {Object} sort - MongoDB sort specification
+     * @returns {Object|null} Projection, or null for every column
+     */
+    static buildListingProjection(fields, sort) {
+        if (!fields) return null;
+        
+        const projection = { _id: 1 };
+        fields.forEach(field => {
+            (this.ENRICHMENT_DEPENDENCIES[field] || [field]).forEach(column => {
+                projection[column] = 1;
+            });
+        });
+        Object.keys(sort).forEach(field => {
+            projection[field] = 1;
+        });
+        
+        return projection;
+    }
+    
+    /**
+     * Keep only the requested fields (and _id) of a processed exoplanet
+     * @param {Object} exoplanet - Processed exoplanet
+     * @param {Array<string>} fields - Requested fields
+     * @returns {Object} Reduced exoplanet
+     */
+    static pickFields(exoplanet, fields) {
+        const result = { _id: exoplanet._id };
+        fields.forEach(field => {
+            if (exoplanet[field] !== undefined) {
+                result[field] = exoplanet[field];
+            }
+        });
+        return result;
+    }
+    
     /**
      * Get statistics on exoplanets
      * @param {Object} collection - MongoDB collection
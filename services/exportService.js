@@ -0,0 +1,291 @@
+import { getDatabase } from '../config/database.js';
+import { NasaSyncService } from './nasaSyncService.js';
+import { ExoplanetService } from './exoplanetService.js';
+import { ExoplanetQueryBuilder } from './exoplanetQueryBuilder.js';
+
+/**
+ * Catalog export service
+ * Streams koi_objects straight from a MongoDB cursor in CSV, NDJSON, VOTable or columnar JSON
+ */
+export class CatalogExportService {
+
+    static FORMATS = {
+        csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+        ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+        votable: { contentType: 'application/x-votable+xml; charset=utf-8', extension: 'vot' },
+        columnar: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+    };
+
+    // Number of rows per row group in the columnar format
+    static ROW_GROUP_SIZE = 1000;
+
+    // Columns exported when no fields= parameter is given
+    static DEFAULT_COLUMNS = [
+        '_id',
+        ...NasaSyncService.KOI_COLUMNS,
+        'IS_AI',
+        'confidence_score',
+        ...ExoplanetQueryBuilder.ENRICHMENT_FIELDS
+    ];
+
+    /**
+     * Describe an exported column
+     * @param {string} column - Column name
+     * @returns {string} Column type: 'double', 'boolean' or 'char'
+     */
+    static getColumnType(column) {
+        if (column === 'IS_AI') return 'boolean';
+        if (column === 'confidence' || ExoplanetQueryBuilder.NUMERIC_FIELDS.includes(column)) return 'double';
+        return 'char';
+    }
+
+    /**
+     * Stream the catalog to a writable response
+     * @param {Object} output - Writable stream (Express response)
+     * @param {Object} options - Export options
+     * @param {string} options.format - csv, ndjson, votable or columnar
+     * @param {Object} options.filter - MongoDB filter
+     * @param {string} options.status - Filter by status (optional, same as the listing)
+     * @param {Object} options.sort - MongoDB sort
+     * @param {Array<string>|null} options.fields - Exported columns (default: DEFAULT_COLUMNS)
+     * @param {number} options.limit - Maximum number of rows (0 for no limit)
+     * @returns {Promise<number>} Number of exported rows
+     */
+    static async streamExport(output, { format, filter = {}, status = null, sort = { kepler_name: 1, _id: 1 }, fields = null, limit = 0 }) {
+        const db = getDatabase();
+        const collection = db.collection('koi_objects');
+
+        const columns = fields ? ['_id', ...fields.filter(field => field !== '_id')] : this.DEFAULT_COLUMNS;
+        const projection = ExoplanetService.buildListingProjection(columns.filter(column => column !== '_id'), sort);
+
+        const query = { ...filter };
+        if (status && ['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE'].includes(status.toUpperCase())) {
+            query.koi_disposition = status.toUpperCase();
+        }
+
+        let cursor = collection.find(query, projection ? { projection } : {}).sort(sort);
+        if (limit > 0) {
+            cursor = cursor.limit(limit);
+        }
+
+        const writer = this.createWriter(format, columns);
+        let rows = 0;
+
+        // Stop reading from MongoDB as soon as the client goes away
+        const closeCursor = () => cursor.close().catch(() => {});
+        output.on('close', closeCursor);
+
+        try {
+            await this.write(output, writer.header());
+
+            for await (const document of cursor) {
+                if (output.destroyed) break;
+
+                const row = ExoplanetService.enrichExoplanet(document);
+                await this.write(output, writer.row(row));
+                rows++;
+            }
+
+            if (output.destroyed) {
+                console.log(`⚠️ Export aborted by the client after ${rows} rows (${format})`);
+                return rows;
+            }
+
+            await this.write(output, writer.footer());
+            output.end();
+
+            console.log(`📦 Export completed: ${rows} rows (${format})`);
+            return rows;
+
+        } finally {
+            output.off('close', closeCursor);
+            await cursor.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Write a chunk and wait for the stream to drain when its buffer is full
+     * A client that disconnects while the buffer is full never drains it: the wait also ends on 'close' or 'error'
+     * @param {Object} output - Writable stream
+     * @param {string} chunk - Data to write
+     */
+    static async write(output, chunk) {
+        if (!chunk || output.destroyed) return;
+        if (output.write(chunk) || output.destroyed) return;
+
+        await new Promise(resolve => {
+            const done = () => {
+                output.off('drain', done);
+                output.off('close', done);
+                output.off('error', done);
+                resolve();
+            };
+            output.on('drain', done);
+            output.on('close', done);
+            output.on('error', done);
+        });
+    }
+
+    /**
+     * Create the header/row/footer serializer of a format
+     * @param {string} format - Export format
+     * @param {Array<string>} columns - Exported columns
+     * @returns {Object} Writer with header(), row(document) and footer()
+     */
+    static createWriter(format, columns) {
+        switch (format) {
+            case 'csv':
+                return {
+                    header: () => columns.map(column => this.toCsvValue(column)).join(',') + '\n',
+                    row: (document) => columns.map(column => this.toCsvValue(this.toScalar(document[column]))).join(',') + '\n',
+                    footer: () => ''
+                };
+
+            case 'ndjson':
+                return {
+                    header: () => '',
+                    row: (document) => JSON.stringify(this.pickColumns(document, columns)) + '\n',
+                    footer: () => ''
+                };
+
+            case 'votable':
+                return this.createVOTableWriter(columns);
+
+            case 'columnar':
+                return this.createColumnarWriter(columns);
+
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * VOTable 1.4 writer (TABLEDATA serialization)
+     * @param {Array<string>} columns - Exported columns
+     * @returns {Object} Writer
+     */
+    static createVOTableWriter(columns) {
+        return {
+            header: () => {
+                const fieldElements = columns.map(column => {
+                    const type = this.getColumnType(column);
+                    const arraysize = type === 'char' ? ' arraysize="*"' : '';
+                    return `      <FIELD name="${this.escapeXml(column)}" datatype="${type}"${arraysize}/>`;
+                }).join('\n');
+
+                return '<?xml version="1.0" encoding="UTF-8"?>\n'
+                    + '<VOTABLE version="1.4" xmlns="http://www.ivoa.net/xml/VOTable/v1.3">\n'
+                    + '  <RESOURCE type="results">\n'
+                    + '    <TABLE name="koi_objects">\n'
+                    + `${fieldElements}\n`
+                    + '      <DATA>\n'
+                    + '        <TABLEDATA>\n';
+            },
+            row: (document) => {
+                const cells = columns.map(column => {
+                    const value = this.toScalar(document[column]);
+                    return `<TD>${value === null ? '' : this.escapeXml(String(value))}</TD>`;
+                }).join('');
+                return `          <TR>${cells}</TR>\n`;
+            },
+            footer: () => '        </TABLEDATA>\n'
+                + '      </DATA>\n'
+                + '    </TABLE>\n'
+                + '  </RESOURCE>\n'
+                + '</VOTABLE>\n'
+        };
+    }
+
+    /**
+     * Parquet-like columnar JSON writer
+     * Rows are buffered in row groups of ROW_GROUP_SIZE so memory stays bounded:
+     * { "schema": [...], "rowGroups": [{ "numRows": n, "columns": { "<name>": [...] } }], "numRows": N }
+     * @param {Array<string>} columns - Exported columns
+     * @returns {Object} Writer
+     */
+    static createColumnarWriter(columns) {
+        let group = [];
+        let groupCount = 0;
+        let totalRows = 0;
+
+        const flush = () => {
+            if (group.length === 0) return '';
+
+            const data = {};
+            columns.forEach(column => {
+                data[column] = group.map(document => this.toScalar(document[column]));
+            });
+
+            const chunk = (groupCount > 0 ? ',' : '') + JSON.stringify({ numRows: group.length, columns: data });
+            groupCount++;
+            group = [];
+            return chunk;
+        };
+
+        return {
+            header: () => {
+                const schema = columns.map(column => ({ name: column, type: this.getColumnType(column) }));
+                return `{"format":"columnar","schema":${JSON.stringify(schema)},"rowGroups":[`;
+            },
+            row: (document) => {
+                group.push(this.pickColumns(document, columns));
+                totalRows++;
+                return group.length >= this.ROW_GROUP_SIZE ? flush() : '';
+            },
+            footer: () => `${flush()}],"numRows":${totalRows}}\n`
+        };
+    }
+
+    /**
+     * Keep only the exported columns of a document
+     * @param {Object} document - Enriched document
+     * @param {Array<string>} columns - Exported columns
+     * @returns {Object} Reduced document
+     */
+    static pickColumns(document, columns) {
+        const result = {};
+        columns.forEach(column => {
+            result[column] = this.toScalar(document[column]);
+        });
+        return result;
+    }
+
+    /**
+     * Convert a value to a scalar suitable for tabular formats
+     * @param {any} value - Raw value
+     * @returns {string|number|boolean|null} Scalar value
+     */
+    static toScalar(value) {
+        if (value === undefined || value === null) return null;
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') {
+            return value._bsontype === 'ObjectId' ? value.toString() : JSON.stringify(value);
+        }
+        return value;
+    }
+
+    /**
+     * Escape a CSV cell (RFC 4180)
+     * @param {any} value - Scalar value
+     * @returns {string} CSV cell
+     */
+    static toCsvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escape XML special characters
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
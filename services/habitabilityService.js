@@ -0,0 +1,213 @@
+import { toPositiveNumber, round } from '../utils/numbers.js';
+
+/**
+ * Habitability service
+ * Earth Similarity Index, stellar insolation and habitable-zone boundaries
+ *
+ * References:
+ * - Schulze-Makuch et al. (2011), Astrobiology 11, 1041 (ESI)
+ * - Kopparapu et al. (2014), ApJL 787, L29 (habitable-zone coefficients, 1 M⊕)
+ */
+
+export class HabitabilityService {
+
+    static SOLAR_TEFF = 5772;          // K
+    static EARTH_RADIUS = 1.0;         // R⊕
+    static EARTH_EQUILIBRIUM_TEMP = 255; // K (Earth equilibrium temperature, Bond albedo 0.3)
+
+    // Weighting exponents of the ESI components
+    static ESI_WEIGHTS = {
+        radius: 0.57,
+        temperature: 5.58
+    };
+
+    // Kopparapu et al. (2014) effective flux polynomial coefficients
+    // Seff = seffSun + a*T + b*T² + c*T³ + d*T⁴, T = Teff - 5780 K
+    static HZ_LIMITS = {
+        recentVenus: { seffSun: 1.776, a: 2.136e-4, b: 2.533e-8, c: -1.332e-11, d: -3.097e-15 },
+        runawayGreenhouse: { seffSun: 1.107, a: 1.332e-4, b: 1.580e-8, c: -8.308e-12, d: -1.931e-15 },
+        maximumGreenhouse: { seffSun: 0.356, a: 6.171e-5, b: 1.698e-9, c: -3.198e-12, d: -5.575e-16 },
+        earlyMars: { seffSun: 0.320, a: 5.547e-5, b: 1.526e-9, c: -2.874e-12, d: -5.011e-16 }
+    };
+
+    // Validity range of the Kopparapu polynomial
+    static HZ_TEFF_RANGE = { min: 2600, max: 7200 };
+
+    /**
+     * Compute all habitability indicators of an exoplanet
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object} ESI, insolation, habitable zone and zone membership
+     */
+    static assessHabitability(exoplanet) {
+        const insolation = this.calculateInsolation(exoplanet);
+        const habitableZone = this.calculateHabitableZone(exoplanet.koi_steff, exoplanet.koi_srad);
+        const esi = this.calculateESI(exoplanet.koi_prad, exoplanet.koi_teq, insolation.value);
+
+        let zone = 'unknown';
+        if (insolation.value !== null && habitableZone) {
+            zone = this.getZone(insolation.value, habitableZone.flux);
+        }
+
+        return {
+            esi: esi.value,
+            esiMethod: esi.method,
+            insolation: insolation.value,          // S⊕
+            insolationSource: insolation.source,
+            semiMajorAxis: insolation.semiMajorAxis, // AU
+            habitableZone,
+            zone,
+            inConservativeHZ: zone === 'conservative',
+            inOptimisticHZ: zone === 'conservative' || zone === 'optimistic'
+        };
+    }
+
+    /**
+     * Calculate the Earth Similarity Index
+     * Uses radius and stellar flux when the insolation is known, otherwise radius and equilibrium temperature
+     * @param {number} radius - Planet radius (R⊕)
+     * @param {number} temperature - Equilibrium temperature (K)
+     * @param {number|null} insolation - Stellar flux (S⊕)
+     * @returns {Object} { value, method }
+     */
+    static calculateESI(radius, temperature, insolation = null) {
+        const r = toPositiveNumber(radius);
+        if (r === null) {
+            return { value: null, method: null };
+        }
+
+        const radiusTerm = (r - this.EARTH_RADIUS) / (r + this.EARTH_RADIUS);
+
+        if (insolation !== null && insolation > 0) {
+            // Radius/flux form: ESI = 1 - sqrt((((S-1)/(S+1))² + ((R-1)/(R+1))²) / 2)
+            const fluxTerm = (insolation - 1) / (insolation + 1);
+            const value = 1 - Math.sqrt(0.5 * (fluxTerm ** 2 + radiusTerm ** 2));
+            return { value: round(value, 3), method: 'radius_flux' };
+        }
+
+        const t = toPositiveNumber(temperature);
+        if (t === null) {
+            return { value: null, method: null };
+        }
+
+        // Weighted product form of Schulze-Makuch et al.
+        const radiusComponent = Math.pow(1 - Math.abs(radiusTerm), this.ESI_WEIGHTS.radius / 2);
+        const temperatureTerm = (t - this.EARTH_EQUILIBRIUM_TEMP) / (t + this.EARTH_EQUILIBRIUM_TEMP);
+        const temperatureComponent = Math.pow(1 - Math.abs(temperatureTerm), this.ESI_WEIGHTS.temperature / 2);
+
+        return { value: round(radiusComponent * temperatureComponent, 3), method: 'radius_temperature' };
+    }
+
+    /**
+     * Calculate the stellar flux received by the planet, in Earth units
+     * S = (R_star/R☉)² (Teff/5772)⁴ / a²
+     * The semi-major axis falls back to Kepler's third law when koi_sma is missing
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object} { value, source, semiMajorAxis }
+     */
+    static calculateInsolation(exoplanet) {
+        const steff = toPositiveNumber(exoplanet.koi_steff);
+        const srad = toPositiveNumber(exoplanet.koi_srad);
+        const semiMajorAxis = this.getSemiMajorAxis(exoplanet);
+
+        if (steff !== null && srad !== null && semiMajorAxis !== null) {
+            const luminosity = this.calculateLuminosity(steff, srad);
+            return {
+                value: round(luminosity / semiMajorAxis ** 2, 4),
+                source: 'computed',
+                semiMajorAxis: round(semiMajorAxis, 5)
+            };
+        }
+
+        const catalogInsolation = toPositiveNumber(exoplanet.koi_insol);
+        return {
+            value: catalogInsolation,
+            source: catalogInsolation !== null ? 'catalog' : null,
+            semiMajorAxis: semiMajorAxis !== null ? round(semiMajorAxis, 5) : null
+        };
+    }
+
+    /**
+     * Get the semi-major axis from koi_sma or from the period and the stellar mass
+     * a³ = M* P² (AU, M☉, years)
+     * @param {Object} exoplanet - KOI document
+     * @param {number|null} starMass - Stellar mass used when koi_smass is missing (M☉)
+     * @returns {number|null} Semi-major axis (AU)
+     */
+    static getSemiMajorAxis(exoplanet, starMass = null) {
+        const sma = toPositiveNumber(exoplanet.koi_sma);
+        if (sma !== null) return sma;
+
+        const period = toPositiveNumber(exoplanet.koi_period);
+        const mass = toPositiveNumber(exoplanet.koi_smass) ?? starMass;
+        if (period === null || mass === null) return null;
+
+        const periodYears = period / 365.25;
+        return Math.cbrt(mass * periodYears ** 2);
+    }
+
+    /**
+     * Calculate the stellar luminosity from the Stefan-Boltzmann law
+     * @param {number} steff - Effective temperature (K)
+     * @param {number} srad - Stellar radius (R☉)
+     * @returns {number} Luminosity (L☉)
+     */
+    static calculateLuminosity(steff, srad) {
+        return srad ** 2 * (steff / this.SOLAR_TEFF) ** 4;
+    }
+
+    /**
+     * Calculate the conservative and optimistic habitable-zone boundaries
+     * @param {number} steff - Effective temperature (K)
+     * @param {number} srad - Stellar radius (R☉)
+     * @returns {Object|null} Boundaries in flux (S⊕) and distance (AU), or null without stellar data
+     */
+    static calculateHabitableZone(steff, srad) {
+        const teff = toPositiveNumber(steff);
+        const radius = toPositiveNumber(srad);
+        if (teff === null || radius === null) return null;
+
+        const luminosity = this.calculateLuminosity(teff, radius);
+
+        // Outside of its validity range, the polynomial is evaluated at the nearest bound
+        const clampedTeff = Math.min(Math.max(teff, this.HZ_TEFF_RANGE.min), this.HZ_TEFF_RANGE.max);
+        const t = clampedTeff - 5780;
+
+        const flux = {};
+        const distance = {};
+        for (const [limit, coeffs] of Object.entries(this.HZ_LIMITS)) {
+            const seff = coeffs.seffSun + coeffs.a * t + coeffs.b * t ** 2 + coeffs.c * t ** 3 + coeffs.d * t ** 4;
+            flux[limit] = round(seff, 4);
+            distance[limit] = round(Math.sqrt(luminosity / seff), 4);
+        }
+
+        return {
+            luminosity: round(luminosity, 4), // L☉
+            conservative: {
+                inner: distance.runawayGreenhouse,
+                outer: distance.maximumGreenhouse
+            },
+            optimistic: {
+                inner: distance.recentVenus,
+                outer: distance.earlyMars
+            },
+            flux,
+            extrapolated: clampedTeff !== teff
+        };
+    }
+
+    /**
+     * Locate a planet relative to the habitable zone from its insolation
+     * @param {number} insolation - Stellar flux (S⊕)
+     * @param {Object} flux - Effective flux limits
+     * @returns {string} 'conservative', 'optimistic', 'too_hot' or 'too_cold'
+     */
+    static getZone(insolation, flux) {
+        if (insolation <= flux.runawayGreenhouse && insolation >= flux.maximumGreenhouse) {
+            return 'conservative';
+        }
+        if (insolation <= flux.recentVenus && insolation >= flux.earlyMars) {
+            return 'optimistic';
+        }
+        return insolation > flux.recentVenus ? 'too_hot' : 'too_cold';
+    }
+}
@@ -0,0 +1,191 @@
+import { getDatabase } from '../config/database.js';
+
+/**
+ * KOI change tracking
+ * Detects the KOIs revised by NASA since the last synchronization and records
+ * every revision as a field-level diff in the koi_changes collection
+ *
+ * Detection compares a few key columns fetched for every KOI (DETECTION_COLUMNS);
+ * the complete row is then fetched and diffed only for the KOIs that changed.
+ */
+export class KoiChangeService {
+
+    static COLLECTION = 'koi_changes';
+
+    // Columns compared for every KOI on each synchronization (koi_vet_date changes with each vetting delivery)
+    static DETECTION_COLUMNS = [
+        'koi_disposition', 'koi_pdisposition', 'koi_vet_stat', 'koi_vet_date', 'kepler_name',
+        'koi_score', 'koi_period', 'koi_prad', 'koi_teq', 'koi_insol', 'koi_steff', 'koi_srad'
+    ];
+
+    // Columns set by the AI on candidates, kept while NASA still lists the KOI as a candidate
+    static AI_OVERRIDABLE_FIELDS = ['koi_disposition', 'kepler_name'];
+
+    // Archive columns that are not KOI properties (row number of the table delivery)
+    static IGNORED_FIELDS = ['rowid'];
+
+    static DEFAULT_LIMIT = 50;
+    static MAX_LIMIT = 500;
+
+    /**
+     * Create the indexes of the change history
+     * @returns {Promise<void>}
+     */
+    static async ensureIndexes() {
+        const collection = getDatabase().collection(this.COLLECTION);
+
+        await Promise.all([
+            collection.createIndex({ kepoi_name: 1, detectedAt: -1 }),
+            collection.createIndex({ detectedAt: -1 }),
+            collection.createIndex({ changedFields: 1 })
+        ]);
+    }
+
+    /**
+     * Whether the AI classification of a KOI still applies
+     * NASA dispositions take precedence as soon as the KOI is no longer a candidate
+     * @param {Object} stored - Stored KOI
+     * @param {Object} nasaRow - NASA row
+     * @returns {boolean} True if the AI fields must be kept
+     */
+    static isAiOverride(stored, nasaRow) {
+        return stored?.IS_AI === true && String(nasaRow.koi_disposition || '').toUpperCase() === 'CANDIDATE';
+    }
+
+    /**
+     * Whether a NASA row differs from the stored KOI on the detection columns
+     * A KOI classified by the AI that NASA has vetted since is changed as well
+     * @param {Object} stored - Stored KOI (at least the detection columns and IS_AI)
+     * @param {Object} nasaRow - NASA row with the detection columns
+     * @returns {boolean} True if the KOI changed
+     */
+    static hasChanged(stored, nasaRow) {
+        if (stored.IS_AI === true && !this.isAiOverride(stored, nasaRow)) {
+            return true;
+        }
+        return this.diff(stored, nasaRow, this.DETECTION_COLUMNS).length > 0;
+    }
+
+    /**
+     * Field-level diff between the stored KOI and a NASA row
+     * The AI fields are skipped while the AI classification applies
+     * @param {Object} stored - Stored KOI
+     * @param {Object} nasaRow - NASA row
+     * @param {Array<string>} columns - Columns to compare
+     * @returns {Array<Object>} Changes { field, from, to }
+     */
+    static diff(stored, nasaRow, columns) {
+        const skipped = new Set(this.IGNORED_FIELDS);
+        if (this.isAiOverride(stored, nasaRow)) {
+            this.AI_OVERRIDABLE_FIELDS.forEach(field => skipped.add(field));
+        }
+
+        return columns
+            .filter(field => !skipped.has(field))
+            .map(field => ({ field, from: this.normalize(stored[field]), to: this.normalize(nasaRow[field]) }))
+            .filter(({ from, to }) => from !== to);
+    }
+
+    /**
+     * Normalize a column value for comparison (missing and empty values are null)
+     * @param {any} value - Column value
+     * @returns {any} Normalized value
+     */
+    static normalize(value) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            return trimmed === '' ? null : trimmed;
+        }
+        return value;
+    }
+
+    /**
+     * Build the history entry of a KOI revision
+     * @param {Object} stored - Stored KOI before the update
+     * @param {Array<Object>} changes - Field-level changes
+     * @param {Object} options - { syncStartTime }
+     * @returns {Object} Change record
+     */
+    static buildChangeRecord(stored, changes, { syncStartTime = null } = {}) {
+        const disposition = changes.find(change => change.field === 'koi_disposition');
+        const vetDate = changes.find(change => change.field === 'koi_vet_date');
+        const aiOverridden = changes.some(change => change.field === 'IS_AI');
+
+        return {
+            kepoi_name: stored.kepoi_name,
+            kepid: stored.kepid ?? null,
+            kepler_name: stored.kepler_name || null,
+            changes,
+            changedFields: changes.map(change => change.field),
+            dispositionChange: disposition ? { from: disposition.from, to: disposition.to } : null,
+            vetDateChange: vetDate ? { from: vetDate.from, to: vetDate.to } : null,
+            aiOverridden,
+            // The AI fields removed from the KOI when NASA vetted it
+            aiPrediction: aiOverridden ? {
+                prediction: stored.ai_prediction ?? null,
+                explanation: stored.explanation ?? null,
+                confidence_score: stored.confidence_score ?? null
+            } : null,
+            source: 'nasa_tap',
+            syncStartTime,
+            detectedAt: new Date()
+        };
+    }
+
+    /**
+     * Save change records
+     * @param {Array<Object>} records - Change records
+     * @returns {Promise<number>} Number of saved records
+     */
+    static async recordChanges(records) {
+        if (records.length === 0) return 0;
+
+        try {
+            const result = await getDatabase().collection(this.COLLECTION).insertMany(records, { ordered: false });
+            return result.insertedCount;
+
+        } catch (error) {
+            console.error(`❌ Error recording changes of ${records.length} KOIs:`, error);
+            throw new Error(`Could not record KOI changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the change history, most recent first
+     * @param {Object} options - Filters
+     * @param {string} options.kepoi_name - Only this KOI
+     * @param {string} options.field - Only the revisions of this column
+     * @param {boolean} options.dispositionOnly - Only the disposition changes
+     * @param {Date} options.since - Only the revisions detected after this date
+     * @param {number} options.limit - Result limit
+     * @param {number} options.skip - Results to skip
+     * @returns {Promise<Object>} { changes, total, limit, skip }
+     */
+    static async getChanges({ kepoi_name = null, field = null, dispositionOnly = false, since = null, limit = this.DEFAULT_LIMIT, skip = 0 } = {}) {
+        try {
+            const filter = {};
+            if (kepoi_name) filter.kepoi_name = kepoi_name;
+            if (field) filter.changedFields = field;
+            if (dispositionOnly) filter.dispositionChange = { $ne: null };
+            if (since) filter.detectedAt = { $gte: since };
+
+            const collection = getDatabase().collection(this.COLLECTION);
+            const [changes, total] = await Promise.all([
+                collection
+                    .find(filter, { projection: { _id: 0 } })
+                    .sort({ detectedAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .toArray(),
+                collection.countDocuments(filter)
+            ]);
+
+            return { changes, total, limit, skip };
+
+        } catch (error) {
+            console.error('❌ Error retrieving KOI changes:', error);
+            throw new Error(`Could not retrieve KOI changes: ${error.message}`);
+        }
+    }
+}
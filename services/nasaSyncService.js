@@ -1,11 +1,20 @@
 import axios from 'axios';
 import { getDatabase } from '../config/database.js';
+import { ExoplanetClassificationService } from './planetClassification.js';
+import { SkyPositionService } from './skyService.js';
+import { KoiChangeService } from './koiChangeService.js';
+import { TapClient } from './tapClient.js';
 
 export class NasaSyncService {
     
-    static NASA_TAP_BASE_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync';
+    static KOI_TABLE = 'cumulative'; // Kepler cumulative KOI table
+    static NASA_TAP_BASE_URL = TapClient.SYNC_URL;
     static BACKEND_INFER_URL = process.env.BACKEND_INFER_URL || 'http://localhost:5000/api/infer';
     
+    // Pipeline sizing: kepoi_names per ADQL IN (...) query, and inference calls in flight
+    static FETCH_BATCH_SIZE = 100;
+    static INFER_CONCURRENCY = parseInt(process.env.INFER_CONCURRENCY) || 4;
+    
     // Specific fields to send to the inference API for candidates
     static INFER_FIELDS = [
         'koi_period', 'koi_duration', 'koi_depth', 'koi_ror', 'koi_prad', 'koi_impact',
@@ -15,6 +24,9 @@ export class NasaSyncService {
         'koi_max_sngle_ev', 'koi_max_mult_ev'
     ];
     
+    // Fields written with an AI classification, removed once NASA vets the KOI
+    static AI_OUTPUT_FIELDS = ['ai_prediction', 'explanation', 'confidence_score'];
+    
     // Complete list of KOI columns to retrieve
     static KOI_COLUMNS = [
         "dec", "dec_err", "dec_str", "kepid", "kepler_name", "kepoi_name", "koi_bin_oedp_sig",
@@ -58,25 +70,9 @@ export class NasaSyncService {
             
             // Build ADQL query (Astronomical Data Query Language)
             const columns = this.KOI_COLUMNS.join(', ');
-            const query = `SELECT ${columns} FROM cumulative WHERE kepoi_name IS NOT NULL`;
-            
-            const params = new URLSearchParams({
-                query: query,
-                format: 'json'
-            });
-            
-            const response = await axios.get(`${this.NASA_TAP_BASE_URL}?${params}`, {
-                timeout: 60000, // 60-second timeout
-                headers: {
-                    'User-Agent': 'Space-Backend-Sync/1.0'
-                }
-            });
+            const query = `SELECT ${columns} FROM ${this.KOI_TABLE} WHERE kepoi_name IS NOT NULL`;
             
-            if (response.status !== 200) {
-                throw new Error(`NASA API returned status ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = response.data;
+            const data = await TapClient.query(query, { timeout: 60000, label: 'KOI table' });
             console.log(`✅ ${data.length} KOIs retrieved from NASA API`);
             
             return data;
@@ -92,33 +88,17 @@ export class NasaSyncService {
     }
     
     /**
-     * Fetches only kepoi_name from the NASA TAP API for verification purposes
-     * @returns {Promise<Array>} List of kepoi_names with their disposition
+     * Fetches kepoi_name and the change-detection columns from the NASA TAP API for verification purposes
+     * @returns {Promise<Array>} List of kepoi_names with their disposition and detection columns
      */
     static async fetchKepOINamesFromNASA() {
         try {
             console.log('🔍 Retrieving kepoi_name from NASA API for verification...');
             
-            // Optimized query to retrieve only kepoi_name and koi_disposition
-            const query = `SELECT kepoi_name, koi_disposition FROM cumulative WHERE kepoi_name IS NOT NULL`;
-            
-            const params = new URLSearchParams({
-                query: query,
-                format: 'json'
-            });
+            // Optimized query to retrieve only kepoi_name and the columns compared to detect updated KOIs
+            const query = `SELECT kepoi_name, ${KoiChangeService.DETECTION_COLUMNS.join(', ')} FROM ${this.KOI_TABLE} WHERE kepoi_name IS NOT NULL`;
             
-            const response = await axios.get(`${this.NASA_TAP_BASE_URL}?${params}`, {
-                timeout: 60000, // 60-second timeout
-                headers: {
-                    'User-Agent': 'Space-Backend-Sync/1.0'
-                }
-            });
-            
-            if (response.status !== 200) {
-                throw new Error(`NASA API returned status ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = response.data;
+            const data = await TapClient.query(query, { timeout: 60000, label: 'KOI verification' });
             console.log(`✅ ${data.length} kepoi_names retrieved from NASA API for verification`);
             
             return data;
@@ -144,25 +124,9 @@ export class NasaSyncService {
             
             // Build ADQL query for a specific KOI
             const columns = this.KOI_COLUMNS.join(', ');
-            const query = `SELECT ${columns} FROM cumulative WHERE kepoi_name = '${kepoi_name}'`;
-            
-            const params = new URLSearchParams({
-                query: query,
-                format: 'json'
-            });
-            
-            const response = await axios.get(`${this.NASA_TAP_BASE_URL}?${params}`, {
-                timeout: 30000, // 30-second timeout
-                headers: {
-                    'User-Agent': 'Space-Backend-Sync/1.0'
-                }
-            });
+            const query = `SELECT ${columns} FROM ${this.KOI_TABLE} WHERE kepoi_name = '${this.escapeADQL(kepoi_name)}'`;
             
-            if (response.status !== 200) {
-                throw new Error(`NASA API returned status ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = response.data;
+            const data = await TapClient.query(query, { timeout: 30000, label: `KOI ${kepoi_name}`, estimatedRows: 1 });
             if (data.length === 0) {
                 throw new Error(`No data found for ${kepoi_name}`);
             }
@@ -177,26 +141,65 @@ export class NasaSyncService {
     }
     
     /**
-     * Retrieves the list of existing kepoi_names from MongoDB
-     * @returns {Promise<Set>} A Set of existing kepoi_names
+     * Fetches the complete data of several KOIs with a single ADQL `kepoi_name IN (...)` query
+     * @param {Array<string>} kepoi_names - The names of the KOIs (at most FETCH_BATCH_SIZE)
+     * @returns {Promise<Map>} A Map of kepoi_name -> complete data (KOIs missing from the archive are absent)
+     */
+    static async fetchCompleteKOIDataBatch(kepoi_names) {
+        try {
+            console.log(`📡 Retrieving complete data for ${kepoi_names.length} KOIs...`);
+            
+            const columns = this.KOI_COLUMNS.join(', ');
+            const names = kepoi_names.map(name => `'${this.escapeADQL(name)}'`).join(', ');
+            const query = `SELECT ${columns} FROM ${this.KOI_TABLE} WHERE kepoi_name IN (${names})`;
+            
+            const data = await TapClient.query(query, { timeout: 60000, label: 'KOI batch' });
+            
+            const rows = new Map(data.map(row => [row.kepoi_name, row]));
+            console.log(`✅ Complete data retrieved for ${rows.size}/${kepoi_names.length} KOIs`);
+            return rows;
+            
+        } catch (error) {
+            console.error(`❌ Error fetching a batch of ${kepoi_names.length} KOIs:`, error.message);
+            throw new Error(`Could not retrieve KOI batch: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Escapes a value for an ADQL string literal
+     * @param {string} value - Raw value
+     * @returns {string} Escaped value (single quotes doubled)
+     */
+    static escapeADQL(value) {
+        return String(value).replace(/'/g, "''");
+    }
+    
+    /**
+     * Retrieves the existing KOIs from MongoDB with their change-detection columns
+     * @returns {Promise<Map>} A Map of kepoi_name -> stored detection columns
      */
-    static async getExistingKepOINames() {
+    static async getExistingKOISnapshots() {
         try {
             const db = getDatabase();
             const collection = db.collection('koi_objects');
             
+            const projection = { kepoi_name: 1, IS_AI: 1, _id: 0 };
+            KoiChangeService.DETECTION_COLUMNS.forEach(column => {
+                projection[column] = 1;
+            });
+            
             const existingKOIs = await collection
-                .find({}, { projection: { kepoi_name: 1, _id: 0 } })
+                .find({}, { projection })
                 .toArray();
             
-            const kepOINames = new Set(
+            const snapshots = new Map(
                 existingKOIs
-                    .map(koi => koi.kepoi_name)
-                    .filter(name => name) // Filter out null/undefined values
+                    .filter(koi => koi.kepoi_name) // Filter out null/undefined values
+                    .map(koi => [koi.kepoi_name, koi])
             );
             
-            console.log(`📋 ${kepOINames.size} existing kepoi_names found in the database`);
-            return kepOINames;
+            console.log(`📋 ${snapshots.size} existing kepoi_names found in the database`);
+            return snapshots;
             
         } catch (error) {
             console.error('❌ Error retrieving existing kepoi_names:', error);
@@ -205,24 +208,53 @@ export class NasaSyncService {
     }
     
     /**
-     * Saves a KOI to MongoDB
+     * Builds the stored document of a KOI (synchronization metadata, persisted classification, sky position)
      * @param {Object} koiData - The data for the KOI
-     * @returns {Promise<Object>} The result of the insertion
+     * @returns {Object} The document to insert
+     */
+    static buildKOIDocument(koiData) {
+        return {
+            ...koiData,
+            sync_source: 'nasa_tap',
+            sync_date: new Date(),
+            sync_version: '1.0',
+            
+            // Persisted classification (null for non-confirmed KOIs)
+            [ExoplanetClassificationService.STORED_FIELD]: ExoplanetClassificationService.buildStoredClassification(koiData),
+            
+            // GeoJSON sky position for the cone search (null without coordinates)
+            [SkyPositionService.FIELD]: SkyPositionService.buildSkyPosition(koiData)
+        };
+    }
+    
+    /**
+     * Builds the idempotent write of a new KOI: inserted if no document has its kepoi_name, left unchanged otherwise
+     * (the KOIs revised by NASA are updated by buildKOIUpdate)
+     * @param {Object} document - Document built by buildKOIDocument
+     * @returns {Object} bulkWrite updateOne operation
+     */
+    static buildKOIUpsert(document) {
+        return {
+            updateOne: {
+                filter: { kepoi_name: document.kepoi_name },
+                update: { $setOnInsert: document },
+                upsert: true
+            }
+        };
+    }
+    
+    /**
+     * Saves a KOI to MongoDB (upsert on kepoi_name)
+     * @param {Object} koiData - The data for the KOI
+     * @returns {Promise<Object>} The result of the upsert
      */
     static async saveKOIToMongoDB(koiData) {
         try {
             const db = getDatabase();
             const collection = db.collection('koi_objects');
             
-            // Add synchronization metadata
-            const enrichedData = {
-                ...koiData,
-                sync_source: 'nasa_tap',
-                sync_date: new Date(),
-                sync_version: '1.0'
-            };
-            
-            const result = await collection.insertOne(enrichedData);
+            const { filter, update, upsert } = this.buildKOIUpsert(this.buildKOIDocument(koiData)).updateOne;
+            const result = await collection.updateOne(filter, update, { upsert });
             
             console.log(`✅ KOI ${koiData.kepoi_name} saved to the database (${koiData.koi_disposition})`);
             return result;
@@ -233,34 +265,168 @@ export class NasaSyncService {
         }
     }
     
+    /**
+     * Saves KOI documents with a single unordered bulkWrite of upserts
+     * A failing document does not prevent the others from being written, and a KOI
+     * already saved (by a concurrent or repeated run) is not duplicated
+     * @param {Array<Object>} documents - Documents built by buildKOIDocument
+     * @returns {Promise<Map>} A Map of kepoi_name -> error message for the documents that were not written
+     */
+    static async writeKOIDocuments(documents) {
+        const failures = new Map();
+        if (documents.length === 0) {
+            return failures;
+        }
+        
+        let existing = 0;
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            const result = await collection.bulkWrite(
+                documents.map(document => this.buildKOIUpsert(document)),
+                { ordered: false }
+            );
+            existing = result.matchedCount;
+            
+        } catch (error) {
+            this.collectWriteFailures(error, documents.map(document => document.kepoi_name), failures);
+        }
+        
+        console.log(`💾 ${documents.length - failures.size}/${documents.length} KOIs saved to the database${existing > 0 ? ` (${existing} already present)` : ''}`);
+        return failures;
+    }
+    
+    /**
+     * Maps the errors of an unordered bulkWrite to the kepoi_names of the operations
+     * @param {Error} error - bulkWrite error
+     * @param {Array<string>} kepoi_names - kepoi_name of each operation, in order
+     * @param {Map} failures - Map of kepoi_name -> error message to fill
+     * @returns {Map} The failures
+     */
+    static collectWriteFailures(error, kepoi_names, failures = new Map()) {
+        if (Array.isArray(error.writeErrors) && error.writeErrors.length > 0) {
+            // Only the listed operations failed, the others were written
+            error.writeErrors.forEach(writeError => {
+                failures.set(kepoi_names[writeError.index], writeError.errmsg || error.message);
+            });
+        } else {
+            kepoi_names.forEach(kepoi_name => failures.set(kepoi_name, error.message));
+        }
+        
+        console.error(`❌ ${failures.size} KOI write(s) failed:`, error.message);
+        return failures;
+    }
+    
+    /**
+     * Builds the update of a KOI revised by NASA and its koi_changes record
+     * The AI disposition and Kepler name are kept while NASA still lists the KOI as a candidate;
+     * once NASA vets the KOI, the AI fields are removed (the prediction is kept in the koi_changes record)
+     * The KOI is never inserted: a document removed since it was read is not recreated from the changed fields
+     * @param {Object} stored - The stored KOI
+     * @param {Object} completeKOIData - The complete NASA row
+     * @param {Object} options - { syncStartTime }
+     * @returns {Object|null} { operation, record }, or null if nothing changed
+     */
+    static buildKOIUpdate(stored, completeKOIData, { syncStartTime = null } = {}) {
+        const changes = KoiChangeService.diff(stored, completeKOIData, this.KOI_COLUMNS);
+        
+        // NASA vetted a KOI classified by the AI: the official disposition replaces the prediction
+        const aiOverridden = stored.IS_AI === true && !KoiChangeService.isAiOverride(stored, completeKOIData);
+        if (aiOverridden) {
+            changes.push({ field: 'IS_AI', from: true, to: false });
+        }
+        
+        if (changes.length === 0) {
+            return null;
+        }
+        
+        const updatedFields = Object.fromEntries(changes.map(change => [change.field, change.to]));
+        const updatedKOI = { ...stored, ...updatedFields };
+        
+        const update = {
+            $set: {
+                ...updatedFields,
+                sync_source: 'nasa_tap',
+                sync_date: new Date(),
+                sync_version: '1.0',
+                [ExoplanetClassificationService.STORED_FIELD]: ExoplanetClassificationService.buildStoredClassification(updatedKOI),
+                [SkyPositionService.FIELD]: SkyPositionService.buildSkyPosition(updatedKOI)
+            }
+        };
+        if (aiOverridden) {
+            update.$unset = Object.fromEntries(this.AI_OUTPUT_FIELDS.map(field => [field, '']));
+        }
+        
+        return {
+            operation: {
+                updateOne: {
+                    filter: { kepoi_name: stored.kepoi_name },
+                    update,
+                    upsert: false
+                }
+            },
+            record: KoiChangeService.buildChangeRecord(stored, changes, { syncStartTime })
+        };
+    }
+    
+    /**
+     * Builds the document of a candidate classified by the AI
+     * @param {Object} fullKoiData - The complete NASA row
+     * @param {Object} inference - The inference API response
+     * @param {string} disposition - 'CONFIRMED' or 'FALSE POSITIVE'
+     * @returns {Object} The enriched KOI data
+     */
+    static buildAIClassifiedKOI(fullKoiData, inference, disposition) {
+        // CONFIRMED: the probability is the confidence; FALSE POSITIVE: 1 - probability
+        const probability = inference.probability || 0;
+        const confidenceScore = disposition === 'CONFIRMED' ? probability : 1 - probability;
+        
+        return {
+            ...fullKoiData,
+            koi_disposition: disposition, // Update the status
+            IS_AI: true, // Mark as classified by AI
+            explanation: inference.explanation || `Classified as ${disposition === 'CONFIRMED' ? 'confirmed' : 'false positive'} by AI`,
+            confidence_score: confidenceScore,
+            ai_prediction: {
+                prediction: inference.prediction,
+                probability: inference.probability,
+                confidence_score: confidenceScore, // Also in the detailed object
+                base_value: inference.base_value,
+                contributions: inference.contributions,
+                feature_names: inference.feature_names,
+                processed_date: new Date()
+            }
+        };
+    }
+    
     /**
      * Sends a candidate KOI to the inference API with only the required fields.
-     * Has a 10-second timeout and continues to the next even in case of an error.
+     * Has a 10-second timeout and never throws, so the next candidates are processed even in case of an error.
+     * Nothing is saved here: classified candidates are returned with the document to write
+     * (the Kepler name of a CONFIRMED prediction is assigned by the caller).
      * @param {string} kepoi_name - The name of the candidate KOI
+     * @param {Object|null} fullKoiData - The complete NASA row (fetched when not provided)
      * @returns {Promise<Object>} The result of the send operation (success or error)
      */
-    static async sendCandidateToInferAPI(kepoi_name) {
+    static async sendCandidateToInferAPI(kepoi_name, fullKoiData = null) {
         const startTime = Date.now();
         
         try {
-            console.log(`🔬 [${kepoi_name}] Retrieving and sending to inference API...`);
+            console.log(`🔬 [${kepoi_name}] Sending to inference API...`);
             
-            // 1. Retrieve complete candidate data from NASA
-            const fullKoiData = await this.fetchCompleteKOIData(kepoi_name);
+            // 1. Retrieve complete candidate data from NASA when the batch did not provide it
+            const koiData = fullKoiData || await this.fetchCompleteKOIData(kepoi_name);
             
             // 2. Extract only the fields required for inference
             const inferData = {};
             this.INFER_FIELDS.forEach(field => {
-                if (fullKoiData.hasOwnProperty(field)) {
-                    inferData[field] = fullKoiData[field];
+                if (koiData.hasOwnProperty(field)) {
+                    inferData[field] = koiData[field];
                 }
             });
             
             // Add kepoi_name for identification
             inferData.kepoi_name = kepoi_name;
             
-            console.log(`📊 [${kepoi_name}] Sending ${Object.keys(inferData).length} fields`);
-            
             // 3. Send to inference API with a 10-second timeout
             const response = await axios.post(this.BACKEND_INFER_URL, inferData, {
                 timeout: 10000, // Exactly 10 seconds
@@ -273,138 +439,7 @@ export class NasaSyncService {
             const duration = Date.now() - startTime;
             
             // Check response status
-            if (response.status === 200) {
-                console.log(`✅ [${kepoi_name}] HTTP 200 response received in ${duration}ms`);
-                
-                // Process response according to the prediction
-                const prediction = response.data?.prediction?.toUpperCase();
-                console.log(`🔮 [${kepoi_name}] AI Prediction: ${prediction}`);
-                
-                if (prediction === 'FALSE POSITIVE') {
-                    console.log(`🚫 [${kepoi_name}] Classified as FALSE POSITIVE by AI - saving to database`);
-                    
-                    try {
-                        // Calculate the confidence score (1 - probability)
-                        const probability = response.data.probability || 0;
-                        const confidenceScore = 1 - probability;
-                        
-                        // Enrich the complete data with AI results
-                        const enrichedData = {
-                            ...fullKoiData,
-                            koi_disposition: 'FALSE POSITIVE', // Update the status
-                            IS_AI: true, // Mark as classified by AI
-                            explanation: response.data.explanation || 'Classified as false positive by AI',
-                            confidence_score: confidenceScore, // New field: 1 - probability
-                            ai_prediction: {
-                                prediction: response.data.prediction,
-                                probability: response.data.probability,
-                                confidence_score: confidenceScore, // Also in the detailed object
-                                base_value: response.data.base_value,
-                                contributions: response.data.contributions,
-                                feature_names: response.data.feature_names,
-                                processed_date: new Date()
-                            }
-                        };
-                        
-                        // Save to the database
-                        await this.saveKOIToMongoDB(enrichedData);
-                        console.log(`💾 [${kepoi_name}] Saved as FALSE POSITIVE (AI) - Confidence: ${(confidenceScore * 100).toFixed(2)}%`);
-                        
-                        return {
-                            success: true,
-                            kepoi_name: kepoi_name,
-                            status: response.status,
-                            duration: duration,
-                            action: 'saved_as_false_positive',
-                            prediction: prediction,
-                            data: response.data
-                        };
-                        
-                    } catch (saveError) {
-                        console.error(`❌ [${kepoi_name}] Error during saving:`, saveError.message);
-                        return {
-                            success: false,
-                            kepoi_name: kepoi_name,
-                            status: response.status,
-                            duration: duration,
-                            error: `Save error: ${saveError.message}`,
-                            prediction: prediction
-                        };
-                    }
-                    
-                } else if (prediction === 'CONFIRMED') {
-                    console.log(`✅ [${kepoi_name}] Classified as CONFIRMED by AI - generating Kepler name and saving`);
-                    
-                    try {
-                        // For CONFIRMED, the confidence score is the probability directly
-                        const probability = response.data.probability || 0;
-                        const confidenceScore = probability;
-                        
-                        // Generate the Kepler name according to the assignment logic
-                        const keplerName = await this.generateKeplerName(kepoi_name);
-                        console.log(`🌟 [${kepoi_name}] Kepler name assigned: ${keplerName}`);
-                        
-                        // Enrich the complete data with AI results
-                        const enrichedData = {
-                            ...fullKoiData,
-                            koi_disposition: 'CONFIRMED', // Update the status
-                            kepler_name: keplerName, // New generated Kepler name
-                            IS_AI: true, // Mark as classified by AI
-                            explanation: response.data.explanation || 'Classified as confirmed by AI',
-                            confidence_score: confidenceScore, // New field: probability
-                            ai_prediction: {
-                                prediction: response.data.prediction,
-                                probability: response.data.probability,
-                                confidence_score: confidenceScore, // Also in the detailed object
-                                base_value: response.data.base_value,
-                                contributions: response.data.contributions,
-                                feature_names: response.data.feature_names,
-                                processed_date: new Date()
-                            }
-                        };
-                        
-                        // Save to the database
-                        await this.saveKOIToMongoDB(enrichedData);
-                        console.log(`💾 [${kepoi_name}] Saved as CONFIRMED (AI) - Confidence: ${(confidenceScore * 100).toFixed(2)}% - Kepler: ${keplerName}`);
-                        
-                        return {
-                            success: true,
-                            kepoi_name: kepoi_name,
-                            kepler_name: keplerName,
-                            status: response.status,
-                            duration: duration,
-                            action: 'saved_as_confirmed',
-                            prediction: prediction,
-                            data: response.data
-                        };
-                        
-                    } catch (saveError) {
-                        console.error(`❌ [${kepoi_name}] Error while saving CONFIRMED:`, saveError.message);
-                        return {
-                            success: false,
-                            kepoi_name: kepoi_name,
-                            status: response.status,
-                            duration: duration,
-                            error: `Save error (CONFIRMED): ${saveError.message}`,
-                            prediction: prediction
-                        };
-                    }
-                    
-                } else {
-                    // Other predictions (neither FALSE POSITIVE nor CONFIRMED)
-                    console.log(`📋 [${kepoi_name}] Prediction ${prediction} - not currently supported`);
-                    return {
-                        success: true,
-                        kepoi_name: kepoi_name,
-                        status: response.status,
-                        duration: duration,
-                        action: 'prediction_not_supported',
-                        prediction: prediction,
-                        data: response.data
-                    };
-                }
-                
-            } else {
+            if (response.status !== 200) {
                 console.log(`⚠️ [${kepoi_name}] HTTP ${response.status} response (≠200) in ${duration}ms - moving to next`);
                 return {
                     success: false,
@@ -415,6 +450,31 @@ export class NasaSyncService {
                 };
             }
             
+            // Process response according to the prediction
+            const prediction = response.data?.prediction?.toUpperCase();
+            console.log(`🔮 [${kepoi_name}] AI Prediction: ${prediction} (${duration}ms)`);
+            
+            const result = {
+                success: true,
+                kepoi_name: kepoi_name,
+                status: response.status,
+                duration: duration,
+                prediction: prediction,
+                data: response.data
+            };
+            
+            if (prediction === 'FALSE POSITIVE' || prediction === 'CONFIRMED') {
+                return {
+                    ...result,
+                    action: prediction === 'CONFIRMED' ? 'classified_as_confirmed' : 'classified_as_false_positive',
+                    document: this.buildAIClassifiedKOI(koiData, response.data, prediction)
+                };
+            }
+            
+            // Other predictions (neither FALSE POSITIVE nor CONFIRMED)
+            console.log(`📋 [${kepoi_name}] Prediction ${prediction} - not currently supported`);
+            return { ...result, action: 'prediction_not_supported' };
+            
         } catch (error) {
             const duration = Date.now() - startTime;
             
@@ -451,14 +511,273 @@ export class NasaSyncService {
     }
     
     /**
-     * Synchronizes KOI data with the NASA API
-     * @returns {Promise<Object>} Synchronization statistics
+     * Runs an async worker over items with at most `limit` calls in flight
+     * @param {Array} items - Items to process
+     * @param {number} limit - Maximum number of concurrent calls
+     * @param {Function} worker - async (item, index) => result
+     * @returns {Promise<Array>} Results, in the order of the items
      */
-    static async synchronizeKOIData() {
-        const startTime = Date.now();
-        console.log('🚀 Starting synchronization with NASA API...');
+    static async mapWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        
+        const runWorker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index], index);
+            }
+        };
+        
+        const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runWorker);
+        await Promise.all(workers);
+        return results;
+    }
+    
+    /**
+     * Records a per-KOI error in the synchronization statistics
+     * @param {Object} stats - Synchronization statistics
+     * @param {Object} detail - { kepoi_name, type, error, ... }
+     */
+    static recordError(stats, detail) {
+        stats.errors++;
+        stats.errorDetails.push(detail);
+    }
+    
+    /**
+     * Processes a batch of new KOIs
+     * 1. One TAP query for the complete rows of the batch
+     * 2. CONFIRMED and FALSE POSITIVE KOIs are saved as is, candidates are sent to the inference API
+     *    (at most INFER_CONCURRENCY calls in flight)
+     * 3. Kepler names of the candidates confirmed by the AI are assigned one after the other
+     * 4. One bulkWrite for the batch
+     * KOIs already in the database (saved before an interruption) are skipped
+     * @param {Array<Object>} entries - { kepoi_name, koi_disposition } entries
+     * @param {Object} stats - Synchronization statistics (updated)
+     * @returns {Promise<void>}
+     */
+    static async processNewKOIBatch(entries, stats) {
+        let rows;
+        try {
+            // KOIs written by an interrupted attempt of this batch are not processed twice
+            const saved = await getDatabase().collection('koi_objects')
+                .find({ kepoi_name: { $in: entries.map(entry => entry.kepoi_name) } }, { projection: { kepoi_name: 1, _id: 0 } })
+                .toArray();
+            if (saved.length > 0) {
+                const savedNames = new Set(saved.map(koi => koi.kepoi_name));
+                entries = entries.filter(entry => !savedNames.has(entry.kepoi_name));
+                stats.alreadySaved += savedNames.size;
+            }
+            if (entries.length === 0) {
+                return;
+            }
+            
+            rows = await this.fetchCompleteKOIDataBatch(entries.map(entry => entry.kepoi_name));
+        } catch (error) {
+            // Archive down: the run stops before this batch instead of skipping it
+            if (TapClient.isCircuitOpen()) {
+                throw error;
+            }
+            entries.forEach(entry => this.recordError(stats, {
+                kepoi_name: entry.kepoi_name,
+                type: 'fetch_error',
+                error: error.message
+            }));
+            return;
+        }
+        
+        const writes = []; // { document, disposition, ai }
+        const candidates = [];
         
-        const stats = {
+        for (const entry of entries) {
+            const disposition = entry.koi_disposition?.toUpperCase();
+            const kepoi_name = entry.kepoi_name;
+            const row = rows.get(kepoi_name);
+            
+            if (!row) {
+                this.recordError(stats, { kepoi_name, type: 'fetch_error', error: `No data found for ${kepoi_name}` });
+                continue;
+            }
+            
+            switch (disposition) {
+                case 'CONFIRMED':
+                case 'FALSE POSITIVE':
+                    writes.push({ document: this.buildKOIDocument(row), disposition, ai: false });
+                    break;
+                    
+                case 'CANDIDATE':
+                    stats.candidates++;
+                    candidates.push(row);
+                    break;
+                    
+                default:
+                    console.warn(`⚠️ Unknown status for ${kepoi_name}: ${disposition}`);
+                    this.recordError(stats, {
+                        kepoi_name: kepoi_name,
+                        type: 'unknown_disposition',
+                        error: `Unknown status: ${disposition}`
+                    });
+            }
+        }
+        
+        // Inference calls in a bounded pool
+        const inferResults = await this.mapWithConcurrency(candidates, this.INFER_CONCURRENCY,
+            row => this.sendCandidateToInferAPI(row.kepoi_name, row));
+        
+        // Kepler names assigned during this batch, not written yet
+        const assignedNames = [];
+        
+        for (const inferResult of inferResults) {
+            const kepoi_name = inferResult.kepoi_name;
+            
+            if (!inferResult.success) {
+                this.recordError(stats, {
+                    kepoi_name: kepoi_name,
+                    type: 'infer_api_error',
+                    error: inferResult.error,
+                    status: inferResult.status || 'unknown',
+                    duration: inferResult.duration
+                });
+                console.log(`📊 [${kepoi_name}] Candidate not processed: ${inferResult.error}`);
+                continue;
+            }
+            
+            stats.candidatesSent++;
+            stats.candidatesClassifiedByAI++;
+            
+            if (inferResult.action === 'classified_as_confirmed') {
+                const keplerName = await this.generateKeplerName(kepoi_name, assignedNames);
+                console.log(`🌟 [${kepoi_name}] Kepler name assigned: ${keplerName}`);
+                inferResult.document.kepler_name = keplerName;
+                assignedNames.push({ kepoi_name, kepler_name: keplerName });
+                writes.push({ document: inferResult.document, disposition: 'CONFIRMED', ai: true });
+            } else if (inferResult.action === 'classified_as_false_positive') {
+                writes.push({ document: inferResult.document, disposition: 'FALSE POSITIVE', ai: true });
+            } else {
+                stats.candidatesOtherPrediction++;
+                console.log(`📈 [${kepoi_name}] Candidate processed - prediction: ${inferResult.prediction}`);
+            }
+        }
+        
+        const failures = await this.writeKOIDocuments(writes.map(write => write.document));
+        
+        for (const { document, disposition, ai } of writes) {
+            if (failures.has(document.kepoi_name)) {
+                this.recordError(stats, {
+                    kepoi_name: document.kepoi_name,
+                    type: 'write_error',
+                    error: failures.get(document.kepoi_name)
+                });
+                continue;
+            }
+            
+            if (disposition === 'CONFIRMED') {
+                stats.confirmed++;
+                if (ai) stats.candidatesSavedAsConfirmed++;
+            } else {
+                stats.falsePositive++;
+                if (ai) stats.candidatesSavedAsFalsePositive++;
+            }
+        }
+    }
+    
+    /**
+     * Processes a batch of KOIs revised by NASA
+     * One TAP query for the complete rows, one bulkWrite for the updates and one insert for the koi_changes records
+     * @param {Array<Object>} entries - NASA entries of the changed KOIs
+     * @param {Object} stats - Synchronization statistics (updated)
+     * @returns {Promise<void>}
+     */
+    static async processChangedKOIBatch(entries, stats) {
+        const kepoi_names = entries.map(entry => entry.kepoi_name);
+        const collection = getDatabase().collection('koi_objects');
+        
+        let rows;
+        let storedKOIs;
+        try {
+            [rows, storedKOIs] = await Promise.all([
+                this.fetchCompleteKOIDataBatch(kepoi_names),
+                collection.find({ kepoi_name: { $in: kepoi_names } }).toArray()
+            ]);
+        } catch (error) {
+            if (TapClient.isCircuitOpen()) {
+                throw error;
+            }
+            kepoi_names.forEach(kepoi_name => this.recordError(stats, { kepoi_name, type: 'update_error', error: error.message }));
+            return;
+        }
+        
+        const storedByName = new Map(storedKOIs.map(koi => [koi.kepoi_name, koi]));
+        const updates = [];
+        
+        for (const kepoi_name of kepoi_names) {
+            const row = rows.get(kepoi_name);
+            const stored = storedByName.get(kepoi_name);
+            
+            if (!row || !stored) {
+                this.recordError(stats, {
+                    kepoi_name,
+                    type: 'update_error',
+                    error: row ? `KOI ${kepoi_name} is not in the database` : `No data found for ${kepoi_name}`
+                });
+                continue;
+            }
+            
+            const update = this.buildKOIUpdate(stored, row, { syncStartTime: stats.startTime });
+            if (update) {
+                updates.push(update);
+            }
+        }
+        
+        if (updates.length === 0) {
+            return;
+        }
+        
+        const failures = new Map();
+        let matched = updates.length;
+        try {
+            const result = await collection.bulkWrite(updates.map(update => update.operation), { ordered: false });
+            matched = result.matchedCount;
+        } catch (error) {
+            this.collectWriteFailures(error, updates.map(update => update.record.kepoi_name), failures);
+        }
+        
+        // KOIs removed since the batch was read (ex: deduplication) are not recreated
+        if (matched < updates.length - failures.size) {
+            const written = updates.map(update => update.record.kepoi_name).filter(kepoi_name => !failures.has(kepoi_name));
+            const present = new Set(await collection.distinct('kepoi_name', { kepoi_name: { $in: written } }));
+            written
+                .filter(kepoi_name => !present.has(kepoi_name))
+                .forEach(kepoi_name => failures.set(kepoi_name, `KOI ${kepoi_name} is not in the database`));
+        }
+        
+        const records = [];
+        for (const { record } of updates) {
+            if (failures.has(record.kepoi_name)) {
+                this.recordError(stats, { kepoi_name: record.kepoi_name, type: 'update_error', error: failures.get(record.kepoi_name) });
+                continue;
+            }
+            
+            records.push(record);
+            stats.updatedKOIs++;
+            stats.fieldChanges += record.changes.length;
+            if (record.dispositionChange) stats.dispositionChanges++;
+            console.log(`🔄 KOI ${record.kepoi_name} updated: ${record.changedFields.join(', ')}`);
+        }
+        
+        try {
+            await KoiChangeService.recordChanges(records);
+        } catch (error) {
+            // The KOIs are updated: only the history is missing
+            console.error('⚠️ Warning: KOI changes could not be recorded:', error.message);
+        }
+    }
+    
+    /**
+     * Creates the statistics of a synchronization run
+     * @returns {Object} Empty synchronization statistics
+     */
+    static createSyncStats() {
+        return {
             startTime: new Date(),
             totalFromNASA: 0,
             newKOIs: 0,
@@ -470,117 +789,122 @@ export class NasaSyncService {
             candidatesSavedAsFalsePositive: 0,
             candidatesSavedAsConfirmed: 0, // New: candidates classified as CONFIRMED by AI
             candidatesOtherPrediction: 0,
+            changedKOIs: 0, // Existing KOIs revised by NASA
+            updatedKOIs: 0,
+            dispositionChanges: 0,
+            fieldChanges: 0,
+            alreadySaved: 0, // New KOIs saved by an interrupted attempt of the same run
             errors: 0,
             errorDetails: [],
             duration: 0
         };
+    }
+    
+    /**
+     * Lists the KOIs a synchronization has to process
+     * @param {Object} stats - Synchronization statistics (updated)
+     * @returns {Promise<Object>} { newKOIs: [{ kepoi_name, koi_disposition }], changedKOIs: [{ kepoi_name }] }
+     */
+    static async planSynchronization(stats) {
+        // 1. Fetch only kepoi_names from NASA for verification (optimized)
+        const nasaKepOINames = await this.fetchKepOINamesFromNASA();
+        stats.totalFromNASA = nasaKepOINames.length;
+        
+        // 2. Get existing KOIs from the database
+        const existingKOIs = await this.getExistingKOISnapshots();
+        
+        // 3. Filter for new KOIs (only kepoi_name and disposition)
+        const newKepOIEntries = nasaKepOINames.filter(entry => 
+            entry.kepoi_name && !existingKOIs.has(entry.kepoi_name)
+        );
+        
+        // ... and for existing KOIs whose key columns or vetting date changed
+        const changedKepOIEntries = nasaKepOINames.filter(entry =>
+            entry.kepoi_name && existingKOIs.has(entry.kepoi_name) &&
+            KoiChangeService.hasChanged(existingKOIs.get(entry.kepoi_name), entry)
+        );
+        
+        stats.newKOIs = newKepOIEntries.length;
+        stats.changedKOIs = changedKepOIEntries.length;
+        console.log(`🆕 ${newKepOIEntries.length} new KOIs detected`);
+        console.log(`🔄 ${changedKepOIEntries.length} updated KOIs detected`);
+        
+        return {
+            newKOIs: newKepOIEntries.map(entry => ({ kepoi_name: entry.kepoi_name, koi_disposition: entry.koi_disposition })),
+            changedKOIs: changedKepOIEntries.map(entry => ({ kepoi_name: entry.kepoi_name }))
+        };
+    }
+    
+    /**
+     * Synchronizes KOI data with the NASA API
+     * New KOIs are saved (candidates go through the inference API) and KOIs revised by NASA are updated.
+     * KOIs are processed in batches of FETCH_BATCH_SIZE: one TAP query and one bulkWrite per batch.
+     *
+     * A run can be resumed: pass the plan, checkpoint and statistics of the interrupted run.
+     * The checkpoint ({ phase: 'new' | 'changed' | 'done', index }) means every KOI of the
+     * plan before `index` in `phase` was processed; it is reported after each batch.
+     * @param {Object} options - Options
+     * @param {Object} options.stats - Statistics of the interrupted run (default: new statistics)
+     * @param {Object} options.plan - KOIs to process (default: planned with planSynchronization)
+     * @param {Object} options.checkpoint - Where to resume (default: start of the plan)
+     * @param {Function} options.onCheckpoint - async ({ plan, checkpoint, stats }) => false to stop the run
+     * @returns {Promise<Object>} Synchronization statistics (stopped: true if onCheckpoint stopped the run)
+     */
+    static async synchronizeKOIData({ stats = null, plan = null, checkpoint = null, onCheckpoint = null } = {}) {
+        const startTime = Date.now();
+        console.log(plan ? '🔁 Resuming synchronization with NASA API...' : '🚀 Starting synchronization with NASA API...');
+        
+        stats = stats || this.createSyncStats();
+        const previousDuration = stats.duration || 0;
+        stats.stopped = false;
         
         try {
-            // 1. Fetch only kepoi_names from NASA for verification (optimized)
-            const nasaKepOINames = await this.fetchKepOINamesFromNASA();
-            stats.totalFromNASA = nasaKepOINames.length;
-            
-            // 2. Get existing kepoi_names from the database
-            const existingKepOINames = await this.getExistingKepOINames();
-            
-            // 3. Filter for new KOIs (only kepoi_name and disposition)
-            const newKepOIEntries = nasaKepOINames.filter(entry => 
-                entry.kepoi_name && !existingKepOINames.has(entry.kepoi_name)
-            );
-            
-            stats.newKOIs = newKepOIEntries.length;
-            console.log(`🆕 ${newKepOIEntries.length} new KOIs detected`);
+            if (!plan) {
+                plan = await this.planSynchronization(stats);
+            }
             
-            if (newKepOIEntries.length === 0) {
-                console.log('✅ No new KOIs to process');
-                stats.duration = Date.now() - startTime;
+            if (plan.newKOIs.length === 0 && plan.changedKOIs.length === 0) {
+                console.log('✅ No new or updated KOIs to process');
+                stats.duration = previousDuration + (Date.now() - startTime);
                 return stats;
             }
             
-            // 4. Process each new KOI according to its status
-            for (const kepOIEntry of newKepOIEntries) {
-                try {
-                    const disposition = kepOIEntry.koi_disposition?.toUpperCase();
-                    const kepoi_name = kepOIEntry.kepoi_name;
+            const phases = [
+                // 4. Process the new KOIs according to their status, batch by batch
+                { phase: 'new', entries: plan.newKOIs, label: 'New', process: (batch) => this.processNewKOIBatch(batch, stats) },
+                // 5. Update the KOIs revised by NASA (field-level diff recorded in koi_changes)
+                { phase: 'changed', entries: plan.changedKOIs, label: 'Updated', process: (batch) => this.processChangedKOIBatch(batch, stats) }
+            ];
+            
+            let position = checkpoint ? { ...checkpoint } : { phase: 'new', index: 0 };
+            
+            for (const { phase, entries, label, process } of phases) {
+                if (position.phase === 'done' || (position.phase === 'changed' && phase === 'new')) continue;
+                
+                for (let i = position.phase === phase ? position.index : 0; i < entries.length; i += this.FETCH_BATCH_SIZE) {
+                    const batch = entries.slice(i, i + this.FETCH_BATCH_SIZE);
+                    await process(batch);
+                    console.log(`📦 ${label} KOIs processed: ${i + batch.length}/${entries.length}`);
                     
-                    // Fetch complete data only when necessary
-                    let completeKOIData = null;
+                    position = { phase, index: i + batch.length };
+                    stats.duration = previousDuration + (Date.now() - startTime);
                     
-                    switch (disposition) {
-                        case 'CONFIRMED':
-                        case 'FALSE POSITIVE':
-                            // Fetch all data for saving
-                            completeKOIData = await this.fetchCompleteKOIData(kepoi_name);
-                            await this.saveKOIToMongoDB(completeKOIData);
-                            if (disposition === 'CONFIRMED') {
-                                stats.confirmed++;
-                            } else {
-                                stats.falsePositive++;
-                            }
-                            break;
-                            
-                        case 'CANDIDATE':
-                            stats.candidates++;
-                            // Send to infer API (one by one, with 10s timeout)
-                            const inferResult = await this.sendCandidateToInferAPI(kepoi_name);
-                            
-                            if (inferResult.success) {
-                                stats.candidatesSent++;
-                                stats.candidatesClassifiedByAI++;
-                                
-                                // Process according to the action performed by the AI
-                                if (inferResult.action === 'saved_as_false_positive') {
-                                    stats.candidatesSavedAsFalsePositive++;
-                                    stats.falsePositive++; // Also count in the global false positives
-                                    console.log(`📈 [${kepoi_name}] Candidate classified as FALSE POSITIVE by AI and saved`);
-                                } else if (inferResult.action === 'saved_as_confirmed') {
-                                    stats.candidatesSavedAsConfirmed++;
-                                    stats.confirmed++; // Also count in the global confirmed
-                                    console.log(`📈 [${kepoi_name}] Candidate classified as CONFIRMED by AI and saved - Kepler: ${inferResult.kepler_name}`);
-                                } else if (inferResult.action === 'prediction_received' || inferResult.action === 'prediction_not_supported') {
-                                    stats.candidatesOtherPrediction++;
-                                    console.log(`📈 [${kepoi_name}] Candidate processed - prediction: ${inferResult.prediction}`);
-                                }
-                                
-                            } else {
-                                stats.errors++;
-                                stats.errorDetails.push({
-                                    kepoi_name: kepoi_name,
-                                    type: 'infer_api_error',
-                                    error: inferResult.error,
-                                    status: inferResult.status || 'unknown',
-                                    duration: inferResult.duration
-                                });
-                                console.log(`📊 [${kepoi_name}] Candidate not processed: ${inferResult.error}`);
-                            }
-                            break;
-                            
-                        default:
-                            console.warn(`⚠️ Unknown status for ${kepoi_name}: ${disposition}`);
-                            stats.errors++;
-                            stats.errorDetails.push({
-                                kepoi_name: kepoi_name,
-                                type: 'unknown_disposition',
-                                error: `Unknown status: ${disposition}`
-                            });
+                    if (onCheckpoint && await onCheckpoint({ plan, checkpoint: position, stats }) === false) {
+                        stats.stopped = true;
+                        console.log(`⏸️ Synchronization stopped at ${phase} ${position.index}/${entries.length}`);
+                        return stats;
                     }
-                    
-                } catch (error) {
-                    stats.errors++;
-                    stats.errorDetails.push({
-                        kepoi_name: kepOIEntry.kepoi_name,
-                        type: 'processing_error',
-                        error: error.message
-                    });
-                    console.error(`❌ Error while processing ${kepOIEntry.kepoi_name}:`, error);
                 }
+                
+                position = { phase: phase === 'new' ? 'changed' : 'done', index: 0 };
             }
             
-            stats.duration = Date.now() - startTime;
+            stats.duration = previousDuration + (Date.now() - startTime);
             
             console.log('✅ Synchronization completed:');
             console.log(`   - Total from NASA: ${stats.totalFromNASA}`);
             console.log(`   - New: ${stats.newKOIs}`);
+            console.log(`   - Updated: ${stats.updatedKOIs}/${stats.changedKOIs} (${stats.dispositionChanges} disposition changes, ${stats.fieldChanges} fields)`);
             console.log(`   - Confirmed: ${stats.confirmed} → MongoDB`);
             console.log(`   - False Positives: ${stats.falsePositive} → MongoDB`);
             console.log(`   - Candidates: ${stats.candidates} total`);
@@ -606,7 +930,7 @@ export class NasaSyncService {
             return stats;
             
         } catch (error) {
-            stats.duration = Date.now() - startTime;
+            stats.duration = previousDuration + (Date.now() - startTime);
             stats.errors++;
             stats.errorDetails.push({
                 type: 'sync_error',
@@ -737,9 +1061,10 @@ export class NasaSyncService {
     /**
      * Generates a new Kepler name according to the assignment logic
      * @param {string} kepoi_name - The name of the KOI to process
+     * @param {Array<Object>} assignedNames - { kepoi_name, kepler_name } assigned earlier in the run and not written yet
      * @returns {Promise<string>} The new Kepler name
      */
-    static async generateKeplerName(kepoi_name) {
+    static async generateKeplerName(kepoi_name, assignedNames = []) {
         try {
             console.log(`🎯 Generating Kepler name for ${kepoi_name}`);
             
@@ -747,8 +1072,11 @@ export class NasaSyncService {
             const koiBase = this.extractKOIBase(kepoi_name);
             console.log(`   KOI Base: ${koiBase}`);
             
-            // Step 2: Search for similar KOIs
-            const similarKOIs = await this.findSimilarKOIs(koiBase);
+            // Step 2: Search for similar KOIs (including the ones named earlier in this run)
+            const similarKOIs = [
+                ...await this.findSimilarKOIs(koiBase),
+                ...assignedNames.filter(assigned => this.extractKOIBase(assigned.kepoi_name) === koiBase)
+            ];
             
             if (similarKOIs.length > 0) {
                 // Case A: Similar KOIs exist
@@ -799,6 +1127,14 @@ export class NasaSyncService {
                 newNumber = (lastNumber || 0) + 1;
             }
             
+            // Systems created earlier in this run are not in the database yet
+            assignedNames.forEach(assigned => {
+                const number = this.extractKeplerNumber(assigned.kepler_name);
+                if (number && number >= newNumber) {
+                    newNumber = number + 1;
+                }
+            });
+            
             const newKeplerName = `Kepler-${newNumber} b`;
             console.log(`   → New system: ${newKeplerName}`);
             return newKeplerName;
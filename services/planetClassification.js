@@ -1,12 +1,26 @@
 /**
  * Exoplanet classification service
  * Classification based on radius, temperature, and star distance
+ *
+ * The rules are loaded from the versioned `classification_rules` collection
+ * (see ClassificationRulesService). CLASSIFICATIONS holds the built-in rules,
+ * used to seed the collection and until a rule set has been loaded.
  */
 
 export class ExoplanetClassificationService {
     
+    // Version of the built-in rules
+    static BUILTIN_RULE_SET_VERSION = 0;
+
+    // Field of the koi_objects documents holding the persisted classification
+    static STORED_FIELD = 'planet_classification';
+
+    // Active rule set, replaced by ClassificationRulesService
+    static activeRules = null;
+    static activeRuleSetVersion = 0;
+
     /**
-     * Available classifications with their criteria
+     * Built-in classifications with their criteria
      */
     static CLASSIFICATIONS = {
         // 🌍 Terrestrial Planets (Rocky)
@@ -150,38 +164,68 @@ export class ExoplanetClassificationService {
         }
     };
 
+    /**
+     * Get the active classification rules
+     * @returns {Object} Classifications with their criteria, by key
+     */
+    static getRules() {
+        return this.activeRules || this.CLASSIFICATIONS;
+    }
+
+    /**
+     * Get the version of the active rule set
+     * @returns {number} Rule-set version (0 for the built-in rules)
+     */
+    static getRuleSetVersion() {
+        return this.activeRules ? this.activeRuleSetVersion : this.BUILTIN_RULE_SET_VERSION;
+    }
+
+    /**
+     * Replace the active rule set
+     * @param {Object} rules - Classifications by key (must contain 'barren')
+     * @param {number} version - Rule-set version
+     */
+    static setRuleSet(rules, version) {
+        this.activeRules = rules;
+        this.activeRuleSetVersion = version;
+    }
+
     /**
      * Classify an exoplanet according to its characteristics
      * @param {Object} exoplanet - Exoplanet data
      * @param {number} exoplanet.koi_prad - Radius in R⊕
      * @param {number} exoplanet.koi_teq - Temperature in K
      * @param {number} exoplanet.koi_sma - Distance in AU
-     * @returns {Object} Classification with texture and information
+     * @returns {Object} Classification with texture, information and the rule-set version
      */
     static classifyExoplanet(exoplanet) {
         const { koi_prad: radius, koi_teq: temperature, koi_sma: distance } = exoplanet;
+        const rules = this.getRules();
+        const ruleSetVersion = this.getRuleSetVersion();
         
         // Data validation
         if (!radius || !temperature || !distance) {
             return {
                 classification: 'barren',
-                ...this.CLASSIFICATIONS.barren,
+                ...rules.barren,
                 confidence: 0,
-                reason: 'Insufficient data' // Translated
+                reason: 'Insufficient data', // Translated
+                ruleSetVersion
             };
         }
 
         // Calculate scores for each classification
         const scores = [];
         
-        for (const [key, classification] of Object.entries(this.CLASSIFICATIONS)) {
+        for (const [key, classification] of Object.entries(rules)) {
             const score = this.calculateScore(radius, temperature, distance, classification.criteria);
             if (score > 0) {
                 scores.push({
                     classification: key,
                     ...classification,
                     confidence: score,
-                    reason: `R=${radius}R⊕, T=${temperature}K, D=${distance}AU` // UA -> AU
+                    reason: `R=${radius}R⊕, T=${temperature}K, D=${distance}AU`, // UA -> AU
+                    ruleSetVersion
                 });
             }
         }
@@ -192,9 +236,32 @@ export class ExoplanetClassificationService {
         // Return best classification or barren by default
         return scores.length > 0 ? scores[0] : {
             classification: 'barren',
-            ...this.CLASSIFICATIONS.barren,
+            ...rules.barren,
             confidence: 0.1,
-            reason: `No precise classification - R=${radius}R⊕, T=${temperature}K, D=${distance}AU` // Translated
+            reason: `No precise classification - R=${radius}R⊕, T=${temperature}K, D=${distance}AU`, // Translated
+            ruleSetVersion
+        };
+    }
+
+    /**
+     * Build the classification persisted on a KOI document (only confirmed planets are classified)
+     * @param {Object} exoplanet - KOI document
+     * @returns {Object|null} { classification, planetType, texture, description, confidence, ruleSetVersion, classifiedAt }
+     */
+    static buildStoredClassification(exoplanet) {
+        if (exoplanet.koi_disposition !== 'CONFIRMED') {
+            return null;
+        }
+
+        const result = this.classifyExoplanet(exoplanet);
+        return {
+            classification: result.classification,
+            planetType: result.type,
+            texture: result.texture,
+            description: result.description,
+            confidence: result.confidence,
+            ruleSetVersion: result.ruleSetVersion,
+            classifiedAt: new Date()
         };
     }
 
@@ -242,10 +309,11 @@ export class ExoplanetClassificationService {
      * @returns {Object} Texture information
      */
     static getTextureInfo(classification) {
-        const classInfo = this.CLASSIFICATIONS[classification];
-        if (!classInfo) {
-            return this.CLASSIFICATIONS.barren;
+        const rules = this.getRules();
+        if (!Object.hasOwn(rules, classification)) {
+            return rules.barren;
         }
+        const classInfo = rules[classification];
 
         return {
             textureFolder: classInfo.texture,
@@ -0,0 +1,214 @@
+import { ExoplanetClassificationService } from './planetClassification.js';
+import { toNumber, round } from '../utils/numbers.js';
+
+/**
+ * Probabilistic classification service
+ * Propagates the koi_prad, koi_teq and koi_sma uncertainties through the classification rules
+ *
+ * Each parameter is sampled from a split-normal distribution (err1 above the value, err2 below),
+ * truncated to positive values, and every sample is classified with the point rules.
+ * The share of samples assigned to each classification is its probability.
+ * Sampling is seeded from the KOI name, so the same planet always gets the same distribution.
+ */
+export class ProbabilisticClassificationService {
+
+    static DEFAULT_SAMPLES = 2000;
+    static MAX_SAMPLES = 20000;
+    static MAX_RESAMPLES = 20; // Attempts to draw a positive value before clamping
+    static BORDERLINE_THRESHOLD = 0.68; // Below this probability the most likely class is reported as borderline
+
+    // Classification parameter -> KOI column
+    static PARAMETERS = {
+        radius: { column: 'koi_prad', unit: 'R⊕' },
+        temperature: { column: 'koi_teq', unit: 'K' },
+        distance: { column: 'koi_sma', unit: 'AU' }
+    };
+
+    /**
+     * Compute the probability distribution over all classifications
+     * @param {Object} exoplanet - KOI document (with the _err1/_err2 columns)
+     * @param {Object} options - Options
+     * @param {number} options.samples - Number of Monte Carlo samples (default: 2000)
+     * @param {number} options.seed - Random seed (default: derived from kepoi_name)
+     * @returns {Object} Distribution, most likely classification and sampled inputs
+     */
+    static classify(exoplanet, { samples = this.DEFAULT_SAMPLES, seed = null } = {}) {
+        const rules = ExoplanetClassificationService.getRules();
+        const ruleSetVersion = ExoplanetClassificationService.getRuleSetVersion();
+        const sampleCount = Math.min(Math.max(Math.round(samples), 1), this.MAX_SAMPLES);
+        const resolvedSeed = seed ?? this.hashSeed(exoplanet.kepoi_name || exoplanet.kepler_name || '');
+
+        const inputs = {};
+        for (const [parameter, { column, unit }] of Object.entries(this.PARAMETERS)) {
+            inputs[parameter] = { ...this.getDistribution(exoplanet, column), unit };
+        }
+
+        const counts = Object.fromEntries(Object.keys(rules).map(key => [key, 0]));
+        const missing = Object.keys(inputs).filter(parameter => inputs[parameter].value === null);
+
+        if (missing.length > 0) {
+            // Same fallback as the point classification
+            counts.barren = sampleCount;
+        } else {
+            const random = this.createRandom(resolvedSeed);
+            for (let i = 0; i < sampleCount; i++) {
+                const radius = this.sample(inputs.radius, random);
+                const temperature = this.sample(inputs.temperature, random);
+                const distance = this.sample(inputs.distance, random);
+                counts[this.findBestClassification(radius, temperature, distance, rules)]++;
+            }
+        }
+
+        const distribution = Object.entries(counts)
+            .map(([key, count]) => {
+                const probability = count / sampleCount;
+                return {
+                    classification: key,
+                    name: rules[key].name,
+                    type: rules[key].type,
+                    texture: rules[key].texture,
+                    probability: round(probability, 4),
+                    // Binomial standard error of the Monte Carlo estimate
+                    standardError: round(Math.sqrt(probability * (1 - probability) / sampleCount), 4)
+                };
+            })
+            .sort((a, b) => b.probability - a.probability);
+
+        const mostLikely = distribution[0];
+        const entropy = distribution
+            .filter(entry => entry.probability > 0)
+            .reduce((sum, entry) => sum - entry.probability * Math.log2(entry.probability), 0);
+
+        return {
+            mode: 'probabilistic',
+            method: 'monte_carlo',
+            mostLikely: mostLikely.classification,
+            probability: mostLikely.probability,
+            borderline: mostLikely.probability < this.BORDERLINE_THRESHOLD,
+            entropy: round(entropy, 4), // bits, 0 when a single class is possible
+            distribution,
+            inputs,
+            samples: sampleCount,
+            seed: resolvedSeed,
+            ruleSetVersion,
+            ...(missing.length > 0 && { reason: `Insufficient data (${missing.map(p => this.PARAMETERS[p].column).join(', ')} missing)` })
+        };
+    }
+
+    /**
+     * Find the classification a point in parameter space falls into
+     * Mirrors ExoplanetClassificationService.classifyExoplanet (highest score, first rule on ties, barren otherwise)
+     * @param {number} radius - Radius (R⊕)
+     * @param {number} temperature - Temperature (K)
+     * @param {number} distance - Distance (AU)
+     * @param {Object} rules - Active rules
+     * @returns {string} Classification key
+     */
+    static findBestClassification(radius, temperature, distance, rules) {
+        let bestKey = 'barren';
+        let bestScore = 0;
+
+        for (const [key, rule] of Object.entries(rules)) {
+            const score = ExoplanetClassificationService.calculateScore(radius, temperature, distance, rule.criteria);
+            if (score > bestScore) {
+                bestScore = score;
+                bestKey = key;
+            }
+        }
+
+        return bestKey;
+    }
+
+    /**
+     * Read the value and asymmetric uncertainties of a column
+     * A missing side of the error bar reuses the other side
+     * @param {Object} exoplanet - KOI document
+     * @param {string} column - Column name
+     * @returns {Object} { value, errorUpper, errorLower }
+     */
+    static getDistribution(exoplanet, column) {
+        const value = toNumber(exoplanet[column]);
+        if (value === null || value <= 0) {
+            return { value: null, errorUpper: null, errorLower: null };
+        }
+
+        let errorUpper = toNumber(exoplanet[`${column}_err1`]);
+        let errorLower = toNumber(exoplanet[`${column}_err2`]);
+        errorUpper = errorUpper !== null ? Math.abs(errorUpper) : null;
+        errorLower = errorLower !== null ? Math.abs(errorLower) : null;
+
+        return {
+            value,
+            errorUpper: errorUpper ?? errorLower ?? 0,
+            errorLower: errorLower ?? errorUpper ?? 0
+        };
+    }
+
+    /**
+     * Draw a positive value from a split-normal distribution
+     * The lower half is chosen with probability σ- / (σ- + σ+), which keeps the density continuous at the mode
+     * @param {Object} distribution - { value, errorUpper, errorLower }
+     * @param {Function} random - Uniform random generator in [0, 1)
+     * @returns {number} Sampled value
+     */
+    static sample({ value, errorUpper, errorLower }, random) {
+        const totalError = errorUpper + errorLower;
+        if (totalError === 0) {
+            return value;
+        }
+
+        for (let attempt = 0; attempt < this.MAX_RESAMPLES; attempt++) {
+            const deviation = Math.abs(this.gaussian(random));
+            const sampled = random() < errorLower / totalError
+                ? value - errorLower * deviation
+                : value + errorUpper * deviation;
+
+            if (sampled > 0) {
+                return sampled;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Standard normal variate (Box-Muller transform)
+     * @param {Function} random - Uniform random generator in [0, 1)
+     * @returns {number} Normal variate
+     */
+    static gaussian(random) {
+        const u = 1 - random(); // (0, 1]
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Create a seeded uniform random generator (mulberry32)
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Hash a string into a 32-bit seed (FNV-1a)
+     * @param {string} value - String to hash
+     * @returns {number} Seed
+     */
+    static hashSeed(value) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
@@ -0,0 +1,371 @@
+import { ObjectId } from 'mongodb';
+import { getDatabase } from '../config/database.js';
+import { ExoplanetClassificationService } from './planetClassification.js';
+
+/**
+ * Reclassification service
+ * Recomputes the classification persisted on every koi_objects document with the active rules
+ *
+ * The job runs in the background, one at a time. In dry-run mode nothing is written and the
+ * job only reports the diff between the stored and the recomputed classifications.
+ */
+export class ReclassificationService {
+
+    static JOBS_COLLECTION = 'reclassification_jobs';
+    static BATCH_SIZE = 500;
+    static MAX_DIFF_SAMPLES = 200;
+
+    // Columns needed to classify a KOI
+    static CLASSIFICATION_PROJECTION = {
+        kepoi_name: 1,
+        kepler_name: 1,
+        koi_disposition: 1,
+        koi_prad: 1,
+        koi_teq: 1,
+        koi_sma: 1,
+        [ExoplanetClassificationService.STORED_FIELD]: 1
+    };
+
+    static currentJob = null;
+
+    /**
+     * Create the indexes on the persisted classification and classify the confirmed KOIs saved without one
+     * (the classification and planetType filters only match the persisted field)
+     * @returns {Promise<Object>} { backfilled }
+     */
+    static async ensureIndexes() {
+        const collection = getDatabase().collection('koi_objects');
+        const field = ExoplanetClassificationService.STORED_FIELD;
+
+        await Promise.all([
+            collection.createIndex({ [`${field}.classification`]: 1 }),
+            collection.createIndex({ [`${field}.planetType`]: 1 }),
+            collection.createIndex({ [`${field}.ruleSetVersion`]: 1 })
+        ]);
+
+        const backfilled = await this.backfillMissing();
+        if (backfilled > 0) {
+            console.log(`🏷️ Classifications added to ${backfilled} KOIs`);
+        }
+        console.log('✅ Classification indexes ready');
+
+        return { backfilled };
+    }
+
+    /**
+     * Persist the classification of the confirmed KOIs that have none (documents saved before
+     * classifications were persisted); the other documents keep their stored rule set version
+     * @returns {Promise<number>} Number of classified documents
+     */
+    static async backfillMissing() {
+        const collection = getDatabase().collection('koi_objects');
+        const field = ExoplanetClassificationService.STORED_FIELD;
+
+        const cursor = collection
+            .find({ koi_disposition: 'CONFIRMED', [field]: { $exists: false } }, { projection: this.CLASSIFICATION_PROJECTION })
+            .batchSize(this.BATCH_SIZE);
+
+        let backfilled = 0;
+        let operations = [];
+        for await (const document of cursor) {
+            const classification = ExoplanetClassificationService.buildStoredClassification(document);
+            if (!classification) continue;
+
+            operations.push({
+                updateOne: {
+                    // A reclassification job running meanwhile wins
+                    filter: { _id: document._id, [field]: { $exists: false } },
+                    update: { $set: { [field]: classification } }
+                }
+            });
+
+            if (operations.length >= this.BATCH_SIZE) {
+                backfilled += await this.writeBatch(collection, operations);
+                operations = [];
+            }
+        }
+
+        if (operations.length > 0) {
+            backfilled += await this.writeBatch(collection, operations);
+        }
+
+        return backfilled;
+    }
+
+    /**
+     * Start a reclassification job in the background
+     * @param {Object} options - Job options
+     * @param {boolean} options.dryRun - Only compute the diff (default: false)
+     * @returns {Object} Job snapshot
+     */
+    static startJob({ dryRun = false } = {}) {
+        if (this.currentJob && this.currentJob.status === 'running') {
+            throw new Error(`A reclassification is already in progress (job ${this.currentJob.id})`);
+        }
+
+        const job = {
+            id: new ObjectId().toString(),
+            status: 'running',
+            dryRun,
+            ruleSetVersion: ExoplanetClassificationService.getRuleSetVersion(),
+            startedAt: new Date(),
+            finishedAt: null,
+            duration: null,
+            progress: { processed: 0, total: null, percent: 0 },
+            written: 0,
+            diff: this.createDiff(),
+            error: null
+        };
+
+        this.currentJob = job;
+        console.log(`🔄 Reclassification job ${job.id} started (rules v${job.ruleSetVersion}${dryRun ? ', dry run' : ''})`);
+
+        // Not awaited: progress is reported through getStatus
+        this.runJob(job);
+
+        return this.getJobSnapshot(job);
+    }
+
+    /**
+     * Run a reclassification job
+     * @param {Object} job - Job state (updated in place)
+     * @returns {Promise<void>}
+     */
+    static async runJob(job) {
+        const startTime = Date.now();
+
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            job.progress.total = await collection.countDocuments();
+
+            const cursor = collection
+                .find({}, { projection: this.CLASSIFICATION_PROJECTION })
+                .batchSize(this.BATCH_SIZE);
+
+            let operations = [];
+            for await (const document of cursor) {
+                const operation = this.reclassifyDocument(document, job);
+                if (operation && !job.dryRun) {
+                    operations.push(operation);
+                }
+
+                if (operations.length >= this.BATCH_SIZE) {
+                    job.written += await this.writeBatch(collection, operations);
+                    operations = [];
+                }
+
+                job.progress.processed++;
+                job.progress.percent = job.progress.total > 0
+                    ? Math.min(100, Math.round((job.progress.processed / job.progress.total) * 1000) / 10)
+                    : 100;
+            }
+
+            if (operations.length > 0) {
+                job.written += await this.writeBatch(collection, operations);
+            }
+
+            job.status = 'completed';
+            job.progress.percent = 100;
+            console.log(`✅ Reclassification job ${job.id} completed: ${job.diff.changed} changed, ${job.diff.added} added, ${job.diff.removed} removed, ${job.written} written`);
+
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            console.error(`❌ Reclassification job ${job.id} failed:`, error);
+
+        } finally {
+            job.finishedAt = new Date();
+            job.duration = Date.now() - startTime;
+            await this.saveJob(job);
+        }
+    }
+
+    /**
+     * Reclassify one document and record it in the job diff
+     * @param {Object} document - KOI document
+     * @param {Object} job - Job state
+     * @returns {Object|null} bulkWrite operation, or null if the document is unchanged
+     */
+    static reclassifyDocument(document, job) {
+        const field = ExoplanetClassificationService.STORED_FIELD;
+        const previous = document[field] || null;
+        const next = ExoplanetClassificationService.buildStoredClassification(document);
+
+        const change = this.compareClassifications(previous, next);
+        job.diff[change]++;
+
+        if (change === 'unchanged') {
+            return null;
+        }
+
+        if (change !== 'restamped') {
+            const from = previous?.classification ?? null;
+            const to = next?.classification ?? null;
+            const transitionKey = `${from}→${to}`;
+            job.diff.transitions[transitionKey] = (job.diff.transitions[transitionKey] || 0) + 1;
+
+            if (job.diff.samples.length < this.MAX_DIFF_SAMPLES) {
+                job.diff.samples.push({
+                    _id: document._id,
+                    kepoi_name: document.kepoi_name,
+                    kepler_name: document.kepler_name || null,
+                    change,
+                    from: previous && {
+                        classification: previous.classification,
+                        texture: previous.texture,
+                        confidence: previous.confidence,
+                        ruleSetVersion: previous.ruleSetVersion
+                    },
+                    to: next && {
+                        classification: next.classification,
+                        texture: next.texture,
+                        confidence: next.confidence,
+                        ruleSetVersion: next.ruleSetVersion
+                    }
+                });
+            }
+        }
+
+        return {
+            updateOne: {
+                filter: { _id: document._id },
+                update: next ? { $set: { [field]: next } } : { $unset: { [field]: '' } }
+            }
+        };
+    }
+
+    /**
+     * Compare a stored classification with a recomputed one
+     * @param {Object|null} previous - Stored classification
+     * @param {Object|null} next - Recomputed classification
+     * @returns {string} 'added', 'removed', 'changed', 'restamped' (same class, new version or confidence) or 'unchanged'
+     */
+    static compareClassifications(previous, next) {
+        if (!previous && !next) return 'unchanged';
+        if (!previous) return 'added';
+        if (!next) return 'removed';
+
+        if (previous.classification !== next.classification
+            || previous.planetType !== next.planetType
+            || previous.texture !== next.texture) {
+            return 'changed';
+        }
+
+        if (previous.description !== next.description
+            || previous.confidence !== next.confidence
+            || previous.ruleSetVersion !== next.ruleSetVersion) {
+            return 'restamped';
+        }
+
+        return 'unchanged';
+    }
+
+    /**
+     * Write a batch of updates
+     * @param {Object} collection - koi_objects collection
+     * @param {Array} operations - bulkWrite operations
+     * @returns {Promise<number>} Number of modified documents
+     */
+    static async writeBatch(collection, operations) {
+        const result = await collection.bulkWrite(operations, { ordered: false });
+        return result.modifiedCount;
+    }
+
+    /**
+     * Create an empty diff
+     * @returns {Object} Diff counters
+     */
+    static createDiff() {
+        return {
+            added: 0,
+            removed: 0,
+            changed: 0,
+            restamped: 0,
+            unchanged: 0,
+            transitions: {},
+            samples: []
+        };
+    }
+
+    /**
+     * Get the status of the current (or last) job and the number of stale documents
+     * @returns {Promise<Object>} { job, activeRuleSetVersion, staleDocuments }
+     */
+    static async getStatus() {
+        try {
+            const activeRuleSetVersion = ExoplanetClassificationService.getRuleSetVersion();
+            const field = ExoplanetClassificationService.STORED_FIELD;
+
+            // Confirmed planets not classified with the active rules
+            const staleDocuments = await getDatabase().collection('koi_objects').countDocuments({
+                koi_disposition: 'CONFIRMED',
+                [`${field}.ruleSetVersion`]: { $ne: activeRuleSetVersion }
+            });
+
+            return {
+                job: this.currentJob ? this.getJobSnapshot(this.currentJob) : null,
+                activeRuleSetVersion,
+                staleDocuments
+            };
+
+        } catch (error) {
+            console.error('❌ Error retrieving reclassification status:', error);
+            throw new Error(`Could not retrieve reclassification status: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy the job state for a response
+     * @param {Object} job - Job state
+     * @returns {Object} Job snapshot
+     */
+    static getJobSnapshot(job) {
+        return {
+            ...job,
+            progress: { ...job.progress },
+            diff: {
+                ...job.diff,
+                transitions: Object.entries(job.diff.transitions)
+                    .map(([transition, count]) => {
+                        const [from, to] = transition.split('→');
+                        return { from: from === 'null' ? null : from, to: to === 'null' ? null : to, count };
+                    })
+                    .sort((a, b) => b.count - a.count),
+                samples: [...job.diff.samples]
+            }
+        };
+    }
+
+    /**
+     * Save a finished job in the history
+     * @param {Object} job - Job state
+     * @returns {Promise<void>}
+     */
+    static async saveJob(job) {
+        try {
+            await getDatabase().collection(this.JOBS_COLLECTION).insertOne(this.getJobSnapshot(job));
+        } catch (error) {
+            console.error(`❌ Error saving reclassification job ${job.id}:`, error);
+        }
+    }
+
+    /**
+     * Get the history of reclassification jobs
+     * @param {number} limit - Number of jobs
+     * @returns {Promise<Array>} Jobs, most recent first (without the diff samples)
+     */
+    static async getJobHistory(limit = 10) {
+        try {
+            return await getDatabase()
+                .collection(this.JOBS_COLLECTION)
+                .find({}, { projection: { _id: 0, 'diff.samples': 0 } })
+                .sort({ startedAt: -1 })
+                .limit(limit)
+                .toArray();
+
+        } catch (error) {
+            console.error('❌ Error retrieving reclassification jobs:', error);
+            throw new Error(`Could not retrieve reclassification jobs: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,282 @@
+import { getDatabase } from '../config/database.js';
+import { StarService } from './starService.js';
+import { EphemerisService } from './ephemerisService.js';
+import { ExoplanetClassificationService } from './planetClassification.js';
+import { CompositionService } from './compositionService.js';
+import { HabitabilityService } from './habitabilityService.js';
+import { ExoplanetQueryBuilder } from './exoplanetQueryBuilder.js';
+import { CatalogService } from './catalogService.js';
+import { toNumber, toPositiveNumber, round } from '../utils/numbers.js';
+
+/**
+ * System scene service
+ * Builds ready-to-render orbits for the 3D visualizer
+ *
+ * Scene frame: the star is at the origin and the observer looks from +z,
+ * so a planet crosses the +z axis at mid-transit (orbital phase 0).
+ */
+export class SystemSceneService {
+
+    static EARTH_RADII_PER_SOLAR_RADIUS = 109.076;
+
+    static DEFAULT_DISTANCE_SCALE = 100; // scene units per AU
+    static DEFAULT_RADIUS_SCALE = 1;     // scene units per R⊕
+
+    /**
+     * Build the scene of a system
+     * Non-Kepler hosts are resolved in the TOI and Planetary Systems catalogs
+     * @param {string} keplerName - System name (ex: "Kepler-257", "TOI-700")
+     * @param {Object} options - Scene options
+     * @param {number} options.epoch - Epoch of the orbital phases (BJD, default: now)
+     * @param {number} options.distanceScale - Scene units per AU
+     * @param {number} options.radiusScale - Scene units per R⊕
+     * @returns {Promise<Object|null>} Scene, or null if the system has no confirmed planets
+     */
+    static async getSystemScene(keplerName, {
+        epoch = EphemerisService.dateToJD(new Date()),
+        distanceScale = this.DEFAULT_DISTANCE_SCALE,
+        radiusScale = this.DEFAULT_RADIUS_SCALE
+    } = {}) {
+        try {
+            const db = getDatabase();
+            const collection = db.collection('koi_objects');
+
+            let systemName = keplerName;
+            let catalog = 'koi';
+            let star = null;
+            let planets = await collection
+                .find({
+                    kepler_name: { $regex: `^${ExoplanetQueryBuilder.escapeRegex(keplerName)}[\\s]`, $options: 'i' },
+                    koi_disposition: 'CONFIRMED'
+                }, {
+                    projection: {
+                        ...EphemerisService.EPHEMERIS_PROJECTION,
+                        koi_prad: 1,
+                        koi_teq: 1,
+                        koi_sma: 1,
+                        koi_smass: 1,
+                        koi_eccen: 1,
+                        koi_impact: 1,
+                        koi_dor: 1,
+                        koi_incl: 1,
+                        koi_longp: 1,
+                        _id: 0
+                    }
+                })
+                .sort({ kepler_name: 1 })
+                .toArray();
+
+            if (planets.length > 0) {
+                star = await StarService.getHostStar(keplerName);
+            } else {
+                const catalogSystem = await CatalogService.findSystemDocuments(keplerName);
+                if (!catalogSystem) {
+                    return null;
+                }
+                ({ systemName, catalog, documents: planets } = catalogSystem);
+                star = StarService.buildCatalogHostStar(catalogSystem);
+            }
+
+            const starMass = star?.mass ?? null;
+            const starRadius = star?.radius ?? null;
+
+            const scenePlanets = planets.map(planet => this.buildPlanetOrbit(planet, {
+                epoch,
+                starMass,
+                distanceScale,
+                radiusScale
+            }));
+
+            return {
+                systemName,
+                catalog,
+                epoch: EphemerisService.formatEpoch(epoch),
+                units: {
+                    distance: `${distanceScale} scene units per AU`,
+                    radius: `${radiusScale} scene units per R⊕`,
+                    angles: 'degrees'
+                },
+                star: {
+                    name: star?.name ?? systemName.replace('-', ' '),
+                    temperature: star?.temperature ?? null, // K
+                    mass: starMass,                         // M☉
+                    radius: starRadius,                     // R☉
+                    spectralType: star?.spectralType ?? null,
+                    scaledRadius: starRadius !== null
+                        ? round(starRadius * this.EARTH_RADII_PER_SOLAR_RADIUS * radiusScale, 4)
+                        : null
+                },
+                planets: scenePlanets
+            };
+
+        } catch (error) {
+            console.error(`❌ Error building scene for ${keplerName}:`, error);
+            throw new Error(`Could not build scene for ${keplerName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute the orbit and position of a planet
+     * @param {Object} planet - KOI document
+     * @param {Object} context - { epoch, starMass, distanceScale, radiusScale }
+     * @returns {Object} Planet orbit
+     */
+    static buildPlanetOrbit(planet, { epoch, starMass, distanceScale, radiusScale }) {
+        const semiMajorAxis = this.getSemiMajorAxis(planet, starMass);
+        const eccentricity = this.getEccentricity(planet);
+        const argumentOfPeriapsis = toNumber(planet.koi_longp);
+        const inclination = this.getInclination(planet);
+        const radius = toPositiveNumber(planet.koi_prad);
+        const phase = this.getOrbitalPhase(planet, epoch);
+        const classification = ExoplanetClassificationService.classifyExoplanet(planet);
+
+        const orbit = {
+            name: planet.kepler_name || planet.designation || null,
+            kepoi_name: planet.kepoi_name,
+            texture: classification.texture,
+            planetType: classification.type,
+            ruleSetVersion: classification.ruleSetVersion,
+            compositionClass: CompositionService.assessComposition(planet).compositionClass,
+
+            period: toPositiveNumber(planet.koi_period), // days
+            semiMajorAxis,
+            eccentricity,
+            inclination,
+            argumentOfPeriapsis, // deg
+            radius, // R⊕
+            scaledRadius: radius !== null ? round(radius * radiusScale, 4) : null,
+            scaledSemiMajorAxis: semiMajorAxis.value !== null ? round(semiMajorAxis.value * distanceScale, 4) : null,
+            phase
+        };
+
+        if (semiMajorAxis.value !== null && phase.value !== null) {
+            orbit.position = this.getPosition(
+                semiMajorAxis.value * distanceScale,
+                eccentricity.value,
+                inclination.value,
+                phase.value,
+                argumentOfPeriapsis
+            );
+        } else {
+            orbit.position = null;
+        }
+
+        return orbit;
+    }
+
+    /**
+     * Semi-major axis from koi_sma, or from Kepler's third law a³ = M* P² (AU, M☉, years)
+     * @param {Object} planet - KOI document
+     * @param {number|null} starMass - Host star mass (M☉)
+     * @returns {Object} { value, source }
+     */
+    static getSemiMajorAxis(planet, starMass) {
+        const value = HabitabilityService.getSemiMajorAxis(planet, starMass);
+        if (value === null) {
+            return { value: null, source: null };
+        }
+
+        return toPositiveNumber(planet.koi_sma) !== null
+            ? { value, source: 'koi_sma' }
+            : { value: round(value, 6), source: 'kepler_third_law' };
+    }
+
+    /**
+     * Eccentricity from koi_eccen (KOI fits assume circular orbits when it is missing)
+     * An eccentric orbit cannot be placed without its argument of periapsis (koi_longp): it is drawn circular
+     * @param {Object} planet - KOI document
+     * @returns {Object} { value, source }
+     */
+    static getEccentricity(planet) {
+        const eccen = toNumber(planet.koi_eccen);
+        if (eccen === 0 || (eccen !== null && eccen > 0 && eccen < 1 && toNumber(planet.koi_longp) !== null)) {
+            return { value: eccen, source: 'koi_eccen' };
+        }
+        return { value: 0, source: 'assumed_circular' };
+    }
+
+    /**
+     * Inclination from the impact parameter and a/R*: cos i = b / (a/R*)
+     * Falls back to koi_incl, then to an edge-on orbit
+     * @param {Object} planet - KOI document
+     * @returns {Object} { value, source } in degrees
+     */
+    static getInclination(planet) {
+        const impact = toNumber(planet.koi_impact);
+        const dor = toPositiveNumber(planet.koi_dor);
+        if (impact !== null && impact >= 0 && dor !== null && impact <= dor) {
+            const value = Math.acos(impact / dor) * 180 / Math.PI;
+            return { value: round(value, 4), source: 'koi_impact_koi_dor' };
+        }
+
+        const incl = toNumber(planet.koi_incl);
+        if (incl !== null && incl >= 0 && incl <= 180) {
+            return { value: incl, source: 'koi_incl' };
+        }
+
+        return { value: 90, source: 'assumed_edge_on' };
+    }
+
+    /**
+     * Orbital phase at an epoch, 0 at mid-transit
+     * @param {Object} planet - KOI document
+     * @param {number} epoch - Epoch (BJD)
+     * @returns {Object} { value, source }
+     */
+    static getOrbitalPhase(planet, epoch) {
+        const ephemeris = EphemerisService.getEphemeris(planet);
+        if (!ephemeris) {
+            return { value: null, source: null };
+        }
+
+        const cycles = (epoch - ephemeris.epoch.value) / ephemeris.period.value;
+        const value = cycles - Math.floor(cycles);
+        return { value: round(value, 6), source: 'koi_time0bk' };
+    }
+
+    /**
+     * Position in the scene frame
+     * The transit happens at the true anomaly 90° - ω: the phase is added to the mean anomaly of the transit,
+     * then eccentric orbits solve Kepler's equation
+     * @param {number} a - Scaled semi-major axis
+     * @param {number} e - Eccentricity
+     * @param {number} inclination - Inclination (degrees)
+     * @param {number} phase - Orbital phase (0 at transit)
+     * @param {number|null} argumentOfPeriapsis - ω (degrees, required when e > 0)
+     * @returns {Object} { x, y, z } in scene units
+     */
+    static getPosition(a, e, inclination, phase, argumentOfPeriapsis = null) {
+        const omega = (argumentOfPeriapsis ?? 90) * Math.PI / 180;
+        const transitTrueAnomaly = Math.PI / 2 - omega;
+        const transitEccentricAnomaly = 2 * Math.atan2(
+            Math.sqrt(1 - e) * Math.sin(transitTrueAnomaly / 2),
+            Math.sqrt(1 + e) * Math.cos(transitTrueAnomaly / 2)
+        );
+        const meanAnomaly = transitEccentricAnomaly - e * Math.sin(transitEccentricAnomaly) + 2 * Math.PI * phase;
+
+        // Newton iterations on E - e sin E = M
+        let eccentricAnomaly = meanAnomaly;
+        for (let i = 0; i < 10 && e > 0; i++) {
+            eccentricAnomaly -= (eccentricAnomaly - e * Math.sin(eccentricAnomaly) - meanAnomaly)
+                / (1 - e * Math.cos(eccentricAnomaly));
+        }
+
+        const trueAnomaly = 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(eccentricAnomaly / 2),
+            Math.sqrt(1 - e) * Math.cos(eccentricAnomaly / 2)
+        );
+        const distance = a * (1 - e * Math.cos(eccentricAnomaly));
+
+        // Argument of latitude: 90° at transit, so phase 0 points at the observer (+z once inclined)
+        const angle = trueAnomaly + omega;
+        const inclinationRad = inclination * Math.PI / 180;
+        const x = distance * Math.cos(angle);
+        const y = distance * Math.sin(angle);
+
+        return {
+            x: round(x, 4),
+            y: round(y * Math.cos(inclinationRad), 4),
+            z: round(y * Math.sin(inclinationRad), 4)
+        };
+    }
+}
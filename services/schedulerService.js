@@ -1,5 +1,11 @@
 import cron from 'node-cron';
 import { NasaSyncService } from './nasaSyncService.js';
+import { SimilarityService } from './similarityService.js';
+import { SearchService } from './searchService.js';
+import { CatalogService } from './catalogService.js';
+import { SyncJobService } from './syncJobService.js';
+import { SyncLockService } from './syncLockService.js';
+import { TapClient } from './tapClient.js';
 
 export class SchedulerService {
     
@@ -7,6 +13,7 @@ export class SchedulerService {
     static isRunning = false;
     static lastRun = null;
     static nextRun = null;
+    static currentJobId = null;
     
     /**
      * Starts the weekly synchronization task
@@ -40,30 +47,172 @@ export class SchedulerService {
         }
         
         console.log('🚀 Executing immediate synchronization...');
-        return await this.executeSyncTask();
+        return await this.executeSyncTask({ trigger: 'manual' });
     }
     
     /**
-     * Executes the synchronization task
+     * Resumes a paused or failed synchronization job from its checkpoint (in the background)
+     * The instance is marked as running before the lock is taken, so a scheduler tick cannot start
+     * (and then release the lock of) another run while the job is being resumed
+     * @param {string} jobId - Job id
+     * @returns {Promise<Object>} Queued job
      */
-    static async executeSyncTask() {
+    static async resumeSync(jobId) {
+        if (this.isRunning) {
+            throw new Error('A synchronization is already in progress');
+        }
+        
+        this.isRunning = true;
+        this.lastRun = new Date();
+        
+        let lock = null;
+        let job;
+        try {
+            lock = await SyncLockService.acquire();
+            if (!lock.acquired) {
+                throw new Error(`A synchronization is already in progress on instance ${lock.holder}`);
+            }
+            
+            // Jobs left running by a stopped holder of the lock
+            await SyncJobService.recoverInterruptedJobs();
+            job = await SyncJobService.resumeJob(jobId);
+        } catch (error) {
+            if (lock?.acquired) {
+                await SyncLockService.release();
+            }
+            this.isRunning = false;
+            throw error;
+        }
+        
+        this.runLockedJob(job).catch(error => {
+            console.error(`❌ Resumed synchronization job ${job.id} failed:`, error.message);
+        });
+        
+        return job;
+    }
+    
+    /**
+     * Marks the jobs of a stopped instance as interrupted (resumable), unless an instance is synchronizing
+     * @returns {Promise<number>} Number of interrupted jobs
+     */
+    static async recoverInterruptedJobs() {
+        if (this.isRunning) {
+            return 0;
+        }
+        
+        const lock = await SyncLockService.acquire();
+        if (!lock.acquired) {
+            console.log(`ℹ️ Instance ${lock.holder} is synchronizing, its job is not interrupted`);
+            return 0;
+        }
+        
+        try {
+            return await SyncJobService.recoverInterruptedJobs();
+        } finally {
+            await SyncLockService.release();
+        }
+    }
+    
+    /**
+     * Executes the synchronization task as a persistent job
+     * Only the instance holding the synchronization lock runs it; the scheduler skips the run otherwise
+     * A scheduled run resumes the job paused while the NASA archive was down instead of starting a new one,
+     * and is skipped while the TAP circuit is still open
+     * @param {Object} options - { trigger: 'scheduler' | 'manual' }
+     * @returns {Promise<Object>} Synchronization statistics (with jobId and jobStatus)
+     */
+    static async executeSyncTask({ trigger = 'scheduler' } = {}) {
         if (this.isRunning) {
             console.log('⚠️ Synchronization already in progress, skipping');
             return;
         }
         
+        if (trigger === 'scheduler' && !TapClient.isCircuitAvailable()) {
+            console.log('⚠️ NASA archive unavailable (TAP circuit open), skipping');
+            return;
+        }
+        
         this.isRunning = true;
         this.lastRun = new Date();
         
+        let lock;
+        let job;
+        try {
+            lock = await SyncLockService.acquire();
+            if (lock.acquired) {
+                // Jobs left running by a stopped holder of the lock
+                await SyncJobService.recoverInterruptedJobs();
+                
+                const pausedJob = trigger === 'scheduler' ? await SyncJobService.findArchivePausedJob() : null;
+                if (pausedJob) {
+                    console.log(`🔁 Resuming sync job ${pausedJob.id}, paused while the NASA archive was down`);
+                    job = await SyncJobService.resumeJob(pausedJob.id);
+                } else {
+                    job = await SyncJobService.createJob({ trigger });
+                }
+            }
+        } catch (error) {
+            await SyncLockService.release();
+            this.isRunning = false;
+            throw error;
+        }
+        
+        if (!lock.acquired) {
+            this.isRunning = false;
+            const message = `A synchronization is already in progress on instance ${lock.holder}`;
+            if (trigger === 'scheduler') {
+                console.log(`⚠️ ${message}, skipping`);
+                return;
+            }
+            throw new Error(message);
+        }
+        
+        return this.runLockedJob(job);
+    }
+    
+    /**
+     * Runs a queued job while this instance holds the synchronization lock and is marked as running
+     * Releases the lock and clears the running state once the job stops
+     * @param {Object} job - Queued job snapshot
+     * @returns {Promise<Object>} Synchronization statistics (with jobId and jobStatus)
+     */
+    static async runLockedJob(job) {
+        this.currentJobId = job.id;
+        
         try {
-            console.log('🌌 === STARTING WEEKLY SYNCHRONIZATION ===');
+            console.log(`🌌 === STARTING WEEKLY SYNCHRONIZATION (job ${job.id}) ===`);
             
-            // Execute synchronization
-            const stats = await NasaSyncService.synchronizeKOIData();
+            // Execute synchronization (checkpointed in the job after each batch)
+            const { job: finishedJob, stats } = await SyncJobService.runJob(job.id, {
+                assertLock: () => SyncLockService.assertHeld()
+            });
+            stats.jobId = finishedJob.id;
+            stats.jobStatus = finishedJob.status;
+            
+            // Paused or cancelled: the job keeps its checkpoint, the follow-up steps run on completion
+            if (finishedJob.status !== 'completed') {
+                console.log(`⏸️ === SYNCHRONIZATION ${finishedJob.cancelled ? 'CANCELLED' : 'PAUSED'} (job ${finishedJob.id}) ===`);
+                return stats;
+            }
             
             // Save the statistics
             await NasaSyncService.saveSyncStats(stats);
             
+            // Sync the TOI and Planetary Systems catalogs and cross-match them with the updated KOIs
+            try {
+                stats.catalogs = await CatalogService.syncAllCatalogs();
+            } catch (error) {
+                console.error('⚠️ Warning: catalog synchronization failed:', error.message);
+            }
+            
+            // Rebuild the similarity and search indexes with the synchronized KOIs (in the background)
+            SimilarityService.buildIndex().catch(error => {
+                console.error('⚠️ Warning: similarity index rebuild failed:', error.message);
+            });
+            SearchService.buildIndex().catch(error => {
+                console.error('⚠️ Warning: search index rebuild failed:', error.message);
+            });
+            
             console.log('✅ === SYNCHRONIZATION COMPLETED SUCCESSFULLY ===');
             
             // Update next execution time
@@ -77,6 +226,7 @@ export class SchedulerService {
             
             // Save the error in the logs
             const errorStats = {
+                jobId: job.id,
                 startTime: this.lastRun,
                 error: error.message,
                 success: false,
@@ -90,7 +240,9 @@ export class SchedulerService {
             throw error;
             
         } finally {
+            await SyncLockService.release();
             this.isRunning = false;
+            this.currentJobId = null;
         }
     }
     
@@ -153,6 +305,8 @@ export class SchedulerService {
         return {
             isSchedulerActive: !!this.syncTask,
             isSyncRunning: this.isRunning,
+            currentJobId: this.currentJobId,
+            instanceId: SyncLockService.INSTANCE_ID,
             lastRun: this.lastRun,
             nextRun: this.nextRun,
             timezone: 'Europe/Paris',
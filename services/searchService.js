@@ -0,0 +1,512 @@
+import { getDatabase } from '../config/database.js';
+import { ExoplanetService } from './exoplanetService.js';
+import { round } from '../utils/numbers.js';
+
+/**
+ * Search service
+ * Ranked search over systems, planets and candidates, with typo tolerance and prefix autocomplete
+ *
+ * Names (kepler_name, kepoi_name, kepid and the system names) are matched token by token
+ * against an in-memory lexicon: exact tokens, a prefix on the last token (autocomplete),
+ * and up to 1 or 2 edits on words (typos, ex: "keplr 22"). Numbers never match fuzzily.
+ * koi_comment is searched through the MongoDB text index; the text index skips
+ * non-string values, so the numeric kepid is matched from the lexicon only.
+ * The lexicon is built on the first request and rebuilt after each sync.
+ */
+export class SearchService {
+
+    static TEXT_INDEX_NAME = 'koi_text_search';
+    static TEXT_INDEX_WEIGHTS = { kepler_name: 10, kepoi_name: 10, koi_comment: 2 };
+
+    static RESULT_TYPES = ['system', 'planet', 'candidate'];
+
+    // Name fields of the KOIs and their weight in the ranking
+    static NAME_FIELDS = { kepler_name: 1, kepoi_name: 1, kepid: 0.95 };
+
+    static DEFAULT_LIMIT = 20;
+    static MAX_LIMIT = 100;
+    static DEFAULT_SUGGEST_LIMIT = 8;
+    static MAX_SUGGEST_LIMIT = 20;
+    static MAX_QUERY_LENGTH = 100;
+    static MAX_TOKENS = 6;
+    static MAX_COMMENT_MATCHES = 100;
+    static COMMENT_WEIGHT = 0.6; // A comment match ranks below any name match
+
+    static index = null;
+    static building = null;
+    static textIndexAvailable = true;
+
+    /**
+     * Create the text index of koi_objects
+     * Language 'none' keeps identifiers and flags unstemmed
+     * @returns {Promise<void>}
+     */
+    static async ensureIndexes() {
+        const collection = getDatabase().collection('koi_objects');
+        const fields = Object.fromEntries(Object.keys(this.TEXT_INDEX_WEIGHTS).map(field => [field, 'text']));
+
+        await collection.createIndex(fields, {
+            name: this.TEXT_INDEX_NAME,
+            weights: this.TEXT_INDEX_WEIGHTS,
+            default_language: 'none'
+        });
+
+        this.textIndexAvailable = true;
+        console.log('✅ Search text index ready');
+    }
+
+    /**
+     * Build (or rebuild) the in-memory lexicon from koi_objects
+     * Concurrent calls share the same build
+     * @returns {Promise<Object>} Index summary
+     */
+    static async buildIndex() {
+        if (this.building) {
+            return this.building;
+        }
+
+        this.building = this.loadIndex().finally(() => {
+            this.building = null;
+        });
+
+        return this.building;
+    }
+
+    /**
+     * Load the KOI names and tokenize them
+     * @returns {Promise<Object>} Index summary
+     */
+    static async loadIndex() {
+        const startTime = Date.now();
+
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            const documents = await collection
+                .find({}, { projection: { kepoi_name: 1, kepler_name: 1, kepid: 1, koi_disposition: 1 } })
+                .toArray();
+
+            const systems = new Map();
+            const entries = documents.map(document => {
+                const fields = Object.keys(this.NAME_FIELDS)
+                    .filter(field => document[field] !== null && document[field] !== undefined && document[field] !== '')
+                    .map(field => {
+                        const value = String(document[field]);
+                        return { field, value, tokens: this.tokenize(value) };
+                    });
+
+                // Same grouping as the system endpoints: confirmed planets sharing a Kepler name
+                if (document.koi_disposition === 'CONFIRMED' && document.kepler_name) {
+                    const systemName = ExoplanetService.extractSystemName(document.kepler_name);
+                    if (!systems.has(systemName)) {
+                        systems.set(systemName, { systemName, tokens: this.tokenize(systemName), planetCount: 0 });
+                    }
+                    systems.get(systemName).planetCount++;
+                }
+
+                return {
+                    _id: document._id,
+                    kepoi_name: document.kepoi_name,
+                    kepler_name: document.kepler_name || null,
+                    kepid: document.kepid ?? null,
+                    koi_disposition: document.koi_disposition,
+                    fields
+                };
+            });
+
+            this.index = {
+                entries,
+                entriesById: new Map(entries.map(entry => [String(entry._id), entry])),
+                systems: [...systems.values()],
+                builtAt: new Date(),
+                buildDuration: Date.now() - startTime
+            };
+
+            console.log(`✅ Search index built: ${entries.length} KOIs, ${systems.size} systems in ${this.index.buildDuration}ms`);
+            return this.getIndexStatus();
+
+        } catch (error) {
+            console.error('❌ Error building search index:', error);
+            throw new Error(`Could not build search index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the index summary
+     * @returns {Object} { built, kois, systems, builtAt, buildDuration, textIndex }
+     */
+    static getIndexStatus() {
+        return {
+            built: Boolean(this.index),
+            kois: this.index ? this.index.entries.length : 0,
+            systems: this.index ? this.index.systems.length : 0,
+            builtAt: this.index ? this.index.builtAt : null,
+            buildDuration: this.index ? this.index.buildDuration : null,
+            textIndex: this.textIndexAvailable
+        };
+    }
+
+    /**
+     * Parse the types parameter
+     * @param {string|undefined} value - Comma-separated result types
+     * @returns {Object} { valid: true, types } or { valid: false, error }
+     */
+    static parseTypes(value) {
+        if (value === undefined || value === '') {
+            return { valid: true, types: this.RESULT_TYPES };
+        }
+
+        const types = [...new Set(String(value).split(',').map(item => item.trim()).filter(item => item !== ''))];
+        const unknown = types.filter(type => !this.RESULT_TYPES.includes(type));
+        if (unknown.length > 0 || types.length === 0) {
+            return { valid: false, error: `Unknown type '${unknown.join(', ')}'. Expected: ${this.RESULT_TYPES.join(', ')}` };
+        }
+
+        return { valid: true, types };
+    }
+
+    /**
+     * Search systems, planets and candidates
+     * @param {string} query - User query
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Max number of results (default: 20)
+     * @param {Array<string>} options.types - Result types (default: all)
+     * @param {boolean} options.includeFalsePositives - Include FALSE POSITIVE KOIs (default: false)
+     * @param {boolean} options.comments - Also search koi_comment (default: true)
+     * @returns {Promise<Object>} { query, tokens, results, total, counts, index }
+     */
+    static async search(query, { limit = this.DEFAULT_LIMIT, types = this.RESULT_TYPES, includeFalsePositives = false, comments = true } = {}) {
+        try {
+            const text = String(query ?? '').trim().slice(0, this.MAX_QUERY_LENGTH);
+            const queryTokens = this.tokenize(text).slice(0, this.MAX_TOKENS);
+
+            if (queryTokens.length === 0) {
+                return { query: text, tokens: [], results: [], total: 0, counts: this.countTypes([]), index: this.getIndexStatus() };
+            }
+
+            if (!this.index) {
+                await this.buildIndex();
+            }
+
+            const results = new Map();
+
+            if (types.includes('system')) {
+                for (const system of this.index.systems) {
+                    const match = this.matchName(queryTokens, system.tokens);
+                    if (!match) continue;
+
+                    results.set(`system:${system.systemName}`, {
+                        type: 'system',
+                        id: system.systemName,
+                        label: system.systemName,
+                        systemName: system.systemName,
+                        planetCount: system.planetCount,
+                        score: match.score,
+                        highlights: [{ field: 'systemName', value: system.systemName, ranges: match.ranges }]
+                    });
+                }
+            }
+
+            for (const entry of this.index.entries) {
+                const type = this.getEntryType(entry, includeFalsePositives);
+                if (!type || !types.includes(type)) continue;
+
+                let score = 0;
+                const highlights = [];
+                for (const { field, value, tokens } of entry.fields) {
+                    const match = this.matchName(queryTokens, tokens);
+                    if (!match) continue;
+
+                    score = Math.max(score, match.score * this.NAME_FIELDS[field]);
+                    highlights.push({ field, value, ranges: match.ranges });
+                }
+
+                if (score > 0) {
+                    results.set(`koi:${entry._id}`, this.formatEntry(entry, type, score, highlights));
+                }
+            }
+
+            if (comments) {
+                await this.searchComments(queryTokens, results, { types, includeFalsePositives });
+            }
+
+            const ranked = [...results.values()].sort((a, b) =>
+                b.score - a.score ||
+                this.RESULT_TYPES.indexOf(a.type) - this.RESULT_TYPES.indexOf(b.type) ||
+                a.label.localeCompare(b.label, 'en', { numeric: true })
+            );
+
+            return {
+                query: text,
+                tokens: queryTokens.map(({ token }) => token),
+                results: ranked.slice(0, limit).map(result => ({ ...result, score: round(result.score, 4) })),
+                total: ranked.length,
+                counts: this.countTypes(ranked),
+                index: this.getIndexStatus()
+            };
+
+        } catch (error) {
+            console.error(`❌ Error searching for "${query}":`, error);
+            throw new Error(`Could not search the catalog: ${error.message}`);
+        }
+    }
+
+    /**
+     * Autocomplete suggestions for a partial query (names only)
+     * @param {string} query - Partial user query
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array<Object>>} Suggestions, best first
+     */
+    static async suggest(query, { limit = this.DEFAULT_SUGGEST_LIMIT } = {}) {
+        const { results } = await this.search(query, { limit, comments: false });
+
+        return results.map(({ type, id, label, score, highlights }) => ({
+            type,
+            id,
+            label,
+            score,
+            highlight: highlights.find(highlight => highlight.value === label) || highlights[0]
+        }));
+    }
+
+    /**
+     * Add the koi_comment matches of the text index to the results
+     * The normalized tokens are searched, so quotes and '-' in the query are not text operators
+     * @param {Array<Object>} queryTokens - Query tokens
+     * @param {Map} results - Results by key (updated in place)
+     * @param {Object} options - { types, includeFalsePositives }
+     * @returns {Promise<void>}
+     */
+    static async searchComments(queryTokens, results, { types, includeFalsePositives }) {
+        if (!this.textIndexAvailable) return;
+
+        let documents;
+        try {
+            documents = await getDatabase().collection('koi_objects')
+                .find(
+                    { $text: { $search: queryTokens.map(({ token }) => token).join(' ') }, koi_comment: { $type: 'string' } },
+                    { projection: { koi_comment: 1, score: { $meta: 'textScore' } } }
+                )
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(this.MAX_COMMENT_MATCHES)
+                .toArray();
+        } catch (error) {
+            // IndexNotFound: the text index has not been created yet
+            if (error.code === 27) {
+                console.error('⚠️ Warning: search text index missing, comments are not searched');
+                this.textIndexAvailable = false;
+                return;
+            }
+            throw error;
+        }
+
+        const commentTokens = new Set(queryTokens.map(({ token }) => token));
+        const bestScore = documents.length > 0 ? documents[0].score : 1;
+
+        for (const document of documents) {
+            const ranges = this.tokenize(document.koi_comment)
+                .filter(({ token }) => commentTokens.has(token))
+                .map(({ start, end }) => ({ start, end }));
+            if (ranges.length === 0) continue; // Matched on the names only
+
+            const entry = this.index.entriesById.get(String(document._id));
+            const type = entry ? this.getEntryType(entry, includeFalsePositives) : null;
+            if (!type || !types.includes(type)) continue;
+
+            const score = this.COMMENT_WEIGHT * document.score / bestScore;
+            const highlight = { field: 'koi_comment', value: document.koi_comment, ranges };
+            const key = `koi:${entry._id}`;
+
+            if (results.has(key)) {
+                const result = results.get(key);
+                result.score = Math.max(result.score, score);
+                result.highlights.push(highlight);
+            } else {
+                results.set(key, this.formatEntry(entry, type, score, [highlight]));
+            }
+        }
+    }
+
+    /**
+     * Match the query tokens against the tokens of a name
+     * Every query token must match a distinct name token; the last one may be a prefix
+     * @param {Array<Object>} queryTokens - Query tokens
+     * @param {Array<Object>} nameTokens - Name tokens
+     * @returns {Object|null} { score, ranges } or null when the name does not match
+     */
+    static matchName(queryTokens, nameTokens) {
+        if (queryTokens.length > nameTokens.length) return null;
+
+        const used = new Set();
+        const ranges = [];
+        let total = 0;
+
+        for (let i = 0; i < queryTokens.length; i++) {
+            const allowPrefix = i === queryTokens.length - 1;
+            let best = null;
+
+            nameTokens.forEach((nameToken, index) => {
+                if (used.has(index)) return;
+                const match = this.matchToken(queryTokens[i].token, nameToken, allowPrefix);
+                if (match && (!best || match.score > best.score)) {
+                    best = { ...match, index };
+                }
+            });
+
+            if (!best) return null;
+
+            used.add(best.index);
+            total += best.score;
+            ranges.push({ start: best.start, end: best.end });
+        }
+
+        // Names fully covered by the query rank first (ex: "Kepler-22" before "Kepler-22 b")
+        const coverage = used.size / nameTokens.length;
+
+        return {
+            score: (total / queryTokens.length) * (0.9 + 0.1 * coverage),
+            ranges: ranges.sort((a, b) => a.start - b.start)
+        };
+    }
+
+    /**
+     * Match a query token against a name token
+     * @param {string} queryToken - Normalized query token
+     * @param {Object} nameToken - { token, start, end }
+     * @param {boolean} allowPrefix - Accept the query token as a prefix
+     * @returns {Object|null} { score, start, end } or null
+     */
+    static matchToken(queryToken, { token, start, end }, allowPrefix) {
+        if (token === queryToken) {
+            return { score: 1, start, end };
+        }
+
+        const numeric = /^\d/.test(token);
+
+        if (allowPrefix && token.startsWith(queryToken)) {
+            // Numbers lose their leading zeros, so the whole number is highlighted
+            return { score: 0.85, start, end: numeric ? end : start + queryToken.length };
+        }
+
+        if (numeric || /^\d/.test(queryToken) || queryToken.length < 4) {
+            return null;
+        }
+
+        const maxEdits = queryToken.length >= 8 ? 2 : 1;
+        const distance = this.editDistance(queryToken, token, maxEdits);
+        if (distance <= maxEdits) {
+            return { score: 1 - 0.2 * distance, start, end };
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a string into normalized tokens with their position
+     * Words are lowercased (underscores kept, as in the text index), numbers lose their leading zeros
+     * Ex: "K00701.04" -> k, 701, 4 - "Kepler-22 b" -> kepler, 22, b
+     * @param {string} value - String to tokenize
+     * @returns {Array<Object>} Tokens { token, start, end }
+     */
+    static tokenize(value) {
+        const tokens = [];
+        const pattern = /[a-z]+(?:_[a-z]+)*|\d+/gi;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            const raw = match[0];
+            tokens.push({
+                token: /^\d/.test(raw) ? raw.replace(/^0+(?=\d)/, '') : raw.toLowerCase(),
+                start: match.index,
+                end: match.index + raw.length
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Optimal string alignment distance (Levenshtein with adjacent transpositions)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} maxDistance - Stop once the distance exceeds this value
+     * @returns {number} Distance (maxDistance + 1 when exceeded)
+     */
+    static editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+
+            previousRow = row;
+            row = current;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Result type of a KOI
+     * @param {Object} entry - Lexicon entry
+     * @param {boolean} includeFalsePositives - Include FALSE POSITIVE KOIs
+     * @returns {string|null} 'planet', 'candidate' or null when excluded
+     */
+    static getEntryType(entry, includeFalsePositives) {
+        if (entry.koi_disposition === 'CONFIRMED') return 'planet';
+        if (entry.koi_disposition === 'FALSE POSITIVE' && !includeFalsePositives) return null;
+        return 'candidate';
+    }
+
+    /**
+     * Format a KOI result
+     * @param {Object} entry - Lexicon entry
+     * @param {string} type - Result type
+     * @param {number} score - Score
+     * @param {Array<Object>} highlights - Matched fields
+     * @returns {Object} Result
+     */
+    static formatEntry(entry, type, score, highlights) {
+        return {
+            type,
+            id: String(entry._id),
+            label: entry.kepler_name || entry.kepoi_name,
+            kepoi_name: entry.kepoi_name,
+            kepler_name: entry.kepler_name,
+            kepid: entry.kepid,
+            koi_disposition: entry.koi_disposition,
+            systemName: entry.kepler_name ? ExoplanetService.extractSystemName(entry.kepler_name) : null,
+            score,
+            highlights
+        };
+    }
+
+    /**
+     * Count the results of each type
+     * @param {Array<Object>} results - Results
+     * @returns {Object} Count by type
+     */
+    static countTypes(results) {
+        const counts = Object.fromEntries(this.RESULT_TYPES.map(type => [type, 0]));
+        results.forEach(({ type }) => {
+            counts[type]++;
+        });
+        return counts;
+    }
+}
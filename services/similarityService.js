@@ -0,0 +1,323 @@
+import { getDatabase } from '../config/database.js';
+import { round } from '../utils/numbers.js';
+
+/**
+ * Similarity service
+ * Nearest-neighbour search over the KOIs in a normalized feature space
+ *
+ * Features spanning orders of magnitude are log-scaled, then every feature is
+ * standardized (z-score) with the catalog mean and standard deviation.
+ * The index lives in memory; it is built on the first request and rebuilt after each sync.
+ */
+export class SimilarityService {
+
+    static FEATURES = {
+        radius: { column: 'koi_prad', unit: 'R⊕', log: true },
+        temperature: { column: 'koi_teq', unit: 'K', log: true },
+        period: { column: 'koi_period', unit: 'days', log: true },
+        insolation: { column: 'koi_insol', unit: 'S⊕', log: true },
+        starTemperature: { column: 'koi_steff', unit: 'K', log: false }
+    };
+
+    static MIN_SHARED_FEATURES = 2;
+    static DEFAULT_LIMIT = 10;
+    static MAX_LIMIT = 50;
+
+    static index = null;
+    static building = null;
+
+    /**
+     * Build (or rebuild) the in-memory index from koi_objects
+     * Concurrent calls share the same build
+     * @returns {Promise<Object>} Index summary
+     */
+    static async buildIndex() {
+        if (this.building) {
+            return this.building;
+        }
+
+        this.building = this.loadIndex().finally(() => {
+            this.building = null;
+        });
+
+        return this.building;
+    }
+
+    /**
+     * Load the KOIs and compute the normalized vectors
+     * @returns {Promise<Object>} Index summary
+     */
+    static async loadIndex() {
+        const startTime = Date.now();
+
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            const featureNames = Object.keys(this.FEATURES);
+
+            const projection = { kepoi_name: 1, kepler_name: 1, koi_disposition: 1 };
+            Object.values(this.FEATURES).forEach(({ column }) => {
+                projection[column] = 1;
+            });
+
+            const documents = await collection.find({}, { projection }).toArray();
+
+            // Transformed values (NaN when missing)
+            const raw = documents.map(document => featureNames.map(name => this.transform(name, document)));
+
+            // Mean and standard deviation of each transformed feature
+            const scaling = {};
+            featureNames.forEach((name, featureIndex) => {
+                const values = raw.map(vector => vector[featureIndex]).filter(value => !Number.isNaN(value));
+                const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+                const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length || 1);
+                scaling[name] = { mean, std: Math.sqrt(variance) || 1, count: values.length };
+            });
+
+            const vectors = new Float64Array(documents.length * featureNames.length);
+            raw.forEach((vector, row) => {
+                vector.forEach((value, featureIndex) => {
+                    const { mean, std } = scaling[featureNames[featureIndex]];
+                    vectors[row * featureNames.length + featureIndex] = (value - mean) / std;
+                });
+            });
+
+            this.index = {
+                entries: documents.map(document => ({
+                    _id: document._id,
+                    kepoi_name: document.kepoi_name,
+                    kepler_name: document.kepler_name || null,
+                    koi_disposition: document.koi_disposition,
+                    raw: Object.fromEntries(Object.entries(this.FEATURES).map(([name, { column }]) => [name, document[column] ?? null]))
+                })),
+                vectors,
+                featureNames,
+                scaling,
+                builtAt: new Date(),
+                buildDuration: Date.now() - startTime
+            };
+
+            console.log(`✅ Similarity index built: ${documents.length} KOIs in ${this.index.buildDuration}ms`);
+            return this.getIndexStatus();
+
+        } catch (error) {
+            console.error('❌ Error building similarity index:', error);
+            throw new Error(`Could not build similarity index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the index summary
+     * @returns {Object} { built, size, builtAt, buildDuration, scaling }
+     */
+    static getIndexStatus() {
+        if (!this.index) {
+            return { built: false, size: 0, builtAt: null, buildDuration: null, scaling: null };
+        }
+
+        return {
+            built: true,
+            size: this.index.entries.length,
+            builtAt: this.index.builtAt,
+            buildDuration: this.index.buildDuration,
+            scaling: this.index.scaling
+        };
+    }
+
+    /**
+     * Parse the features parameter
+     * @param {string|undefined} value - Comma-separated feature names
+     * @returns {Object} { valid: true, features } or { valid: false, error }
+     */
+    static parseFeatures(value) {
+        const known = Object.keys(this.FEATURES);
+        if (value === undefined || value === '') {
+            return { valid: true, features: known };
+        }
+
+        const features = [...new Set(String(value).split(',').map(item => item.trim()).filter(item => item !== ''))];
+        const unknown = features.filter(feature => !known.includes(feature));
+        if (unknown.length > 0) {
+            return { valid: false, error: `Unknown feature '${unknown.join(', ')}'. Expected: ${known.join(', ')}` };
+        }
+        if (features.length < this.MIN_SHARED_FEATURES) {
+            return { valid: false, error: `At least ${this.MIN_SHARED_FEATURES} features are required` };
+        }
+
+        return { valid: true, features };
+    }
+
+    /**
+     * Find the KOIs closest to a planet
+     * @param {Object} exoplanet - KOI document
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Number of neighbours (default: 10)
+     * @param {string|null} options.status - Disposition filter (default: all)
+     * @param {Array<string>} options.features - Features used (default: all)
+     * @returns {Promise<Object>} { target, neighbours, index } or { target, neighbours: [], message } when the planet has too few features
+     */
+    static async findSimilar(exoplanet, { limit = this.DEFAULT_LIMIT, status = null, features = Object.keys(this.FEATURES) } = {}) {
+        try {
+            if (!this.index) {
+                await this.buildIndex();
+            }
+
+            const { entries, vectors, featureNames } = this.index;
+            const width = featureNames.length;
+            const selected = features.map(name => featureNames.indexOf(name));
+            const targetVector = featureNames.map(name => this.normalize(name, exoplanet));
+
+            const target = {
+                _id: exoplanet._id,
+                kepoi_name: exoplanet.kepoi_name,
+                kepler_name: exoplanet.kepler_name || null,
+                features: this.describeVector(exoplanet, targetVector)
+            };
+
+            const usable = selected.filter(featureIndex => !Number.isNaN(targetVector[featureIndex]));
+            if (usable.length < this.MIN_SHARED_FEATURES) {
+                return {
+                    target,
+                    neighbours: [],
+                    message: `At least ${this.MIN_SHARED_FEATURES} of the requested features must be known for this planet`,
+                    index: this.getIndexStatus()
+                };
+            }
+
+            const disposition = status ? status.toUpperCase() : null;
+            const targetId = exoplanet._id ? String(exoplanet._id) : null;
+            const candidates = [];
+
+            for (let row = 0; row < entries.length; row++) {
+                const entry = entries[row];
+                if (targetId && String(entry._id) === targetId) continue;
+                if (disposition && entry.koi_disposition !== disposition) continue;
+
+                let sum = 0;
+                let shared = 0;
+                for (const featureIndex of usable) {
+                    const value = vectors[row * width + featureIndex];
+                    if (Number.isNaN(value)) continue;
+                    sum += (value - targetVector[featureIndex]) ** 2;
+                    shared++;
+                }
+
+                if (shared < this.MIN_SHARED_FEATURES) continue;
+
+                // Missing features are scaled out so distances stay comparable
+                candidates.push({ row, distance: Math.sqrt(sum * usable.length / shared), shared });
+            }
+
+            candidates.sort((a, b) => a.distance - b.distance);
+
+            const neighbours = candidates.slice(0, limit).map(({ row, distance, shared }) => {
+                const entry = entries[row];
+                return {
+                    _id: entry._id,
+                    kepoi_name: entry.kepoi_name,
+                    kepler_name: entry.kepler_name,
+                    koi_disposition: entry.koi_disposition,
+                    distance: round(distance, 4),
+                    similarity: round(1 / (1 + distance), 4),
+                    sharedFeatures: shared,
+                    contributions: this.getContributions(row, targetVector, usable)
+                };
+            });
+
+            return {
+                target,
+                featuresUsed: usable.map(featureIndex => featureNames[featureIndex]),
+                neighbours,
+                candidatesEvaluated: candidates.length,
+                index: this.getIndexStatus()
+            };
+
+        } catch (error) {
+            console.error(`❌ Error finding planets similar to ${exoplanet.kepoi_name}:`, error);
+            throw new Error(`Could not find similar planets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Share of the squared distance coming from each feature
+     * @param {number} row - Index row of the neighbour
+     * @param {Array<number>} targetVector - Normalized target vector
+     * @param {Array<number>} usable - Feature indexes used
+     * @returns {Array<Object>} Contributions, largest first
+     */
+    static getContributions(row, targetVector, usable) {
+        const { entries, vectors, featureNames } = this.index;
+        const width = featureNames.length;
+        const entry = entries[row];
+
+        const terms = usable.map(featureIndex => {
+            const name = featureNames[featureIndex];
+            const value = vectors[row * width + featureIndex];
+            const difference = Number.isNaN(value) ? null : value - targetVector[featureIndex];
+            return {
+                feature: name,
+                column: this.FEATURES[name].column,
+                unit: this.FEATURES[name].unit,
+                value: entry.raw[name],
+                normalizedDifference: difference !== null ? round(difference, 4) : null,
+                squared: difference !== null ? difference ** 2 : 0
+            };
+        });
+
+        const total = terms.reduce((sum, term) => sum + term.squared, 0);
+
+        return terms
+            .map(({ squared, ...term }) => ({
+                ...term,
+                contribution: term.normalizedDifference === null ? null : round(total > 0 ? squared / total : 0, 4)
+            }))
+            .sort((a, b) => (b.contribution ?? -1) - (a.contribution ?? -1));
+    }
+
+    /**
+     * Describe the features of a planet
+     * @param {Object} exoplanet - KOI document
+     * @param {Array<number>} vector - Normalized vector
+     * @returns {Object} Raw and normalized value of each feature
+     */
+    static describeVector(exoplanet, vector) {
+        const description = {};
+        this.index.featureNames.forEach((name, featureIndex) => {
+            const { column, unit } = this.FEATURES[name];
+            description[name] = {
+                column,
+                unit,
+                value: exoplanet[column] ?? null,
+                normalized: Number.isNaN(vector[featureIndex]) ? null : round(vector[featureIndex], 4)
+            };
+        });
+        return description;
+    }
+
+    /**
+     * Transform a feature before standardization (log10 for scale-spanning features)
+     * @param {string} name - Feature name
+     * @param {Object} document - KOI document
+     * @returns {number} Transformed value, NaN if missing or invalid
+     */
+    static transform(name, document) {
+        const { column, log } = this.FEATURES[name];
+        const value = document[column];
+        if (value === null || value === undefined || value === '') return NaN;
+
+        const num = Number(value);
+        if (!Number.isFinite(num)) return NaN;
+        if (log) return num > 0 ? Math.log10(num) : NaN;
+        return num;
+    }
+
+    /**
+     * Transform and standardize a feature with the index scaling
+     * @param {string} name - Feature name
+     * @param {Object} document - KOI document
+     * @returns {number} Normalized value, NaN if missing
+     */
+    static normalize(name, document) {
+        const { mean, std } = this.index.scaling[name];
+        return (this.transform(name, document) - mean) / std;
+    }
+}
@@ -0,0 +1,355 @@
+import { getDatabase } from '../config/database.js';
+import { round } from '../utils/numbers.js';
+
+/**
+ * Sky position service
+ * Cone and box searches over the KOI sky coordinates (ra, dec in degrees, J2000)
+ *
+ * Each KOI stores its position as a GeoJSON point in a 2dsphere index: the celestial sphere
+ * maps onto MongoDB's spherical model with longitude = RA (shifted to -180..180) and latitude = Dec,
+ * so great-circle distances are angular separations.
+ */
+export class SkyPositionService {
+
+    static FIELD = 'sky_position';
+
+    // Radius of MongoDB's spherical model, converts $geoNear meters to radians
+    static SPHERE_RADIUS_METERS = 6378100;
+
+    static RADIUS_UNITS = { deg: 1, arcmin: 1 / 60, arcsec: 1 / 3600 };
+    static DEFAULT_RADIUS = 0.1; // degrees
+    static MAX_RADIUS = 10; // degrees
+
+    static DEFAULT_CONE_LIMIT = 100;
+    static MAX_CONE_LIMIT = 1000;
+    static DEFAULT_BOX_LIMIT = 500;
+    static MAX_BOX_LIMIT = 5000;
+
+    static RESULT_PROJECTION = {
+        kepoi_name: 1,
+        kepler_name: 1,
+        kepid: 1,
+        koi_disposition: 1,
+        ra: 1,
+        dec: 1,
+        ra_str: 1,
+        dec_str: 1,
+        koi_kepmag: 1
+    };
+
+    /**
+     * Create the sky indexes and fill the position of the KOIs stored without one
+     * @returns {Promise<Object>} { backfilled }
+     */
+    static async ensureIndexes() {
+        const collection = getDatabase().collection('koi_objects');
+
+        const longitude = { $cond: [{ $gt: ['$ra', 180] }, { $subtract: ['$ra', 360] }, '$ra'] };
+        const result = await collection.updateMany(
+            {
+                [this.FIELD]: { $exists: false },
+                ra: { $type: 'number', $gte: 0, $lt: 360 },
+                dec: { $type: 'number', $gte: -90, $lte: 90 }
+            },
+            [{ $set: { [this.FIELD]: { type: 'Point', coordinates: [longitude, '$dec'] } } }]
+        );
+
+        await Promise.all([
+            collection.createIndex({ [this.FIELD]: '2dsphere' }),
+            collection.createIndex({ dec: 1, ra: 1 })
+        ]);
+
+        if (result.modifiedCount > 0) {
+            console.log(`🌌 Sky positions added to ${result.modifiedCount} KOIs`);
+        }
+        console.log('✅ Sky position indexes ready');
+
+        return { backfilled: result.modifiedCount };
+    }
+
+    /**
+     * Build the stored sky position of a KOI
+     * @param {Object} koiData - KOI data (ra, dec in degrees)
+     * @returns {Object|null} GeoJSON point, null when the coordinates are missing or invalid
+     */
+    static buildSkyPosition(koiData) {
+        const ra = Number(koiData.ra);
+        const dec = Number(koiData.dec);
+
+        if (koiData.ra === null || koiData.ra === undefined || koiData.dec === null || koiData.dec === undefined) return null;
+        if (!Number.isFinite(ra) || !Number.isFinite(dec) || ra < 0 || ra >= 360 || dec < -90 || dec > 90) return null;
+
+        return { type: 'Point', coordinates: [this.toLongitude(ra), dec] };
+    }
+
+    /**
+     * Find the KOIs within a radius of a position, closest first
+     * @param {Object} options - Search options
+     * @param {number} options.ra - Right ascension (degrees)
+     * @param {number} options.dec - Declination (degrees)
+     * @param {number} options.radius - Search radius (degrees)
+     * @param {string|null} options.status - Disposition filter (default: all)
+     * @param {number} options.limit - Max number of results (default: 100)
+     * @returns {Promise<Object>} { center, radius, results, count }
+     */
+    static async coneSearch({ ra, dec, radius, status = null, limit = this.DEFAULT_CONE_LIMIT }) {
+        try {
+            const collection = getDatabase().collection('koi_objects');
+            const radiusRadians = radius * Math.PI / 180;
+
+            const query = {};
+            if (status) {
+                query.koi_disposition = status;
+            }
+
+            const documents = await collection.aggregate([
+                {
+                    $geoNear: {
+                        near: { type: 'Point', coordinates: [this.toLongitude(ra), dec] },
+                        key: this.FIELD,
+                        distanceField: 'distance',
+                        // Small margin, the exact separation is checked below
+                        maxDistance: radiusRadians * this.SPHERE_RADIUS_METERS * (1 + 1e-9) + 1,
+                        query,
+                        spherical: true
+                    }
+                },
+                { $limit: limit },
+                { $project: this.RESULT_PROJECTION }
+            ]).toArray();
+
+            const results = documents
+                .map(document => {
+                    const separation = this.angularSeparation(ra, dec, document.ra, document.dec);
+                    return {
+                        ...document,
+                        separation: round(separation, 6), // degrees
+                        separationArcsec: round(separation * 3600, 3),
+                        positionAngle: round(this.positionAngle(ra, dec, document.ra, document.dec), 3)
+                    };
+                })
+                .filter(result => result.separation <= radius)
+                .sort((a, b) => a.separation - b.separation);
+
+            return {
+                center: { ra, dec, ra_str: this.formatRightAscension(ra), dec_str: this.formatDeclination(dec) },
+                radius,
+                results,
+                count: results.length
+            };
+
+        } catch (error) {
+            console.error(`❌ Error during cone search at (${ra}, ${dec}):`, error);
+            throw new Error(`Could not run cone search: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the KOIs inside an RA/Dec box, brightest first
+     * The RA range wraps through 0° when raMin is greater than raMax
+     * @param {Object} options - Search options
+     * @param {number} options.raMin - Minimum right ascension (degrees)
+     * @param {number} options.raMax - Maximum right ascension (degrees)
+     * @param {number} options.decMin - Minimum declination (degrees)
+     * @param {number} options.decMax - Maximum declination (degrees)
+     * @param {string|null} options.status - Disposition filter (default: all)
+     * @param {number} options.limit - Max number of results (default: 500)
+     * @returns {Promise<Object>} { box, results, count, total, truncated }
+     */
+    static async boxSearch({ raMin, raMax, decMin, decMax, status = null, limit = this.DEFAULT_BOX_LIMIT }) {
+        try {
+            const collection = getDatabase().collection('koi_objects');
+
+            const query = {
+                dec: { $gte: decMin, $lte: decMax },
+                ...(raMin <= raMax
+                    ? { ra: { $gte: raMin, $lte: raMax } }
+                    : { $or: [{ ra: { $gte: raMin, $lt: 360 } }, { ra: { $gte: 0, $lte: raMax } }] })
+            };
+            if (status) {
+                query.koi_disposition = status;
+            }
+
+            const [results, total] = await Promise.all([
+                collection
+                    .find(query, { projection: this.RESULT_PROJECTION })
+                    .sort({ koi_kepmag: 1, kepoi_name: 1 })
+                    .limit(limit)
+                    .toArray(),
+                collection.countDocuments(query)
+            ]);
+
+            return {
+                box: { raMin, raMax, decMin, decMax, wrapsRa: raMin > raMax },
+                results,
+                count: results.length,
+                total,
+                truncated: total > results.length
+            };
+
+        } catch (error) {
+            console.error('❌ Error during box search:', error);
+            throw new Error(`Could not run box search: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a right ascension
+     * Plain numbers are degrees; sexagesimal values are hours (19h27m44.22s, 19:27:44.22, 19 27 44.22)
+     * unless written with a degree sign or 'd' (291d56m03s)
+     * @param {string} value - Raw value
+     * @returns {number|null} Degrees in [0, 360), or null if invalid
+     */
+    static parseRightAscension(value) {
+        const text = String(value ?? '').trim();
+        const degrees = this.parseAngle(text, { allowHours: true });
+        if (degrees === null || degrees < 0 || degrees >= 360) return null;
+        return degrees;
+    }
+
+    /**
+     * Parse a declination
+     * Plain numbers are degrees; sexagesimal values are degrees (+48d08m29.9s, +48:08:29.9, -05 30 00)
+     * @param {string} value - Raw value
+     * @returns {number|null} Degrees in [-90, 90], or null if invalid
+     */
+    static parseDeclination(value) {
+        const text = String(value ?? '').trim();
+        const degrees = this.parseAngle(text, { allowHours: false });
+        if (degrees === null || degrees < -90 || degrees > 90) return null;
+        return degrees;
+    }
+
+    /**
+     * Parse a decimal or sexagesimal angle
+     * @param {string} text - Trimmed value
+     * @param {Object} options - { allowHours }
+     * @returns {number|null} Degrees or null if invalid
+     */
+    static parseAngle(text, { allowHours }) {
+        if (text === '') return null;
+
+        if (/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+            return Number(text);
+        }
+
+        const match = text.match(/^([+-])?\s*(\d+(?:\.\d+)?)\s*([hd°:\s])\s*(\d+(?:\.\d+)?)?\s*[m':\s]?\s*(\d+(?:\.\d+)?)?\s*(?:s|"|'')?$/i);
+        if (!match) return null;
+
+        const [, sign, first, separator, minutes = '0', seconds = '0'] = match;
+        const unit = separator.toLowerCase();
+        if (unit === 'h' && !allowHours) return null;
+
+        const whole = Number(first);
+        const min = Number(minutes);
+        const sec = Number(seconds);
+
+        // Only the last component may have decimals, minutes and seconds stay below 60
+        if ((match[4] !== undefined && !Number.isInteger(whole)) || (match[5] !== undefined && !Number.isInteger(min))) return null;
+        if (min >= 60 || sec >= 60) return null;
+
+        const value = whole + min / 60 + sec / 3600;
+        const hours = allowHours && unit !== 'd' && unit !== '°';
+
+        return (sign === '-' ? -1 : 1) * (hours ? value * 15 : value);
+    }
+
+    /**
+     * Parse a search radius
+     * @param {string|undefined} value - Raw radius
+     * @param {string} unit - 'deg', 'arcmin' or 'arcsec'
+     * @returns {Object} { valid: true, radius } in degrees, or { valid: false, error }
+     */
+    static parseRadius(value, unit = 'deg') {
+        if (!Object.prototype.hasOwnProperty.call(this.RADIUS_UNITS, unit)) {
+            return { valid: false, error: `unit must be one of: ${Object.keys(this.RADIUS_UNITS).join(', ')}` };
+        }
+
+        if (value === undefined || value === '') {
+            return { valid: true, radius: this.DEFAULT_RADIUS };
+        }
+
+        const radius = Number(value) * this.RADIUS_UNITS[unit];
+        if (!Number.isFinite(radius) || radius <= 0 || radius > this.MAX_RADIUS) {
+            return { valid: false, error: `radius must be a positive number up to ${this.MAX_RADIUS}°` };
+        }
+
+        return { valid: true, radius };
+    }
+
+    /**
+     * Angular separation between two positions (Vincenty formula, stable at all distances)
+     * @param {number} ra1 - Right ascension of the first position (degrees)
+     * @param {number} dec1 - Declination of the first position (degrees)
+     * @param {number} ra2 - Right ascension of the second position (degrees)
+     * @param {number} dec2 - Declination of the second position (degrees)
+     * @returns {number} Separation (degrees)
+     */
+    static angularSeparation(ra1, dec1, ra2, dec2) {
+        const toRad = Math.PI / 180;
+        const deltaRa = (ra2 - ra1) * toRad;
+        const [sinDec1, cosDec1] = [Math.sin(dec1 * toRad), Math.cos(dec1 * toRad)];
+        const [sinDec2, cosDec2] = [Math.sin(dec2 * toRad), Math.cos(dec2 * toRad)];
+
+        const x = cosDec2 * Math.sin(deltaRa);
+        const y = cosDec1 * sinDec2 - sinDec1 * cosDec2 * Math.cos(deltaRa);
+        const z = sinDec1 * sinDec2 + cosDec1 * cosDec2 * Math.cos(deltaRa);
+
+        return Math.atan2(Math.hypot(x, y), z) / toRad;
+    }
+
+    /**
+     * Position angle of the second position seen from the first (degrees east of north)
+     * @param {number} ra1 - Right ascension of the first position (degrees)
+     * @param {number} dec1 - Declination of the first position (degrees)
+     * @param {number} ra2 - Right ascension of the second position (degrees)
+     * @param {number} dec2 - Declination of the second position (degrees)
+     * @returns {number} Position angle in [0, 360)
+     */
+    static positionAngle(ra1, dec1, ra2, dec2) {
+        const toRad = Math.PI / 180;
+        const deltaRa = (ra2 - ra1) * toRad;
+
+        const angle = Math.atan2(
+            Math.sin(deltaRa),
+            Math.cos(dec1 * toRad) * Math.tan(dec2 * toRad) - Math.sin(dec1 * toRad) * Math.cos(deltaRa)
+        ) / toRad;
+
+        return (angle + 360) % 360;
+    }
+
+    /**
+     * Map a right ascension onto a GeoJSON longitude
+     * @param {number} ra - Right ascension in [0, 360)
+     * @returns {number} Longitude in (-180, 180]
+     */
+    static toLongitude(ra) {
+        return ra > 180 ? ra - 360 : ra;
+    }
+
+    /**
+     * Format a right ascension as in ra_str (ex: 19h27m44.22s)
+     * @param {number} ra - Right ascension (degrees)
+     * @returns {string} Sexagesimal right ascension
+     */
+    static formatRightAscension(ra) {
+        const totalSeconds = Math.round(ra / 15 * 3600 * 100) / 100;
+        const hours = Math.floor(totalSeconds / 3600) % 24;
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = (totalSeconds % 60).toFixed(2).padStart(5, '0');
+        return `${String(hours).padStart(2, '0')}h${String(minutes).padStart(2, '0')}m${seconds}s`;
+    }
+
+    /**
+     * Format a declination as in dec_str (ex: +48d08m29.9s)
+     * @param {number} dec - Declination (degrees)
+     * @returns {string} Sexagesimal declination
+     */
+    static formatDeclination(dec) {
+        const totalSeconds = Math.round(Math.abs(dec) * 3600 * 10) / 10;
+        const degrees = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+        return `${dec < 0 ? '-' : '+'}${String(degrees).padStart(2, '0')}d${String(minutes).padStart(2, '0')}m${seconds}s`;
+    }
+}
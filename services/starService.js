@@ -0,0 +1,241 @@
+import { getDatabase } from '../config/database.js';
+import { CatalogService } from './catalogService.js';
+import { ExoplanetQueryBuilder } from './exoplanetQueryBuilder.js';
+import { toNumber, round } from '../utils/numbers.js';
+
+/**
+ * Host star service
+ * Derives the properties of a system's host star from all of its KOIs
+ */
+export class StarService {
+
+    static SOLAR_TEFF = 5772; // K
+
+    // Stellar KOI columns combined across the system's KOIs
+    static STELLAR_PARAMETERS = {
+        temperature: { column: 'koi_steff', unit: 'K' },
+        surfaceGravity: { column: 'koi_slogg', unit: 'log10(cm/s²)' },
+        metallicity: { column: 'koi_smet', unit: 'dex [Fe/H]' },
+        radius: { column: 'koi_srad', unit: 'R☉' },
+        mass: { column: 'koi_smass', unit: 'M☉' },
+        density: { column: 'koi_srho', unit: 'g/cm³' },
+        age: { column: 'koi_sage', unit: 'Gyr' }
+    };
+
+    // Effective temperature range of each spectral class (K)
+    static SPECTRAL_CLASSES = [
+        { class: 'O', min: 30000, max: 50000 },
+        { class: 'B', min: 10000, max: 30000 },
+        { class: 'A', min: 7500, max: 10000 },
+        { class: 'F', min: 6000, max: 7500 },
+        { class: 'G', min: 5200, max: 6000 },
+        { class: 'K', min: 3700, max: 5200 },
+        { class: 'M', min: 2400, max: 3700 }
+    ];
+
+    /**
+     * Retrieve the host star of a system
+     * Kepler systems are derived from their KOIs, other hosts from the TOI and Planetary Systems catalogs
+     * @param {string} keplerName - System name (ex: "Kepler-257", "TOI-700")
+     * @returns {Promise<Object|null>} Host star or null if the system is unknown
+     */
+    static async getHostStar(keplerName) {
+        try {
+            const kois = await this.getSystemKOIs(keplerName);
+            if (kois.length === 0) {
+                const catalogSystem = await CatalogService.findSystemDocuments(keplerName);
+                return catalogSystem ? this.buildCatalogHostStar(catalogSystem) : null;
+            }
+
+            return this.buildHostStar(keplerName, kois);
+
+        } catch (error) {
+            console.error(`❌ Error retrieving host star of ${keplerName}:`, error);
+            throw new Error(`Could not retrieve host star of ${keplerName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retrieve every KOI orbiting the host star of a Kepler system (confirmed or not)
+     * @param {string} keplerName - Kepler system name
+     * @returns {Promise<Array>} KOI documents
+     */
+    static async getSystemKOIs(keplerName) {
+        const db = getDatabase();
+        const collection = db.collection('koi_objects');
+
+        const kepids = await collection.distinct('kepid', {
+            kepler_name: { $regex: `^${ExoplanetQueryBuilder.escapeRegex(keplerName)}[\\s]`, $options: 'i' }
+        });
+
+        if (kepids.length === 0) {
+            return [];
+        }
+
+        const projection = { kepid: 1, kepoi_name: 1, kepler_name: 1, koi_disposition: 1, _id: 0 };
+        Object.values(this.STELLAR_PARAMETERS).forEach(({ column }) => {
+            projection[column] = 1;
+            projection[`${column}_err1`] = 1;
+            projection[`${column}_err2`] = 1;
+        });
+
+        return collection
+            .find({ kepid: { $in: kepids } }, { projection })
+            .sort({ kepoi_name: 1 })
+            .toArray();
+    }
+
+    /**
+     * Build the host star model from the system's KOIs
+     * @param {string} keplerName - Kepler system name
+     * @param {Array} kois - KOI documents of the system
+     * @returns {Object} Host star
+     */
+    static buildHostStar(keplerName, kois) {
+        const parameters = {};
+        for (const [name, { column, unit }] of Object.entries(this.STELLAR_PARAMETERS)) {
+            parameters[name] = { ...this.combineMeasurements(kois, column), unit };
+        }
+
+        const luminosity = this.calculateLuminosity(parameters.temperature, parameters.radius);
+        const spectral = this.getSpectralType(parameters.temperature.value, parameters.surfaceGravity.value);
+
+        return {
+            name: keplerName.replace('-', ' '),
+            kepid: kois[0]?.kepid ?? null,
+
+            // Summary values (kept for the existing system payload)
+            mass: parameters.mass.value,               // M☉
+            radius: parameters.radius.value,           // R☉
+            temperature: parameters.temperature.value, // K
+            type: spectral ? `${spectral.spectralClass}-type` : null,
+
+            spectralType: spectral?.spectralType ?? null,
+            spectralClass: spectral?.spectralClass ?? null,
+            luminosityClass: spectral?.luminosityClass ?? null,
+            luminosity,
+            parameters,
+            koiCount: kois.length,
+            sourceKOIs: kois.map(koi => koi.kepoi_name)
+        };
+    }
+
+    /**
+     * Build the host star of a TOI or Planetary Systems host from the stellar columns of its planets
+     * @param {Object} catalogSystem - Result of CatalogService.findSystemDocuments
+     * @returns {Object} Host star
+     */
+    static buildCatalogHostStar({ catalog, systemName, planets, documents }) {
+        return {
+            ...this.buildHostStar(systemName, documents),
+            name: systemName,
+            catalog,
+            koiCount: 0,
+            sourceKOIs: [],
+            sourceDesignations: planets.map(planet => planet.designation)
+        };
+    }
+
+    /**
+     * Combine a stellar column across KOIs
+     * KOIs of the same star usually share the same stellar fit, so the median is used
+     * @param {Array} kois - KOI documents
+     * @param {string} column - Column name
+     * @returns {Object} { value, errorUpper, errorLower, samples }
+     */
+    static combineMeasurements(kois, column) {
+        const values = [];
+        const upper = [];
+        const lower = [];
+
+        kois.forEach(koi => {
+            const value = toNumber(koi[column]);
+            if (value === null) return;
+
+            values.push(value);
+            const err1 = toNumber(koi[`${column}_err1`]);
+            const err2 = toNumber(koi[`${column}_err2`]);
+            if (err1 !== null) upper.push(Math.abs(err1));
+            if (err2 !== null) lower.push(Math.abs(err2));
+        });
+
+        return {
+            value: this.median(values),
+            errorUpper: this.median(upper),
+            errorLower: this.median(lower),
+            samples: values.length
+        };
+    }
+
+    /**
+     * Calculate the luminosity with propagated uncertainties
+     * L = R² (Teff/5772)⁴, σL/L = sqrt((2σR/R)² + (4σT/T)²)
+     * @param {Object} temperature - Combined temperature measurement
+     * @param {Object} radius - Combined radius measurement
+     * @returns {Object} { value, errorUpper, errorLower, unit }
+     */
+    static calculateLuminosity(temperature, radius) {
+        const t = temperature.value;
+        const r = radius.value;
+        if (!t || !r || t <= 0 || r <= 0) {
+            return { value: null, errorUpper: null, errorLower: null, unit: 'L☉' };
+        }
+
+        const value = r ** 2 * (t / this.SOLAR_TEFF) ** 4;
+        const propagate = (errT, errR) => {
+            if (errT === null && errR === null) return null;
+            const relative = Math.sqrt((2 * (errR || 0) / r) ** 2 + (4 * (errT || 0) / t) ** 2);
+            return round(value * relative, 4);
+        };
+
+        return {
+            value: round(value, 4),
+            errorUpper: propagate(temperature.errorUpper, radius.errorUpper),
+            errorLower: propagate(temperature.errorLower, radius.errorLower),
+            unit: 'L☉'
+        };
+    }
+
+    /**
+     * Derive the spectral type from the effective temperature and surface gravity
+     * @param {number|null} temperature - Effective temperature (K)
+     * @param {number|null} surfaceGravity - log g (cgs)
+     * @returns {Object|null} { spectralType, spectralClass, subclass, luminosityClass }
+     */
+    static getSpectralType(temperature, surfaceGravity) {
+        if (!temperature || temperature <= 0) return null;
+
+        const clamped = Math.min(Math.max(temperature, 2400), 49999);
+        const range = this.SPECTRAL_CLASSES.find(spectral => clamped >= spectral.min && clamped < spectral.max);
+
+        // Subclass 0 is the hot end of the class, 9 the cool end
+        const position = (range.max - clamped) / (range.max - range.min);
+        const subclass = Math.min(9, Math.floor(position * 10));
+
+        let luminosityClass = null;
+        if (surfaceGravity !== null && surfaceGravity !== undefined) {
+            if (surfaceGravity >= 4.0) luminosityClass = 'V';
+            else if (surfaceGravity >= 3.5) luminosityClass = 'IV';
+            else luminosityClass = 'III';
+        }
+
+        return {
+            spectralType: `${range.class}${subclass}${luminosityClass || ''}`,
+            spectralClass: range.class,
+            subclass,
+            luminosityClass
+        };
+    }
+
+    /**
+     * Median of a list of numbers
+     * @param {Array<number>} values - Values
+     * @returns {number|null} Median or null for an empty list
+     */
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+}
@@ -0,0 +1,436 @@
+import { ObjectId } from 'mongodb';
+import { getDatabase } from '../config/database.js';
+import { NasaSyncService } from './nasaSyncService.js';
+import { TapClient } from './tapClient.js';
+
+/**
+ * Sync job service
+ * Persists every KOI synchronization as a job document, so a run survives the process
+ *
+ * States: queued -> running -> completed | failed | paused
+ *         queued -> paused (pause before the run starts)
+ *         paused | failed -> queued (resume)
+ *         queued | paused -> failed (cancel); a running job is cancelled or paused at its next checkpoint
+ *         running -> paused when the NASA archive is down (TAP circuit open); the next scheduled run resumes it
+ *
+ * The job stores the plan of the run (KOIs to add and to update) and a checkpoint updated
+ * after each batch, so a paused, cancelled or interrupted run resumes where it stopped.
+ */
+export class SyncJobService {
+
+    static COLLECTION = 'sync_jobs';
+
+    static TRANSITIONS = {
+        queued: ['running', 'paused', 'failed'],
+        running: ['paused', 'failed', 'completed'],
+        paused: ['queued', 'failed'],
+        failed: ['queued'],
+        completed: []
+    };
+
+    // Jobs that block the creation of a new one
+    static ACTIVE_STATUSES = ['queued', 'running'];
+
+    static DEFAULT_LIMIT = 20;
+    static MAX_LIMIT = 100;
+
+    /**
+     * Create the indexes of the job collection, and store the plan totals of the jobs planned without them
+     * @returns {Promise<void>}
+     */
+    static async ensureIndexes() {
+        const collection = getDatabase().collection(this.COLLECTION);
+
+        await Promise.all([
+            collection.createIndex({ status: 1, createdAt: -1 }),
+            collection.createIndex({ createdAt: -1 })
+        ]);
+
+        await collection.updateMany(
+            { plan: { $type: 'object' }, planTotals: { $exists: false } },
+            [{ $set: { planTotals: { newKOIs: { $size: '$plan.newKOIs' }, changedKOIs: { $size: '$plan.changedKOIs' } } } }]
+        );
+    }
+
+    /**
+     * Mark the jobs left queued or running by a stopped process as failed (interrupted)
+     * They keep their checkpoint and can be resumed
+     * @returns {Promise<number>} Number of interrupted jobs
+     */
+    static async recoverInterruptedJobs() {
+        const now = new Date();
+        const result = await getDatabase().collection(this.COLLECTION).updateMany(
+            { status: { $in: this.ACTIVE_STATUSES } },
+            {
+                $set: { status: 'failed', interrupted: true, error: 'Interrupted: the server stopped during the run', control: null, finishedAt: now, updatedAt: now },
+                $push: { history: { status: 'failed', at: now, reason: 'interrupted' } }
+            }
+        );
+
+        if (result.modifiedCount > 0) {
+            console.log(`⚠️ ${result.modifiedCount} interrupted sync job(s) marked as failed (resumable)`);
+        }
+        return result.modifiedCount;
+    }
+
+    /**
+     * Create a queued job
+     * @param {Object} options - { trigger: 'manual' | 'scheduler' }
+     * @returns {Promise<Object>} Job snapshot
+     */
+    static async createJob({ trigger = 'manual' } = {}) {
+        const collection = getDatabase().collection(this.COLLECTION);
+
+        const active = await collection.findOne({ status: { $in: this.ACTIVE_STATUSES } }, { projection: { _id: 1 } });
+        if (active) {
+            throw new Error(`A synchronization is already in progress (job ${active._id})`);
+        }
+
+        const now = new Date();
+        const job = {
+            _id: new ObjectId(),
+            status: 'queued',
+            trigger,
+            plan: null,
+            planTotals: null, // { newKOIs, changedKOIs }: the progress of the jobs read without their plan
+            checkpoint: { phase: 'new', index: 0 },
+            stats: null,
+            control: null, // 'pause' or 'cancel', applied at the next checkpoint
+            attempts: 0,
+            cancelled: false,
+            interrupted: false,
+            error: null,
+            history: [{ status: 'queued', at: now }],
+            createdAt: now,
+            startedAt: null,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        await collection.insertOne(job);
+        console.log(`🗂️ Sync job ${job._id} queued (${trigger})`);
+        return this.getJobSnapshot(job);
+    }
+
+    /**
+     * Run a queued job until it completes, fails or is stopped at a checkpoint
+     * @param {string} id - Job id
+     * @param {Object} options - { assertLock: throws before a checkpoint if the run must not go on }
+     * @returns {Promise<Object>} { job, stats }
+     */
+    static async runJob(id, { assertLock = null } = {}) {
+        const collection = getDatabase().collection(this.COLLECTION);
+        let job = await this.transition(id, 'running', {
+            $set: { startedAt: new Date(), error: null, interrupted: false },
+            $inc: { attempts: 1 }
+        });
+
+        console.log(`▶️ Sync job ${id} running (attempt ${job.attempts})`);
+
+        let lockLost = false;
+        try {
+            const stats = job.stats || NasaSyncService.createSyncStats();
+            let plan = job.plan;
+
+            if (!plan) {
+                plan = await NasaSyncService.planSynchronization(stats);
+                const planTotals = { newKOIs: plan.newKOIs.length, changedKOIs: plan.changedKOIs.length };
+                await collection.updateOne({ _id: job._id }, { $set: { plan, planTotals, stats, updatedAt: new Date() } });
+            }
+
+            let stopRequest = null;
+            const result = await NasaSyncService.synchronizeKOIData({
+                stats,
+                plan,
+                checkpoint: job.checkpoint,
+                onCheckpoint: async ({ checkpoint, stats: progress }) => {
+                    // An instance that lost the synchronization lock must not write the job anymore
+                    if (assertLock) {
+                        try {
+                            assertLock();
+                        } catch (error) {
+                            lockLost = true;
+                            throw error;
+                        }
+                    }
+
+                    const saved = await collection.findOneAndUpdate(
+                        { _id: job._id },
+                        { $set: { checkpoint, stats: progress, updatedAt: new Date() } },
+                        { returnDocument: 'after', projection: { control: 1 } }
+                    );
+                    stopRequest = saved?.control || null;
+                    return stopRequest === null;
+                }
+            });
+
+            if (result.stopped) {
+                job = stopRequest === 'pause'
+                    ? await this.transition(id, 'paused', { $set: { control: null, stats: result } })
+                    : await this.transition(id, 'failed', {
+                        $set: { control: null, cancelled: true, error: 'Cancelled by user', stats: result, finishedAt: new Date() }
+                    }, 'cancelled');
+            } else {
+                job = await this.transition(id, 'completed', {
+                    $set: { control: null, checkpoint: { phase: 'done', index: 0 }, stats: result, finishedAt: new Date() }
+                });
+            }
+
+            console.log(`⏹️ Sync job ${id} ${job.status}${job.cancelled ? ' (cancelled)' : ''}`);
+            return { job: this.getJobSnapshot(job), stats: result };
+
+        } catch (error) {
+            if (lockLost) {
+                // The new lock holder marks the job as interrupted
+                throw error;
+            }
+
+            // Archive down: the job is paused at its last checkpoint, to be resumed once the archive answers
+            if (TapClient.isCircuitOpen()) {
+                const paused = await this.transition(id, 'paused', {
+                    $set: { control: null, error: error.message }
+                }, 'archive_unavailable');
+                console.log(`⏸️ Sync job ${id} paused: NASA archive unavailable`);
+                return { job: this.getJobSnapshot(paused), stats: paused.stats || NasaSyncService.createSyncStats() };
+            }
+
+            console.error(`❌ Sync job ${id} failed:`, error);
+            await this.transition(id, 'failed', {
+                $set: { control: null, error: error.message, finishedAt: new Date() }
+            }).catch(transitionError => {
+                console.error(`❌ Could not mark sync job ${id} as failed:`, transitionError.message);
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Pause a job: a queued job is paused at once, a running one at its next checkpoint
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} Job snapshot
+     */
+    static async pauseJob(id) {
+        return this.requestStop(id, 'pause');
+    }
+
+    /**
+     * Cancel a job: a queued or paused job is cancelled at once, a running one at its next checkpoint
+     * A cancelled job is failed with cancelled: true and keeps its checkpoint (it can be resumed)
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} Job snapshot
+     */
+    static async cancelJob(id) {
+        return this.requestStop(id, 'cancel');
+    }
+
+    /**
+     * Queue a paused or failed job again; the caller runs it
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} Job snapshot
+     */
+    static async resumeJob(id) {
+        const active = await getDatabase().collection(this.COLLECTION).findOne(
+            { status: { $in: this.ACTIVE_STATUSES } },
+            { projection: { _id: 1 } }
+        );
+        if (active) {
+            throw new Error(`A synchronization is already in progress (job ${active._id})`);
+        }
+
+        const job = await this.transition(id, 'queued', {
+            $set: { control: null, cancelled: false, error: null, finishedAt: null }
+        }, 'resumed');
+        return this.getJobSnapshot(job);
+    }
+
+    /**
+     * Find the latest job paused because the NASA archive was down
+     * @returns {Promise<Object|null>} Job snapshot or null
+     */
+    static async findArchivePausedJob() {
+        const jobs = await getDatabase().collection(this.COLLECTION)
+            .find({ status: 'paused', 'history.reason': 'archive_unavailable' }, { projection: { plan: 0, 'stats.errorDetails': 0 } })
+            .sort({ updatedAt: -1 })
+            .toArray();
+
+        // A job paused by a user after an archive outage stays paused
+        const job = jobs.find(item => item.history[item.history.length - 1].reason === 'archive_unavailable');
+        return job ? this.getJobSnapshot(job) : null;
+    }
+
+    /**
+     * Apply a pause or cancel request
+     * @param {string} id - Job id
+     * @param {string} action - 'pause' or 'cancel'
+     * @returns {Promise<Object>} Job snapshot
+     */
+    static async requestStop(id, action) {
+        const job = await this.findJob(id);
+
+        if (job.status === 'running') {
+            const updated = await getDatabase().collection(this.COLLECTION).findOneAndUpdate(
+                { _id: job._id, status: 'running' },
+                { $set: { control: action, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+            if (!updated) {
+                throw new Error(`Cannot ${action} job ${id}: its status changed, retry`);
+            }
+            console.log(`⏸️ Sync job ${id}: ${action} requested`);
+            return this.getJobSnapshot(updated);
+        }
+
+        if (action === 'pause' && job.status === 'queued') {
+            return this.getJobSnapshot(await this.transition(id, 'paused'));
+        }
+
+        if (action === 'cancel' && ['queued', 'paused'].includes(job.status)) {
+            return this.getJobSnapshot(await this.transition(id, 'failed', {
+                $set: { cancelled: true, error: 'Cancelled by user', finishedAt: new Date() }
+            }, 'cancelled'));
+        }
+
+        throw new Error(`Cannot ${action} a ${job.status} job`);
+    }
+
+    /**
+     * Move a job to another state, if the state machine allows it
+     * The update only applies if the job is still in the state it was read in
+     * @param {string} id - Job id
+     * @param {string} status - Target state
+     * @param {Object} update - Additional update operators
+     * @param {string} reason - Reason recorded in the history
+     * @returns {Promise<Object>} Updated job
+     */
+    static async transition(id, status, update = {}, reason = null) {
+        const job = await this.findJob(id);
+
+        if (!this.TRANSITIONS[job.status].includes(status)) {
+            throw new Error(`Cannot move a ${job.status} job to ${status}`);
+        }
+
+        const now = new Date();
+        const updated = await getDatabase().collection(this.COLLECTION).findOneAndUpdate(
+            { _id: job._id, status: job.status },
+            {
+                ...update,
+                $set: { ...update.$set, status, updatedAt: now },
+                $push: { history: { status, at: now, ...(reason && { reason }) } }
+            },
+            { returnDocument: 'after' }
+        );
+
+        if (!updated) {
+            throw new Error(`Cannot move job ${id} to ${status}: its status changed, retry`);
+        }
+        return updated;
+    }
+
+    /**
+     * Find a job
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} Job document
+     */
+    static async findJob(id) {
+        const job = ObjectId.isValid(id) && String(id).length === 24
+            ? await getDatabase().collection(this.COLLECTION).findOne({ _id: new ObjectId(id) })
+            : null;
+
+        if (!job) {
+            throw new Error(`Sync job ${id} not found`);
+        }
+        return job;
+    }
+
+    /**
+     * Get a job
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} Job snapshot with its error details
+     */
+    static async getJob(id) {
+        return this.getJobSnapshot(await this.findJob(id), { details: true });
+    }
+
+    /**
+     * Get the queued or running job
+     * @returns {Promise<Object|null>} Job snapshot or null
+     */
+    static async getActiveJob() {
+        const job = await getDatabase().collection(this.COLLECTION).findOne(
+            { status: { $in: this.ACTIVE_STATUSES } },
+            { projection: { plan: 0 } }
+        );
+        return job ? this.getJobSnapshot(job) : null;
+    }
+
+    /**
+     * Get the jobs, most recent first
+     * @param {Object} options - { status, limit }
+     * @returns {Promise<Array>} Job snapshots (without the plan and error details)
+     */
+    static async listJobs({ status = null, limit = this.DEFAULT_LIMIT } = {}) {
+        try {
+            const jobs = await getDatabase().collection(this.COLLECTION)
+                .find(status ? { status } : {}, { projection: { plan: 0, 'stats.errorDetails': 0 } })
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .toArray();
+
+            return jobs.map(job => this.getJobSnapshot(job));
+
+        } catch (error) {
+            console.error('❌ Error retrieving sync jobs:', error);
+            throw new Error(`Could not retrieve sync jobs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the response view of a job: the plan is replaced by the progress
+     * @param {Object} job - Job document
+     * @param {Object} options - { details: include stats.errorDetails }
+     * @returns {Object} Job snapshot
+     */
+    static getJobSnapshot(job, { details = false } = {}) {
+        const { _id, plan, planTotals, stats, ...rest } = job;
+
+        let statsView = stats || null;
+        if (stats && !details) {
+            const { errorDetails, ...summary } = stats;
+            statsView = summary;
+        }
+
+        return {
+            id: _id.toString(),
+            ...rest,
+            progress: this.getProgress(job),
+            stats: statsView
+        };
+    }
+
+    /**
+     * Progress of a job from its plan (or plan totals, when read without the plan) and checkpoint
+     * @param {Object} job - Job document
+     * @returns {Object} { phase, processed, total, percent, newKOIs, changedKOIs }
+     */
+    static getProgress(job) {
+        const newTotal = job.plan?.newKOIs?.length ?? job.planTotals?.newKOIs ?? job.stats?.newKOIs ?? 0;
+        const changedTotal = job.plan?.changedKOIs?.length ?? job.planTotals?.changedKOIs ?? job.stats?.changedKOIs ?? 0;
+        const planned = Boolean(job.plan || job.planTotals) || job.status === 'completed';
+        const { phase, index } = job.status === 'completed' ? { phase: 'done', index: 0 } : job.checkpoint;
+
+        const newProcessed = phase === 'new' ? Math.min(index, newTotal) : newTotal;
+        const changedProcessed = phase === 'done' ? changedTotal : phase === 'changed' ? Math.min(index, changedTotal) : 0;
+        const total = newTotal + changedTotal;
+        const processed = planned ? newProcessed + changedProcessed : 0;
+
+        return {
+            planned,
+            phase,
+            processed,
+            total,
+            percent: total > 0 ? Math.round((processed / total) * 1000) / 10 : (planned ? 100 : 0),
+            newKOIs: { processed: planned ? newProcessed : 0, total: newTotal },
+            changedKOIs: { processed: planned ? changedProcessed : 0, total: changedTotal }
+        };
+    }
+}
@@ -0,0 +1,177 @@
+import os from 'os';
+import { randomBytes } from 'crypto';
+import { getDatabase } from '../config/database.js';
+
+/**
+ * Synchronization lock
+ * MongoDB lease that lets a single API instance run the KOI synchronization
+ *
+ * The lock is one document of the sync_locks collection, held for LEASE_MS and renewed
+ * every HEARTBEAT_MS while the synchronization runs. A crashed holder stops renewing it:
+ * the lease expires and another instance can take it (the TTL index then removes the document).
+ */
+export class SyncLockService {
+
+    static COLLECTION = 'sync_locks';
+    static LOCK_ID = 'koi_sync';
+
+    static INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+    static LEASE_MS = parseInt(process.env.SYNC_LOCK_TTL_MS) || 120000;
+    static HEARTBEAT_MS = Math.floor(this.LEASE_MS / 3);
+
+    static heartbeat = null;
+    static leaseExpiresAt = 0; // Expiry of the lease as last renewed by this instance
+
+    /**
+     * Create the TTL index of the lock collection
+     * @returns {Promise<void>}
+     */
+    static async ensureIndexes() {
+        await getDatabase().collection(this.COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    }
+
+    /**
+     * Take the lock if it is free, expired or already held by this instance, and start the heartbeat
+     * @returns {Promise<Object>} { acquired, holder, expiresAt }
+     */
+    static async acquire() {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + this.LEASE_MS);
+        const collection = getDatabase().collection(this.COLLECTION);
+
+        const update = { $set: { holder: this.INSTANCE_ID, hostname: os.hostname(), pid: process.pid, heartbeatAt: now, expiresAt } };
+        // Re-acquiring a held lock keeps its acquisition date
+        if (this.isHeld()) {
+            update.$setOnInsert = { acquiredAt: now };
+        } else {
+            update.$set.acquiredAt = now;
+        }
+
+        try {
+            // Matches a free, expired or own lock; otherwise the upsert collides with the live lock (duplicate _id)
+            await collection.updateOne(
+                { _id: this.LOCK_ID, $or: [{ expiresAt: { $lte: now } }, { holder: this.INSTANCE_ID }] },
+                update,
+                { upsert: true }
+            );
+
+            this.leaseExpiresAt = expiresAt.getTime();
+            this.startHeartbeat();
+            console.log(`🔒 Synchronization lock acquired by ${this.INSTANCE_ID}`);
+            return { acquired: true, holder: this.INSTANCE_ID, expiresAt };
+
+        } catch (error) {
+            if (error.code === 11000) {
+                const lock = await collection.findOne({ _id: this.LOCK_ID });
+                return { acquired: false, holder: lock?.holder || null, expiresAt: lock?.expiresAt || null };
+            }
+            console.error('❌ Error acquiring the synchronization lock:', error);
+            throw new Error(`Could not acquire the synchronization lock: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop the heartbeat and release the lock if this instance holds it
+     * @returns {Promise<void>}
+     */
+    static async release() {
+        this.stopHeartbeat();
+        this.leaseExpiresAt = 0;
+
+        try {
+            const result = await getDatabase().collection(this.COLLECTION).deleteOne({ _id: this.LOCK_ID, holder: this.INSTANCE_ID });
+            if (result.deletedCount > 0) {
+                console.log(`🔓 Synchronization lock released by ${this.INSTANCE_ID}`);
+            }
+        } catch (error) {
+            // The lease expires on its own
+            console.error('⚠️ Warning: synchronization lock could not be released:', error.message);
+        }
+    }
+
+    /**
+     * Renew the lease every HEARTBEAT_MS
+     */
+    static startHeartbeat() {
+        this.stopHeartbeat();
+
+        this.heartbeat = setInterval(() => {
+            this.renew().catch(error => {
+                console.error('⚠️ Warning: synchronization lock heartbeat failed:', error.message);
+            });
+        }, this.HEARTBEAT_MS);
+
+        // The heartbeat must not keep the process alive
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Stop renewing the lease
+     */
+    static stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    /**
+     * Extend the lease of this instance
+     * @returns {Promise<boolean>} False if another instance took the lock
+     */
+    static async renew() {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + this.LEASE_MS);
+
+        const result = await getDatabase().collection(this.COLLECTION).updateOne(
+            { _id: this.LOCK_ID, holder: this.INSTANCE_ID },
+            { $set: { heartbeatAt: now, expiresAt } }
+        );
+
+        if (result.matchedCount === 0) {
+            console.error(`❌ Synchronization lock lost by ${this.INSTANCE_ID}`);
+            this.stopHeartbeat();
+            this.leaseExpiresAt = 0;
+            return false;
+        }
+
+        this.leaseExpiresAt = expiresAt.getTime();
+        return true;
+    }
+
+    /**
+     * Whether this instance still holds a valid lease
+     * @returns {boolean} True if the lease is held and not expired
+     */
+    static isHeld() {
+        return Date.now() < this.leaseExpiresAt;
+    }
+
+    /**
+     * Throw if this instance no longer holds the lock (checked between synchronization batches)
+     */
+    static assertHeld() {
+        if (!this.isHeld()) {
+            throw new Error(`Synchronization lock lost by ${this.INSTANCE_ID}`);
+        }
+    }
+
+    /**
+     * Get the current holder of the lock
+     * @returns {Promise<Object|null>} Lock or null if no instance holds it
+     */
+    static async getLock() {
+        const lock = await getDatabase().collection(this.COLLECTION).findOne({ _id: this.LOCK_ID });
+        if (!lock || lock.expiresAt <= new Date()) return null;
+
+        return {
+            holder: lock.holder,
+            hostname: lock.hostname,
+            pid: lock.pid,
+            acquiredAt: lock.acquiredAt,
+            heartbeatAt: lock.heartbeatAt,
+            expiresAt: lock.expiresAt,
+            heldByThisInstance: lock.holder === this.INSTANCE_ID
+        };
+    }
+}
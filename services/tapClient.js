@@ -0,0 +1,585 @@
+import axios from 'axios';
+
+/**
+ * NASA Exoplanet Archive TAP client
+ * Every query to the archive goes through it
+ *
+ * - Retries: network errors, timeouts, 408, 429 and 5xx are retried up to MAX_RETRIES times,
+ *   with exponential backoff and jitter, or after the delay of the Retry-After header.
+ *   Requests that are not idempotent (async job submission) are only resent when they did not
+ *   reach the archive, or after a 429/503 that carries Retry-After
+ * - Circuit breaker: after FAILURE_THRESHOLD consecutive failed attempts the circuit opens
+ *   and the requests wait (the synchronization pauses) until it half-opens; a single request
+ *   then probes the archive while the others wait, and closes the circuit or reopens it for twice as long.
+ *   A request that would wait longer than MAX_PAUSE_MS fails instead.
+ * - Sync or async: small queries use /TAP/sync; queries estimated above ASYNC_THRESHOLD_CELLS
+ *   (rows x columns) run as IVOA TAP async jobs (/TAP/async): submit, poll the phase, fetch the results
+ * - Metrics: requests, attempts, retries, failures by status, latency, async jobs and circuit state
+ */
+export class TapClient {
+
+    static BASE_URL = process.env.NASA_TAP_URL || 'https://exoplanetarchive.ipac.caltech.edu/TAP';
+    static SYNC_URL = `${this.BASE_URL}/sync`;
+    static ASYNC_URL = `${this.BASE_URL}/async`;
+    static USER_AGENT = 'Space-Backend-Sync/1.0';
+
+    // Query size (rows x columns) above which a query runs as an async job
+    static ASYNC_THRESHOLD_CELLS = parseInt(process.env.TAP_ASYNC_THRESHOLD_CELLS) || 250000;
+    static DEFAULT_TABLE_ROWS = 10000; // Rows assumed for a query without TOP, IN list or estimate
+    static STAR_COLUMNS = 100; // Columns assumed for SELECT *
+    static ASYNC_TIMEOUT_MS = parseInt(process.env.TAP_ASYNC_TIMEOUT_MS) || 20 * 60 * 1000;
+    static POLL_INTERVAL_MS = 1000;
+    static MAX_POLL_INTERVAL_MS = 10000;
+    static RESULT_TIMEOUT_MS = 5 * 60 * 1000;
+    static FINAL_PHASES = ['COMPLETED', 'ERROR', 'ABORTED', 'ARCHIVED'];
+
+    static MAX_RETRIES = parseInt(process.env.TAP_MAX_RETRIES) || 4;
+    static BASE_DELAY_MS = 1000;
+    static MAX_DELAY_MS = 30000;
+    static MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+    static FAILURE_THRESHOLD = parseInt(process.env.TAP_CIRCUIT_THRESHOLD) || 5;
+    static OPEN_MS = parseInt(process.env.TAP_CIRCUIT_OPEN_MS) || 60000;
+    static MAX_OPEN_MS = 15 * 60 * 1000;
+    static MAX_PAUSE_MS = parseInt(process.env.TAP_MAX_PAUSE_MS) || 15 * 60 * 1000;
+
+    static RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+    // Failures of a non-idempotent request that are safe to resend
+    static UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+    static RESEND_STATUSES = [429, 503]; // With a Retry-After header
+
+    static probe = null; // Request probing the archive while the circuit is half-open
+
+    static circuit = this.createCircuit();
+    static metrics = this.createMetrics();
+
+    /**
+     * Run an ADQL query, synchronously or as an async job depending on its estimated size
+     * @param {string} query - ADQL query
+     * @param {Object} options - Options
+     * @param {number} options.timeout - Timeout of a sync query (ms)
+     * @param {string} options.label - Name of the query in the logs
+     * @param {number} options.estimatedRows - Expected rows (default: TOP n, IN list size or DEFAULT_TABLE_ROWS)
+     * @param {string} options.mode - 'auto', 'sync' or 'async'
+     * @returns {Promise<Array>} Rows
+     */
+    static async query(query, { timeout = 60000, label = 'query', estimatedRows = null, mode = 'auto' } = {}) {
+        const size = this.estimateQuerySize(query, estimatedRows);
+
+        if (mode === 'async' || (mode === 'auto' && size.cells > this.ASYNC_THRESHOLD_CELLS)) {
+            console.log(`📨 TAP ${label}: ~${size.rows} rows x ${size.columns} columns, running as an async job`);
+            return this.queryAsync(query, { label });
+        }
+
+        this.metrics.syncQueries++;
+        const params = new URLSearchParams({
+            query: query,
+            format: 'json'
+        });
+
+        const response = await this.request({ method: 'get', url: `${this.SYNC_URL}?${params}`, timeout }, label);
+        return response.data;
+    }
+
+    /**
+     * Estimate the size of a query result from its ADQL
+     * @param {string} query - ADQL query
+     * @param {number|null} estimatedRows - Expected rows, if known by the caller
+     * @returns {Object} { rows, columns, cells }
+     */
+    static estimateQuerySize(query, estimatedRows = null) {
+        const select = query.match(/^\s*SELECT\s+(?:TOP\s+(\d+)\s+)?(.+?)\s+FROM\s/is);
+        const inList = query.match(/\bIN\s*\(([^)]*)\)/i);
+
+        const columns = !select || select[2].trim() === '*' ? this.STAR_COLUMNS : select[2].split(',').length;
+        const rows = estimatedRows
+            ?? (select?.[1] ? Number(select[1]) : null)
+            ?? (inList ? inList[1].split(',').length : this.DEFAULT_TABLE_ROWS);
+
+        return { rows, columns, cells: rows * columns };
+    }
+
+    /**
+     * Run an ADQL query as an IVOA TAP async job: submit, wait for a final phase, fetch the results
+     * The job is deleted from the archive afterwards (also on failure or timeout)
+     * @param {string} query - ADQL query
+     * @param {Object} options - { label: name of the query in the logs }
+     * @returns {Promise<Array>} Rows
+     */
+    static async queryAsync(query, { label = 'query' } = {}) {
+        this.metrics.asyncJobs.submitted++;
+        const jobUrl = await this.submitAsyncJob(query, label);
+
+        try {
+            const phase = await this.waitForAsyncJob(jobUrl, label);
+            if (phase !== 'COMPLETED') {
+                throw new Error(`TAP async job ${phase}: ${await this.fetchAsyncJobError(jobUrl)}`);
+            }
+
+            const response = await this.request({ method: 'get', url: `${jobUrl}/results/result`, timeout: this.RESULT_TIMEOUT_MS }, `${label} results`);
+            this.metrics.asyncJobs.completed++;
+            console.log(`✅ TAP async job ${label} completed`);
+            return response.data;
+
+        } catch (error) {
+            this.metrics.asyncJobs.failed++;
+            throw error;
+
+        } finally {
+            await this.deleteAsyncJob(jobUrl);
+        }
+    }
+
+    /**
+     * Create and start an async job
+     * @param {string} query - ADQL query
+     * @param {string} label - Name of the query in the logs
+     * @returns {Promise<string>} Job URL
+     */
+    static async submitAsyncJob(query, label) {
+        const body = new URLSearchParams({
+            REQUEST: 'doQuery',
+            LANG: 'ADQL',
+            QUERY: query,
+            FORMAT: 'json',
+            PHASE: 'RUN'
+        });
+
+        // The archive answers 303 See Other with the job URL
+        // A resent submission could create a second job: only resent if the archive did not take it
+        const response = await this.request({
+            idempotent: false,
+            method: 'post',
+            url: this.ASYNC_URL,
+            data: body.toString(),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 60000,
+            maxRedirects: 0,
+            validateStatus: status => status >= 200 && status < 400,
+            acceptedStatuses: [200, 201, 302, 303]
+        }, `${label} submission`);
+
+        const location = response.headers?.location;
+        if (location) {
+            return new URL(location, `${this.ASYNC_URL}/`).toString();
+        }
+
+        // Or the job description (UWS XML)
+        const jobId = String(response.data).match(/<uws:jobId>\s*([^<\s]+)\s*<\/uws:jobId>/)?.[1];
+        if (!jobId) {
+            throw new Error('TAP async submission returned no job URL');
+        }
+        return `${this.ASYNC_URL}/${jobId}`;
+    }
+
+    /**
+     * Poll the phase of an async job until it is final, with a growing interval
+     * @param {string} jobUrl - Job URL
+     * @param {string} label - Name of the query in the logs
+     * @returns {Promise<string>} Final phase (COMPLETED, ERROR, ABORTED or ARCHIVED)
+     */
+    static async waitForAsyncJob(jobUrl, label) {
+        const deadline = Date.now() + this.ASYNC_TIMEOUT_MS;
+        let interval = this.POLL_INTERVAL_MS;
+        let runRequested = false;
+
+        while (true) {
+            const response = await this.request({ method: 'get', url: `${jobUrl}/phase`, responseType: 'text', timeout: 30000 }, `${label} phase`);
+            const phase = String(response.data).trim().toUpperCase();
+
+            if (this.FINAL_PHASES.includes(phase)) {
+                return phase;
+            }
+
+            // A service that ignored PHASE=RUN keeps the job PENDING
+            if (phase === 'PENDING' && !runRequested) {
+                await this.request({
+                    method: 'post',
+                    url: `${jobUrl}/phase`,
+                    data: 'PHASE=RUN',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 30000,
+                    maxRedirects: 0,
+                    validateStatus: status => status >= 200 && status < 400,
+                    acceptedStatuses: [200, 302, 303]
+                }, `${label} start`);
+                runRequested = true;
+            }
+
+            if (Date.now() + interval > deadline) {
+                throw new Error(`TAP async job still ${phase} after ${Math.round(this.ASYNC_TIMEOUT_MS / 1000)}s`);
+            }
+
+            console.log(`⏳ TAP async job ${label}: ${phase}`);
+            await this.sleep(interval);
+            interval = Math.min(Math.round(interval * 1.5), this.MAX_POLL_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Get the error message of a failed async job
+     * @param {string} jobUrl - Job URL
+     * @returns {Promise<string>} Error message (QUERY_STATUS of the VOTable, or the raw text)
+     */
+    static async fetchAsyncJobError(jobUrl) {
+        try {
+            const response = await this.request({ method: 'get', url: `${jobUrl}/error`, responseType: 'text', timeout: 30000 }, 'async job error');
+            const text = String(response.data);
+            const status = text.match(/<INFO[^>]*name="QUERY_STATUS"[^>]*>([\s\S]*?)<\/INFO>/i)?.[1];
+            return (status || text).trim().slice(0, 500) || 'unknown error';
+        } catch (error) {
+            return 'unknown error';
+        }
+    }
+
+    /**
+     * Delete an async job from the archive (best effort: the archive also expires its jobs)
+     * @param {string} jobUrl - Job URL
+     * @returns {Promise<void>}
+     */
+    static async deleteAsyncJob(jobUrl) {
+        // Not worth waiting for an open circuit, nor retrying
+        if (!this.isCircuitAvailable()) return;
+
+        try {
+            await this.request({
+                method: 'delete',
+                url: jobUrl,
+                timeout: 10000,
+                maxRedirects: 0,
+                validateStatus: status => status >= 200 && status < 400,
+                acceptedStatuses: [200, 202, 204, 303],
+                retries: 0
+            }, 'async job deletion');
+        } catch (error) {
+            console.error(`⚠️ Warning: TAP async job ${jobUrl} could not be deleted:`, this.describeFailure(error));
+        }
+    }
+
+    /**
+     * Send a request to the archive with retries and the circuit breaker
+     * @param {Object} config - axios request config, acceptedStatuses (default: [200]),
+     *                          idempotent (default: true; false only resends the requests the archive did not take)
+     *                          and retries (default: MAX_RETRIES)
+     * @param {string} label - Name of the request in the logs
+     * @returns {Promise<Object>} axios response
+     */
+    static async request({ acceptedStatuses = [200], idempotent = true, retries = this.MAX_RETRIES, ...config }, label = 'request') {
+        const startTime = Date.now();
+        this.metrics.requests++;
+
+        for (let attempt = 1; ; attempt++) {
+            const probe = await this.waitForCircuit(startTime, label);
+
+            const attemptStart = Date.now();
+            this.metrics.attempts++;
+
+            try {
+                const response = await axios.request({
+                    ...config,
+                    headers: { 'User-Agent': this.USER_AGENT, ...config.headers }
+                });
+
+                if (!acceptedStatuses.includes(response.status)) {
+                    throw Object.assign(new Error(`NASA API returned status ${response.status}: ${response.statusText}`), { response });
+                }
+
+                this.recordSuccess(Date.now() - attemptStart);
+                this.endProbe(probe);
+                return response;
+
+            } catch (error) {
+                const transient = this.isRetryable(error);
+                this.recordFailure(error, transient);
+                this.endProbe(probe);
+
+                const retryable = transient && (idempotent || this.isSafeToResend(error));
+
+                if (!retryable || attempt > retries) {
+                    this.metrics.failed++;
+                    if (attempt > 1) {
+                        error.message = `${error.message} (after ${attempt} attempts)`;
+                    }
+                    throw error;
+                }
+
+                const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+                const delay = retryAfter ?? this.getBackoffDelay(attempt);
+                if (retryAfter !== null) {
+                    this.metrics.retryAfterHonored++;
+                }
+                this.metrics.retries++;
+
+                console.log(`🔁 TAP ${label} failed (${this.describeFailure(error)}), retry ${attempt}/${retries} in ${(delay / 1000).toFixed(1)}s${retryAfter !== null ? ' (Retry-After)' : ''}`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Wait while the circuit is open; half-open it once the open period is over
+     * A half-open circuit lets a single probe through: the other requests wait for its outcome
+     * @param {number} startTime - Start of the request (ms)
+     * @param {string} label - Name of the request in the logs
+     * @returns {Promise<boolean>} True if the request is the probe (to be ended with endProbe)
+     */
+    static async waitForCircuit(startTime, label) {
+        while (this.circuit.state !== 'closed') {
+            if (this.circuit.state === 'half_open') {
+                if (!this.probe) {
+                    this.startProbe();
+                    return true;
+                }
+                await this.probe.settled;
+                continue;
+            }
+
+            const remaining = this.circuit.openUntil - Date.now();
+
+            if (remaining <= 0) {
+                this.circuit.state = 'half_open';
+                console.log('🔄 TAP circuit half-open: probing the NASA archive');
+                continue;
+            }
+
+            if (Date.now() + remaining - startTime > this.MAX_PAUSE_MS) {
+                this.metrics.failed++;
+                throw new Error(`NASA archive unavailable: TAP circuit open until ${new Date(this.circuit.openUntil).toISOString()}`);
+            }
+
+            console.log(`⏸️ NASA archive unavailable, TAP ${label} paused for ${(remaining / 1000).toFixed(0)}s`);
+            this.metrics.pauses++;
+            this.metrics.pausedMs += remaining;
+            await this.sleep(remaining);
+        }
+
+        return false;
+    }
+
+    /**
+     * Mark a request as the probe of the half-open circuit
+     */
+    static startProbe() {
+        let release;
+        const settled = new Promise(resolve => { release = resolve; });
+        this.probe = { settled, release };
+    }
+
+    /**
+     * End the probe once its attempt settled: the waiting requests check the circuit again
+     * @param {boolean} probe - Whether the attempt was the probe
+     */
+    static endProbe(probe) {
+        if (!probe || !this.probe) return;
+
+        const { release } = this.probe;
+        this.probe = null;
+        release();
+    }
+
+    /**
+     * Record a successful attempt (closes the circuit)
+     * @param {number} latency - Attempt duration (ms)
+     */
+    static recordSuccess(latency) {
+        if (this.circuit.state !== 'closed') {
+            console.log('✅ TAP circuit closed: the NASA archive answers again');
+        }
+        this.circuit = this.createCircuit();
+
+        this.metrics.succeeded++;
+        this.metrics.totalLatencyMs += latency;
+        this.metrics.maxLatencyMs = Math.max(this.metrics.maxLatencyMs, latency);
+        this.metrics.lastSuccessAt = new Date();
+    }
+
+    /**
+     * Record a failed attempt; transient failures count towards opening the circuit
+     * @param {Error} error - axios error
+     * @param {boolean} retryable - Whether the failure is transient
+     */
+    static recordFailure(error, retryable) {
+        const key = error.response ? String(error.response.status) : (error.code || 'network');
+        this.metrics.failuresByType[key] = (this.metrics.failuresByType[key] || 0) + 1;
+        this.metrics.lastFailureAt = new Date();
+        this.metrics.lastError = this.describeFailure(error);
+
+        // A rejected query (400...) means the archive is up
+        if (!retryable) return;
+
+        this.circuit.failures++;
+        if (this.circuit.state === 'half_open' || (this.circuit.state === 'closed' && this.circuit.failures >= this.FAILURE_THRESHOLD)) {
+            this.openCircuit();
+        }
+    }
+
+    /**
+     * Open the circuit; each consecutive opening lasts twice as long (up to MAX_OPEN_MS)
+     */
+    static openCircuit() {
+        const duration = Math.min(this.OPEN_MS * 2 ** this.circuit.consecutiveOpenings, this.MAX_OPEN_MS);
+        const now = Date.now();
+
+        this.circuit = {
+            ...this.circuit,
+            state: 'open',
+            openedAt: new Date(now),
+            openUntil: now + duration,
+            consecutiveOpenings: this.circuit.consecutiveOpenings + 1
+        };
+        this.metrics.circuitOpenings++;
+
+        console.error(`❌ TAP circuit open: NASA archive unavailable after ${this.circuit.failures} failed attempts, requests paused for ${(duration / 1000).toFixed(0)}s`);
+    }
+
+    /**
+     * Whether a failure is transient (network error, timeout, 408, 425, 429 or 5xx)
+     * @param {Error} error - axios error
+     * @returns {boolean} True if the request can be retried
+     */
+    static isRetryable(error) {
+        if (!error.response) {
+            return true;
+        }
+        return this.RETRYABLE_STATUSES.includes(error.response.status);
+    }
+
+    /**
+     * Whether a failed non-idempotent request can be resent: it did not reach the archive
+     * (connection refused, unknown host), or the archive refused it with 429/503 and a Retry-After header
+     * @param {Error} error - axios error
+     * @returns {boolean} True if the request can be resent
+     */
+    static isSafeToResend(error) {
+        if (!error.response) {
+            return this.UNSENT_ERROR_CODES.includes(error.code);
+        }
+        return this.RESEND_STATUSES.includes(error.response.status)
+            && this.parseRetryAfter(error.response.headers?.['retry-after']) !== null;
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string} value - Header value
+     * @returns {number|null} Delay (ms), capped at MAX_RETRY_AFTER_MS, or null
+     */
+    static parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const seconds = Number(value);
+        const delay = Number.isFinite(seconds)
+            ? seconds * 1000
+            : new Date(value).getTime() - Date.now();
+
+        if (!Number.isFinite(delay)) return null;
+        return Math.min(Math.max(delay, 0), this.MAX_RETRY_AFTER_MS);
+    }
+
+    /**
+     * Exponential backoff with jitter: half of the exponential delay, plus a random share of the other half
+     * @param {number} attempt - Failed attempt number (1 for the first)
+     * @returns {number} Delay (ms)
+     */
+    static getBackoffDelay(attempt) {
+        const exponential = Math.min(this.BASE_DELAY_MS * 2 ** (attempt - 1), this.MAX_DELAY_MS);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Short description of a failure for the logs
+     * @param {Error} error - axios error
+     * @returns {string} Description
+     */
+    static describeFailure(error) {
+        if (error.response) {
+            return `HTTP ${error.response.status}`;
+        }
+        return error.code || error.message;
+    }
+
+    /**
+     * Whether the circuit is open (the archive is considered down)
+     * @returns {boolean} True if the circuit is open
+     */
+    static isCircuitOpen() {
+        return this.circuit.state === 'open';
+    }
+
+    /**
+     * Whether requests can be sent: the circuit is closed, or its open period is over (next request probes)
+     * @returns {boolean} True if the archive can be queried
+     */
+    static isCircuitAvailable() {
+        return this.circuit.state !== 'open' || Date.now() >= this.circuit.openUntil;
+    }
+
+    /**
+     * Get the request metrics and the circuit state
+     * @returns {Object} Metrics
+     */
+    static getMetrics() {
+        return {
+            ...this.metrics,
+            failuresByType: { ...this.metrics.failuresByType },
+            asyncJobs: { ...this.metrics.asyncJobs },
+            averageLatencyMs: this.metrics.succeeded > 0 ? Math.round(this.metrics.totalLatencyMs / this.metrics.succeeded) : null,
+            circuit: {
+                state: this.circuit.state,
+                consecutiveFailures: this.circuit.failures,
+                openedAt: this.circuit.openedAt,
+                openUntil: this.circuit.openUntil ? new Date(this.circuit.openUntil) : null
+            },
+            config: {
+                maxRetries: this.MAX_RETRIES,
+                failureThreshold: this.FAILURE_THRESHOLD,
+                openMs: this.OPEN_MS,
+                maxPauseMs: this.MAX_PAUSE_MS,
+                asyncThresholdCells: this.ASYNC_THRESHOLD_CELLS
+            }
+        };
+    }
+
+    /**
+     * Closed circuit state
+     * @returns {Object} Circuit
+     */
+    static createCircuit() {
+        return { state: 'closed', failures: 0, openedAt: null, openUntil: null, consecutiveOpenings: 0 };
+    }
+
+    /**
+     * Empty metrics
+     * @returns {Object} Metrics
+     */
+    static createMetrics() {
+        return {
+            since: new Date(),
+            requests: 0,
+            syncQueries: 0,
+            asyncJobs: { submitted: 0, completed: 0, failed: 0 },
+            succeeded: 0,
+            failed: 0,
+            attempts: 0,
+            retries: 0,
+            retryAfterHonored: 0,
+            failuresByType: {},
+            circuitOpenings: 0,
+            pauses: 0,
+            pausedMs: 0,
+            totalLatencyMs: 0,
+            maxLatencyMs: 0,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * Wait
+     * @param {number} ms - Duration (ms)
+     * @returns {Promise<void>}
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
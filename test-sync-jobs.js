@@ -0,0 +1,268 @@
+import dotenv from 'dotenv';
+import assert from 'assert/strict';
+import { connectToDatabase, getDatabase, closeDatabase } from './config/database.js';
+import { SyncJobService } from './services/syncJobService.js';
+import { SyncLockService } from './services/syncLockService.js';
+import { SchedulerService } from './services/schedulerService.js';
+import { NasaSyncService } from './services/nasaSyncService.js';
+import { CatalogService } from './services/catalogService.js';
+import { SimilarityService } from './services/similarityService.js';
+import { SearchService } from './services/searchService.js';
+import { TapClient } from './services/tapClient.js';
+
+dotenv.config();
+
+/**
+ * Sync job test against the kepler_database_test database of MONGODB_TEST_URI
+ * Covers the job state machine, the progress of a job, a run paused at a checkpoint
+ * then resumed by the scheduler while a scheduler tick fires, and a run paused while the
+ * NASA archive is down then resumed by the next scheduler tick.
+ * The NASA archive is not called: the plan and the batch processing are stubbed, and restored afterwards.
+ * The test never runs against MONGODB_URI: it clears the job and lock collections of its own database first.
+ */
+
+const TEST_DATABASE = 'kepler_database_test';
+
+const PLAN = {
+    newKOIs: [
+        { kepoi_name: 'K90001.01', koi_disposition: 'CONFIRMED' },
+        { kepoi_name: 'K90002.01', koi_disposition: 'CANDIDATE' },
+        { kepoi_name: 'K90003.01', koi_disposition: 'FALSE POSITIVE' }
+    ],
+    changedKOIs: [
+        { kepoi_name: 'K90004.01' },
+        { kepoi_name: 'K90005.01' }
+    ]
+};
+
+const processed = [];
+const originals = [];
+let plans = 0;
+let pauseJobId = null;
+let archiveDown = false;
+let connected = false;
+
+/**
+ * Replace a static member for the duration of the test (restored by restoreStubs)
+ */
+function stub(target, name, value) {
+    originals.push([target, name, target[name]]);
+    target[name] = value;
+}
+
+function restoreStubs() {
+    while (originals.length > 0) {
+        const [target, name, value] = originals.pop();
+        target[name] = value;
+    }
+}
+
+function stubSynchronization() {
+    stub(NasaSyncService, 'FETCH_BATCH_SIZE', 2);
+    stub(NasaSyncService, 'planSynchronization', async (stats) => {
+        plans++;
+        stats.newKOIs = PLAN.newKOIs.length;
+        stats.changedKOIs = PLAN.changedKOIs.length;
+        return PLAN;
+    });
+    stub(NasaSyncService, 'processNewKOIBatch', async (batch) => {
+        if (archiveDown) {
+            throw new Error('NASA archive unavailable: TAP circuit open');
+        }
+        processed.push(...batch.map(entry => entry.kepoi_name));
+        // Pause request during the first batch: applied at its checkpoint
+        if (pauseJobId) {
+            await SyncJobService.pauseJob(pauseJobId);
+            pauseJobId = null;
+        }
+    });
+    stub(NasaSyncService, 'processChangedKOIBatch', async (batch) => {
+        processed.push(...batch.map(entry => entry.kepoi_name));
+    });
+    stub(NasaSyncService, 'saveSyncStats', async () => {});
+    stub(CatalogService, 'syncAllCatalogs', async () => null);
+    stub(SimilarityService, 'buildIndex', async () => {});
+    stub(SearchService, 'buildIndex', async () => {});
+}
+
+function createTestJob() {
+    return SyncJobService.createJob({ trigger: 'manual' });
+}
+
+async function waitForScheduler(timeoutMs = 10000) {
+    const start = Date.now();
+    while (SchedulerService.isRunning) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('The resumed job did not finish in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+async function testSyncJobs() {
+    try {
+        console.log('🧪 Testing sync jobs...\n');
+
+        console.log('1️⃣ Computing job progress...');
+        const unplanned = { status: 'queued', plan: null, stats: null, checkpoint: { phase: 'new', index: 0 } };
+        assert.deepEqual(SyncJobService.getProgress(unplanned), {
+            planned: false,
+            phase: 'new',
+            processed: 0,
+            total: 0,
+            percent: 0,
+            newKOIs: { processed: 0, total: 0 },
+            changedKOIs: { processed: 0, total: 0 }
+        });
+
+        const midRun = { status: 'running', plan: PLAN, checkpoint: { phase: 'changed', index: 1 } };
+        assert.deepEqual(SyncJobService.getProgress(midRun), {
+            planned: true,
+            phase: 'changed',
+            processed: 4,
+            total: 5,
+            percent: 80,
+            newKOIs: { processed: 3, total: 3 },
+            changedKOIs: { processed: 1, total: 2 }
+        });
+
+        const overshoot = { status: 'paused', plan: PLAN, checkpoint: { phase: 'new', index: 10 } };
+        assert.equal(SyncJobService.getProgress(overshoot).processed, 3);
+
+        // Job lists are read without the plan: the totals come from planTotals
+        const withoutPlan = { status: 'running', planTotals: { newKOIs: 3, changedKOIs: 2 }, checkpoint: { phase: 'changed', index: 1 } };
+        assert.deepEqual(SyncJobService.getProgress(withoutPlan), SyncJobService.getProgress(midRun));
+
+        // Completed jobs are listed without their plan: the totals come from the statistics
+        const completed = { status: 'completed', plan: undefined, stats: { newKOIs: 3, changedKOIs: 2 }, checkpoint: { phase: 'new', index: 2 } };
+        assert.deepEqual(SyncJobService.getProgress(completed), {
+            planned: true,
+            phase: 'done',
+            processed: 5,
+            total: 5,
+            percent: 100,
+            newKOIs: { processed: 3, total: 3 },
+            changedKOIs: { processed: 2, total: 2 }
+        });
+        assert.equal(SyncJobService.getProgress({ status: 'completed', stats: { newKOIs: 0, changedKOIs: 0 } }).percent, 100);
+        console.log('✅ Progress computed from the plan and checkpoint');
+
+        console.log('\n2️⃣ Connecting to the test database...');
+        if (!process.env.MONGODB_TEST_URI) {
+            throw new Error('MONGODB_TEST_URI not found in environment variables (the test does not run against MONGODB_URI)');
+        }
+        await connectToDatabase({ uri: process.env.MONGODB_TEST_URI, dbName: TEST_DATABASE });
+        connected = true;
+        // Dedicated database: the jobs and the lock left by a previous run are cleared
+        await getDatabase().collection(SyncJobService.COLLECTION).deleteMany({});
+        await getDatabase().collection(SyncLockService.COLLECTION).deleteMany({});
+        stubSynchronization();
+        console.log('✅ Connected to', TEST_DATABASE);
+
+        console.log('\n3️⃣ Moving a job through the state machine...');
+        const job = await createTestJob();
+        assert.equal(job.status, 'queued');
+        assert.equal(job.progress.planned, false);
+        await assert.rejects(SyncJobService.createJob(), /already in progress/);
+        await assert.rejects(SyncJobService.transition(job.id, 'completed'), /Cannot move a queued job to completed/);
+
+        // Two concurrent transitions from the same state: only one applies
+        const results = await Promise.allSettled([
+            SyncJobService.transition(job.id, 'running'),
+            SyncJobService.transition(job.id, 'running')
+        ]);
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        assert.match(results.find(result => result.status === 'rejected').reason.message, /its status changed|Cannot move a running job/);
+
+        await SyncJobService.transition(job.id, 'failed', { $set: { error: 'test' } });
+        await assert.rejects(SyncJobService.pauseJob(job.id), /Cannot pause a failed job/);
+        await SyncJobService.transition(job.id, 'queued', {}, 'resumed');
+        assert.equal((await SyncJobService.pauseJob(job.id)).status, 'paused');
+        const cancelled = await SyncJobService.cancelJob(job.id);
+        assert.equal(cancelled.status, 'failed');
+        assert.equal(cancelled.cancelled, true);
+        assert.deepEqual(cancelled.history.map(entry => entry.status), ['queued', 'running', 'failed', 'queued', 'paused', 'failed']);
+        assert.equal(cancelled.history[3].reason, 'resumed');
+        assert.equal(cancelled.history[5].reason, 'cancelled');
+        await assert.rejects(SyncJobService.getJob('000000000000000000000000'), /not found/);
+        console.log('✅ Transitions applied, invalid and concurrent ones rejected');
+
+        console.log('\n4️⃣ Pausing a run at a checkpoint...');
+        const run = await createTestJob();
+        pauseJobId = run.id;
+        const { job: paused } = await SyncJobService.runJob(run.id);
+        assert.equal(paused.status, 'paused');
+        assert.deepEqual(paused.checkpoint, { phase: 'new', index: 2 });
+        assert.equal(paused.progress.processed, 2);
+        assert.equal(paused.progress.percent, 40);
+        assert.deepEqual(processed, ['K90001.01', 'K90002.01']);
+        assert.equal(plans, 1);
+        const listed = (await SyncJobService.listJobs({ status: 'paused' })).find(item => item.id === run.id);
+        assert.deepEqual(listed.progress, paused.progress);
+        assert.equal('plan' in listed, false);
+        console.log('✅ Run paused after its first batch:', JSON.stringify(paused.progress));
+
+        console.log('\n5️⃣ Resuming the run while a scheduler tick fires...');
+        const resuming = SchedulerService.resumeSync(run.id);
+        // The tick must skip the run instead of releasing the lock of the resume
+        assert.equal(await SchedulerService.executeSyncTask(), undefined);
+        assert.equal((await resuming).status, 'queued');
+        await waitForScheduler();
+
+        const finished = await SyncJobService.getJob(run.id);
+        assert.equal(finished.status, 'completed');
+        assert.equal(finished.attempts, 2);
+        assert.equal(finished.progress.percent, 100);
+        assert.deepEqual(processed, ['K90001.01', 'K90002.01', 'K90003.01', 'K90004.01', 'K90005.01']);
+        assert.equal(plans, 1);
+        assert.equal(await SyncLockService.getLock(), null);
+        assert.equal(SchedulerService.isRunning, false);
+        console.log('✅ Run resumed from its checkpoint and completed, lock released');
+
+        console.log('\n6️⃣ Resuming a run paused while the NASA archive was down...');
+        processed.length = 0;
+        const outage = await createTestJob();
+        archiveDown = true;
+        TapClient.circuit = { ...TapClient.createCircuit(), state: 'open', failures: TapClient.FAILURE_THRESHOLD, openUntil: Date.now() + 60000, consecutiveOpenings: 1 };
+        const { job: stalled } = await SyncJobService.runJob(outage.id);
+        assert.equal(stalled.status, 'paused');
+        assert.equal(stalled.history[stalled.history.length - 1].reason, 'archive_unavailable');
+        assert.equal((await SyncJobService.findArchivePausedJob()).id, outage.id);
+
+        // Circuit still open: the scheduler tick leaves the job paused
+        assert.equal(await SchedulerService.executeSyncTask(), undefined);
+        assert.equal((await SyncJobService.getJob(outage.id)).status, 'paused');
+
+        // Open period over: the tick resumes the job instead of creating a new one
+        archiveDown = false;
+        TapClient.circuit.openUntil = Date.now();
+        const resumedStats = await SchedulerService.executeSyncTask();
+        assert.equal(resumedStats.jobId, outage.id);
+        assert.equal(resumedStats.jobStatus, 'completed');
+        assert.deepEqual(processed, ['K90001.01', 'K90002.01', 'K90003.01', 'K90004.01', 'K90005.01']);
+        assert.equal(await SyncJobService.findArchivePausedJob(), null);
+        console.log('✅ Paused job resumed by the scheduler once the circuit allowed it');
+
+        console.log('\n✅ All tests passed! Sync jobs are working correctly.');
+
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack:', error.stack);
+        process.exitCode = 1;
+
+    } finally {
+        restoreStubs();
+        TapClient.circuit = TapClient.createCircuit();
+        // AUTO_START_SYNC starts the weekly scheduler when the module loads
+        if (SchedulerService.syncTask) {
+            SchedulerService.stopWeeklySync();
+        }
+        if (connected) {
+            await SyncLockService.release();
+            await closeDatabase();
+        }
+    }
+}
+
+// Run the test
+testSyncJobs();
@@ -0,0 +1,134 @@
+import dotenv from 'dotenv';
+import assert from 'assert/strict';
+import { connectToDatabase, getDatabase, closeDatabase } from './config/database.js';
+import { SyncLockService } from './services/syncLockService.js';
+
+dotenv.config();
+
+/**
+ * Synchronization lock test against the kepler_database_test database of MONGODB_TEST_URI
+ * Covers acquire, re-entrant acquire, lease expiry and takeover, assertHeld and release.
+ * A second API instance is simulated by swapping the instance id of the service.
+ * The test never runs against MONGODB_URI: it clears the lock collection of its own database first,
+ * and restores the lease settings of the service afterwards.
+ */
+
+const TEST_DATABASE = 'kepler_database_test';
+const OTHER_INSTANCE = 'test-instance-b';
+const LEASE_MS = 300;
+
+let connected = false;
+
+/**
+ * Run a lock call as another instance (the lease state of this instance is restored afterwards)
+ */
+async function asOtherInstance(action) {
+    const { INSTANCE_ID, leaseExpiresAt } = SyncLockService;
+    SyncLockService.INSTANCE_ID = OTHER_INSTANCE;
+    SyncLockService.leaseExpiresAt = 0;
+    try {
+        return await action();
+    } finally {
+        SyncLockService.stopHeartbeat();
+        SyncLockService.INSTANCE_ID = INSTANCE_ID;
+        SyncLockService.leaseExpiresAt = leaseExpiresAt;
+    }
+}
+
+function getLockDocument() {
+    return getDatabase().collection(SyncLockService.COLLECTION).findOne({ _id: SyncLockService.LOCK_ID });
+}
+
+async function testSyncLock() {
+    const { LEASE_MS: leaseMs, HEARTBEAT_MS: heartbeatMs } = SyncLockService;
+
+    try {
+        console.log('🧪 Testing the synchronization lock...\n');
+
+        console.log('1️⃣ Connecting to the test database...');
+        if (!process.env.MONGODB_TEST_URI) {
+            throw new Error('MONGODB_TEST_URI not found in environment variables (the test does not run against MONGODB_URI)');
+        }
+        await connectToDatabase({ uri: process.env.MONGODB_TEST_URI, dbName: TEST_DATABASE });
+        connected = true;
+        // Dedicated database: the lock left by a previous run is cleared
+        await getDatabase().collection(SyncLockService.COLLECTION).deleteMany({});
+        SyncLockService.LEASE_MS = LEASE_MS;
+        // No renewal during the test: the lease must be able to expire
+        SyncLockService.HEARTBEAT_MS = 60000;
+        console.log('✅ Connected to', TEST_DATABASE);
+
+        console.log('\n2️⃣ Acquiring the lock...');
+        assert.equal(SyncLockService.isHeld(), false);
+        assert.throws(() => SyncLockService.assertHeld(), /Synchronization lock lost/);
+        const first = await SyncLockService.acquire();
+        assert.equal(first.acquired, true);
+        assert.equal(first.holder, SyncLockService.INSTANCE_ID);
+        assert.equal(SyncLockService.isHeld(), true);
+        SyncLockService.assertHeld();
+        const lock = await SyncLockService.getLock();
+        assert.equal(lock.holder, SyncLockService.INSTANCE_ID);
+        assert.equal(lock.heldByThisInstance, true);
+        console.log('✅ Lock acquired by', first.holder);
+
+        console.log('\n3️⃣ Acquiring the held lock again...');
+        const acquiredAt = (await getLockDocument()).acquiredAt;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const again = await SyncLockService.acquire();
+        assert.equal(again.acquired, true);
+        assert.ok(again.expiresAt > first.expiresAt);
+        assert.deepEqual((await getLockDocument()).acquiredAt, acquiredAt);
+        console.log('✅ Lease extended, acquisition date kept');
+
+        console.log('\n4️⃣ Acquiring the live lock from another instance...');
+        const refused = await asOtherInstance(() => SyncLockService.acquire());
+        assert.equal(refused.acquired, false);
+        assert.equal(refused.holder, SyncLockService.INSTANCE_ID);
+        assert.equal((await getLockDocument()).holder, SyncLockService.INSTANCE_ID);
+        console.log('✅ Refused while the lease is live');
+
+        console.log('\n5️⃣ Taking over an expired lease...');
+        SyncLockService.stopHeartbeat();
+        await new Promise(resolve => setTimeout(resolve, LEASE_MS + 50));
+        assert.equal(SyncLockService.isHeld(), false);
+        assert.throws(() => SyncLockService.assertHeld(), /Synchronization lock lost/);
+        const takeover = await asOtherInstance(() => SyncLockService.acquire());
+        assert.equal(takeover.acquired, true);
+        assert.equal(takeover.holder, OTHER_INSTANCE);
+        // The previous holder cannot renew or release the lock it lost
+        assert.equal(await SyncLockService.renew(), false);
+        await SyncLockService.release();
+        assert.equal((await getLockDocument()).holder, OTHER_INSTANCE);
+        assert.equal((await SyncLockService.getLock()).heldByThisInstance, false);
+        console.log('✅ Expired lease taken over by', takeover.holder);
+
+        console.log('\n6️⃣ Releasing the lock...');
+        await asOtherInstance(() => SyncLockService.release());
+        assert.equal(await getLockDocument(), null);
+        assert.equal(await SyncLockService.getLock(), null);
+        const free = await SyncLockService.acquire();
+        assert.equal(free.acquired, true);
+        await SyncLockService.release();
+        assert.equal(SyncLockService.isHeld(), false);
+        assert.equal(await getLockDocument(), null);
+        console.log('✅ Lock released and free again');
+
+        console.log('\n✅ All tests passed! The synchronization lock is working correctly.');
+
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack:', error.stack);
+        process.exitCode = 1;
+
+    } finally {
+        SyncLockService.stopHeartbeat();
+        SyncLockService.LEASE_MS = leaseMs;
+        SyncLockService.HEARTBEAT_MS = heartbeatMs;
+        if (connected) {
+            await closeDatabase();
+        }
+    }
+}
+
+// Run the test
+testSyncLock();
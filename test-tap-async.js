@@ -0,0 +1,199 @@
+import http from 'http';
+import assert from 'assert/strict';
+
+/**
+ * TAP client test against a local mock TAP server
+ * The mock serves /TAP/sync and the IVOA async protocol (/TAP/async): job creation (303 See Other),
+ * phase polling, results, error document and job deletion
+ * It also checks that failed job submissions are not resent blindly, and that a half-open
+ * circuit lets a single probe through
+ */
+
+const ROWS = [
+    { kepoi_name: 'K00001.01', koi_disposition: 'CONFIRMED' },
+    { kepoi_name: 'K00002.01', koi_disposition: 'CANDIDATE' }
+];
+
+const jobs = new Map();
+const requests = [];
+const submissionFailures = []; // { status, headers } answered to the next submissions
+const syncEvents = [];
+let syncDelayMs = 0;
+let nextJobId = 1;
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+    });
+}
+
+function send(res, status, body, headers = {}) {
+    const json = typeof body !== 'string';
+    res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/plain', ...headers });
+    res.end(json ? JSON.stringify(body) : body);
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    requests.push(`${req.method} ${url.pathname}`);
+
+    if (req.method === 'GET' && url.pathname === '/TAP/sync') {
+        syncEvents.push('start');
+        await new Promise(resolve => setTimeout(resolve, syncDelayMs));
+        syncEvents.push('end');
+        return send(res, 200, ROWS);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/TAP/async' && submissionFailures.length > 0) {
+        const { status, headers } = submissionFailures.shift();
+        return send(res, status, 'Service Unavailable', headers);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/TAP/async') {
+        const params = new URLSearchParams(body);
+        const id = String(nextJobId++);
+        jobs.set(id, {
+            query: params.get('QUERY'),
+            phase: params.get('PHASE') === 'RUN' ? 'QUEUED' : 'PENDING',
+            polls: 0,
+            fail: params.get('QUERY').includes('missing_table')
+        });
+        return send(res, 303, '', { Location: `/TAP/async/${id}` });
+    }
+
+    const match = url.pathname.match(/^\/TAP\/async\/(\d+)(\/.*)?$/);
+    const job = match && jobs.get(match[1]);
+    if (!job) {
+        return send(res, 404, 'Not Found');
+    }
+    const resource = match[2] || '';
+
+    if (req.method === 'DELETE' && resource === '') {
+        jobs.delete(match[1]);
+        return send(res, 303, '', { Location: '/TAP/async' });
+    }
+
+    if (req.method === 'POST' && resource === '/phase') {
+        job.phase = 'QUEUED';
+        return send(res, 303, '', { Location: `/TAP/async/${match[1]}` });
+    }
+
+    if (req.method === 'GET' && resource === '/phase') {
+        job.polls++;
+        // One transient failure while the job runs
+        if (job.polls === 2) {
+            return send(res, 503, 'Service Unavailable');
+        }
+        if (job.phase !== 'PENDING') {
+            job.phase = job.polls < 4 ? 'EXECUTING' : (job.fail ? 'ERROR' : 'COMPLETED');
+        }
+        return send(res, 200, job.phase);
+    }
+
+    if (req.method === 'GET' && resource === '/results/result' && job.phase === 'COMPLETED') {
+        return send(res, 200, ROWS);
+    }
+
+    if (req.method === 'GET' && resource === '/error' && job.phase === 'ERROR') {
+        return send(res, 200, '<VOTABLE><RESOURCE type="results"><INFO name="QUERY_STATUS" value="ERROR">Table missing_table does not exist</INFO></RESOURCE></VOTABLE>');
+    }
+
+    return send(res, 404, 'Not Found');
+});
+
+async function testTapClient() {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.NASA_TAP_URL = `http://127.0.0.1:${server.address().port}/TAP`;
+
+    // The client reads its base URL when the module is loaded
+    const { TapClient } = await import('./services/tapClient.js');
+    TapClient.POLL_INTERVAL_MS = 10;
+    TapClient.MAX_POLL_INTERVAL_MS = 20;
+    TapClient.BASE_DELAY_MS = 10;
+
+    try {
+        console.log('🧪 Testing TAP client against a mock TAP server...\n');
+
+        console.log('1️⃣ Estimating query sizes...');
+        const columns = Array.from({ length: 150 }, (_, i) => `col${i}`).join(', ');
+        const largeQuery = `SELECT ${columns} FROM cumulative WHERE kepoi_name IS NOT NULL`;
+        const smallQuery = `SELECT ${columns} FROM cumulative WHERE kepoi_name IN ('K00001.01', 'K00002.01')`;
+        assert.deepEqual(TapClient.estimateQuerySize(smallQuery), { rows: 2, columns: 150, cells: 300 });
+        assert.equal(TapClient.estimateQuerySize('SELECT TOP 5 * FROM cumulative').rows, 5);
+        assert.ok(TapClient.estimateQuerySize(largeQuery).cells > TapClient.ASYNC_THRESHOLD_CELLS);
+        console.log('✅ Sizes estimated');
+
+        console.log('\n2️⃣ Running a small query...');
+        requests.length = 0;
+        assert.deepEqual(await TapClient.query(smallQuery, { label: 'small' }), ROWS);
+        assert.deepEqual(requests, ['GET /TAP/sync']);
+        console.log('✅ Small query ran on /TAP/sync');
+
+        console.log('\n3️⃣ Running a large query...');
+        requests.length = 0;
+        assert.deepEqual(await TapClient.query(largeQuery, { label: 'large' }), ROWS);
+        assert.equal(requests[0], 'POST /TAP/async');
+        assert.ok(requests.includes('GET /TAP/async/1/results/result'));
+        assert.equal(requests[requests.length - 1], 'DELETE /TAP/async/1');
+        assert.equal(jobs.size, 0);
+        console.log(`✅ Large query ran as an async job (${requests.length} requests, phase 503 retried)`);
+
+        console.log('\n4️⃣ Running a failing async query...');
+        await assert.rejects(
+            TapClient.query('SELECT * FROM missing_table', { mode: 'async', label: 'failing' }),
+            /TAP async job ERROR: Table missing_table does not exist/
+        );
+        assert.equal(jobs.size, 0);
+        console.log('✅ Job error reported and job deleted');
+
+        console.log('\n5️⃣ Checking metrics...');
+        const metrics = TapClient.getMetrics();
+        assert.equal(metrics.syncQueries, 1);
+        assert.deepEqual(metrics.asyncJobs, { submitted: 2, completed: 1, failed: 1 });
+        assert.equal(metrics.circuit.state, 'closed');
+        console.log('✅ Metrics:', JSON.stringify(metrics.asyncJobs));
+
+        console.log('\n6️⃣ Submitting async jobs that the archive refuses...');
+        // A 503 without Retry-After may come after the job was created: not resent
+        requests.length = 0;
+        submissionFailures.push({ status: 503 });
+        await assert.rejects(TapClient.query(largeQuery, { label: 'refused' }), /status code 503/);
+        assert.deepEqual(requests, ['POST /TAP/async']);
+
+        // A 503 with Retry-After means the archive did not take the job: resent
+        requests.length = 0;
+        submissionFailures.push({ status: 503, headers: { 'Retry-After': '0' } });
+        assert.deepEqual(await TapClient.query(largeQuery, { label: 'throttled' }), ROWS);
+        assert.deepEqual(requests.slice(0, 2), ['POST /TAP/async', 'POST /TAP/async']);
+        assert.equal(requests.filter(request => request === 'POST /TAP/async').length, 2);
+        console.log('✅ Submission resent only after a Retry-After');
+
+        console.log('\n7️⃣ Probing the archive once the circuit half-opens...');
+        TapClient.circuit = { ...TapClient.createCircuit(), state: 'open', failures: TapClient.FAILURE_THRESHOLD, openUntil: Date.now() + 20, consecutiveOpenings: 1 };
+        syncEvents.length = 0;
+        syncDelayMs = 50;
+        const results = await Promise.all([1, 2, 3].map(i => TapClient.query(smallQuery, { label: `queued ${i}` })));
+        results.forEach(rows => assert.deepEqual(rows, ROWS));
+        // The probe completes before the waiting requests are sent
+        assert.deepEqual(syncEvents.slice(0, 2), ['start', 'end']);
+        assert.equal(syncEvents.length, 6);
+        assert.equal(TapClient.getMetrics().circuit.state, 'closed');
+        console.log('✅ A single probe closed the circuit, then the waiting requests ran');
+
+        console.log('\n✅ All tests passed! TAP client is working correctly.');
+
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack:', error.stack);
+        process.exitCode = 1;
+
+    } finally {
+        server.close();
+    }
+}
+
+// Run the test
+testTapClient();
@@ -0,0 +1,47 @@
+/**
+ * Numeric helpers shared by the services
+ * NASA columns arrive as numbers, numeric strings, empty strings or null
+ */
+
+/**
+ * Parse a finite number
+ * @param {*} value - Raw value
+ * @returns {number|null} Number or null if missing or not finite
+ */
+export const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Parse a strictly positive number (radii, periods, temperatures, distances and masses cannot be <= 0)
+ * @param {*} value - Raw value
+ * @returns {number|null} Number or null if missing, not finite or <= 0
+ */
+export const toPositiveNumber = (value) => {
+    const num = toNumber(value);
+    return num !== null && num > 0 ? num : null;
+};
+
+/**
+ * Round to a number of decimals
+ * @param {number|null} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {number|null} Rounded value or null if the value is missing
+ */
+export const round = (value, decimals) => {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parse the absolute value of an uncertainty (NASA stores lower errors as negative numbers)
+ * @param {*} value - Raw value
+ * @returns {number|null} Absolute value or null if missing or not finite
+ */
+export const toAbsNumber = (value) => {
+    const num = toNumber(value);
+    return num !== null ? Math.abs(num) : null;
+};